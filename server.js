@@ -1,49 +1,11 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Modular routes
-import userRoutes from './src/routes/userRoutes.js';
-import productRoutes from './src/routes/productRoutes.js';
-import cartRoutes from './src/routes/cartRoutes.js';
-import orderRoutes from './src/routes/orderRoutes.js';
-import paymentRoutes from './src/routes/paymentRoutes.js';
-import adminRoutes from './src/routes/adminRoutes.js';
-
-// For __dirname in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import app from './src/app.js';
+import { startExpirySweeper } from './src/services/inventoryService.js';
+import { startGuestCartSweeper } from './src/services/cartService.js';
 
 dotenv.config();
 
-const app = express();
-
-// Special raw body for Paystack webhook
-app.use((req, res, next) => {
-  if (req.originalUrl === '/payments/webhook') {
-    express.raw({ type: 'application/json' })(req, res, next);
-  } else {
-    express.json()(req, res, next);
-  }
-});
-app.use(express.urlencoded({ extended: true }));
-app.use(cors());
-
-// Welcome route
-app.get('/', (req, res) => {
-  res.send('Welcome to Forge & Bolt');
-});
-
-
-// Mount modular routes
-app.use('/', userRoutes);
-app.use('/products', productRoutes);
-app.use('/cart', cartRoutes);
-app.use('/orders', orderRoutes);
-app.use('/payments', paymentRoutes);
-app.use('/admin', adminRoutes);
-
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+startExpirySweeper();
+startGuestCartSweeper();
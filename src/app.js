@@ -0,0 +1,51 @@
+import express from 'express';
+import cors from 'cors';
+
+// Modular routes
+import userRoutes from './routes/userRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import { storage } from './services/mediaService.js';
+
+const app = express();
+
+// Behind Render's proxy, TRUST_PROXY=1 makes req.ip the client address.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Webhook signatures are computed over the exact bytes received, so keep them.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+app.use(express.urlencoded({ extended: true }));
+app.use(cors());
+
+// With MEDIA_STORAGE=local, uploaded images are served from disk.
+if (storage.name === 'local') {
+  app.use(storage.mountPath(), express.static(storage.directory()));
+}
+
+// Welcome route
+app.get('/', (req, res) => {
+  res.send('Welcome to Forge & Bolt');
+});
+
+
+// Mount modular routes
+app.use('/', userRoutes);
+app.use('/products', productRoutes);
+app.use('/cart', cartRoutes);
+app.use('/wishlist', wishlistRoutes);
+app.use('/orders', orderRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/admin', adminRoutes);
+
+export default app;
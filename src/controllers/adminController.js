@@ -1,48 +1,444 @@
-import supabase from '../utils/supabaseClient.js';
+import fs from 'fs';
+import { once } from 'events';
+import * as userRepository from '../repositories/userRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as paymentReferenceRepository from '../repositories/paymentReferenceRepository.js';
+import * as inventoryService from '../services/inventoryService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as paymentEventService from '../services/paymentEventService.js';
+import * as refundService from '../services/refundService.js';
+import * as productCsvService from '../services/productCsvService.js';
+import * as productArchiveService from '../services/productArchiveService.js';
+import * as reviewService from '../services/reviewService.js';
+import * as promotionService from '../services/promotionService.js';
+import * as shippingService from '../services/shippingService.js';
+import * as taxService from '../services/taxService.js';
+import * as invoiceService from '../services/invoiceService.js';
+import * as reportService from '../services/reportService.js';
+import * as stockThresholdService from '../services/stockThresholdService.js';
+import * as orderStatusService from '../services/orderStatusService.js';
+import * as addressService from '../services/addressService.js';
+import * as accountService from '../services/accountService.js';
+import { ROLES } from '../utils/permissions.js';
+import { parsePage, pageOf, parseDay } from '../utils/listQuery.js';
 
+const listParam = (value) =>
+  [].concat(value ?? []).flatMap((entry) => String(entry).split(',')).map((entry) => entry.trim()).filter(Boolean);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `?q=` matches name or email; `?role=` narrows to one role.
 export const getAllUsers = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can access users list' });
+  try {
+    const { q, role } = req.query;
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    const paging = parsePage(req.query);
+    const { items, total } = await userRepository.search({ query: q?.trim(), role, ...paging });
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+};
+
+// A customer's account with their saved addresses and orders, newest first.
+export const getUser = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, email, profile_image_url, name, role, created_at');
-    if (error) throw error;
-    res.json(data);
+    const user = await userRepository.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { password, ...rest } = user;
+    const [addresses, orders] = await Promise.all([
+      addressService.list(user.id),
+      orderRepository.listForUser(user.id),
+    ]);
+    res.json({ ...rest, addresses, orders });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const updateUserRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (String(id) === String(req.user.id)) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  try {
+    const user = await userRepository.update(id, { role });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await sessionService.endAllSessions(user.id);
+    const { password, ...rest } = user;
+    res.json(rest);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
+// Signs the user out everywhere and refuses them until reactivated.
+export const suspendUser = async (req, res) => {
+  try {
+    res.json(await accountService.suspend(req.params.id, req.body || {}, req.user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const reactivateUser = async (req, res) => {
+  try {
+    res.json(await accountService.reactivate(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+// Filters: `status` (one or several), `from`/`to` (inclusive days the order
+// was placed), the customer by `user_id` or `email`, and `min_total`.
 export const getAllOrders = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can access orders list' });
+  try {
+    const { status, from, to, user_id, email, min_total } = req.query;
+    const statuses = listParam(status);
+    const unknown = statuses.find((entry) => !orderStatusService.ORDER_STATUSES.includes(entry));
+    if (unknown) {
+      return res.status(400).json({ error: `Status must be one of: ${orderStatusService.ORDER_STATUSES.join(', ')}` });
+    }
+    const minTotal = min_total === undefined || min_total === '' ? undefined : Number(min_total);
+    if (Number.isNaN(minTotal)) return res.status(400).json({ error: 'min_total must be a number' });
+    const placedFrom = from ? parseDay(from, 'from') : null;
+    const placedTo = to ? parseDay(to, 'to') : null;
+    if (placedFrom && placedTo && placedFrom > placedTo) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    const paging = parsePage(req.query);
+    let userId = user_id || undefined;
+    if (email) {
+      const customer = await userRepository.findByEmail(email);
+      if (!customer || (userId && String(userId) !== String(customer.id))) return res.json(pageOf([], 0, paging));
+      userId = customer.id;
+    }
+    const { items, total } = await orderRepository.search({
+      statuses,
+      userId,
+      placedFrom: placedFrom?.toISOString(),
+      placedBefore: placedTo && new Date(placedTo.getTime() + DAY_MS).toISOString(),
+      minTotal,
+      ...paging,
+    });
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+};
+
+// Everything about one order: items, customer, status history, payments and refunds.
+export const getOrder = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('orders')
-      .select('*');
-    if (error) throw error;
-    res.json(data);
+    const order = await orderRepository.findWithItems(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const [customer, history, payments, refunds] = await Promise.all([
+      userRepository.findById(order.user_id),
+      orderStatusService.timeline(order.id),
+      paymentReferenceRepository.listForOrder(order.id),
+      refundService.listForOrder(order.id),
+    ]);
+    res.json({
+      ...order,
+      customer: customer && { id: customer.id, name: customer.name, email: customer.email },
+      status_history: history,
+      payment_references: payments,
+      refunds,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
-export const getLowStockProducts = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can access low stock products' });
+export const getOrderRefunds = async (req, res) => {
+  try {
+    const order = await orderRepository.findById(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(await refundService.listForOrder(order.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const refundOrder = async (req, res) => {
+  const { amount, reason } = req.body || {};
+  try {
+    const refund = await refundService.issueRefund(req.params.id, {
+      amount,
+      reason,
+      actor: { id: req.user.id, role: req.user.role },
+    });
+    res.status(201).json(refund);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getFlaggedPayments = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    const { items, total } = await paymentReferenceRepository.listNeedingReview(paging);
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+};
+
+export const getWebhookEvents = async (req, res) => {
   try {
-    const lowStockThreshold = 5;
-    const { data, error } = await supabase
-      .from('products')
-      .select('*')
-      .lt('stock_count', lowStockThreshold);
-    if (error) throw error;
+    const paging = parsePage(req.query);
+    const { items, total } = await paymentEventService.listEvents({ status: req.query.status, ...paging });
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const data = await paymentEventService.replay(req.params.id);
     res.json(data);
   } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getLowStockProducts = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    await inventoryService.releaseExpired();
+    const { items, total } = await stockThresholdService.listLowStock(paging);
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getStockThresholds = async (req, res) => {
+  try {
+    res.json(await stockThresholdService.getSettings());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const setCategoryStockThreshold = async (req, res) => {
+  try {
+    res.json(await stockThresholdService.setCategoryThreshold(req.params.category, req.body.threshold));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteCategoryStockThreshold = async (req, res) => {
+  try {
+    await stockThresholdService.removeCategoryThreshold(req.params.category);
+    res.json({ message: 'Category threshold removed' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getReportNames = (req, res) => {
+  res.json(reportService.NAMES);
+};
+
+// `?format=csv` downloads the same rows as a spreadsheet.
+export const getReport = async (req, res) => {
+  try {
+    const report = await reportService.run(req.params.report, req.query);
+    if (req.query.format === 'csv') {
+      return res.attachment(reportService.filename(report)).type('text/csv; charset=utf-8').send(reportService.toCsv(report));
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getPromotions = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    const { items, total } = await promotionService.list(paging);
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getPromotion = async (req, res) => {
+  try {
+    res.json(await promotionService.get(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const createPromotion = async (req, res) => {
+  try {
+    res.status(201).json(await promotionService.create(req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updatePromotion = async (req, res) => {
+  try {
+    res.json(await promotionService.update(req.params.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deletePromotion = async (req, res) => {
+  try {
+    await promotionService.remove(req.params.id);
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const { filename, content } = await invoiceService.download(req.params.id);
+    res.attachment(filename).type('application/pdf').send(content);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getTaxSettings = async (req, res) => {
+  try {
+    res.json(await taxService.getSettings());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const updateTaxSettings = async (req, res) => {
+  try {
+    res.json(await taxService.updateSettings(req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updateUserTaxExemption = async (req, res) => {
+  try {
+    res.json(await taxService.setCustomerExemption(req.params.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getShippingZones = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    const { items, total } = await shippingService.listZones(paging);
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const createShippingZone = async (req, res) => {
+  try {
+    res.status(201).json(await shippingService.createZone(req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updateShippingZone = async (req, res) => {
+  try {
+    res.json(await shippingService.updateZone(req.params.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteShippingZone = async (req, res) => {
+  try {
+    await shippingService.removeZone(req.params.id);
+    res.json({ message: 'Shipping zone deleted successfully' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getReviews = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    const { items, total } = await reviewService.list({ status: req.query.status, ...paging });
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const moderateReview = async (req, res) => {
+  try {
+    res.json(await reviewService.moderate(req.params.id, req.body.status, req.user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getArchivedProducts = async (req, res) => {
+  try {
+    const paging = parsePage(req.query);
+    const { items, total } = await productArchiveService.listArchived(paging);
+    res.json(pageOf(items, total, paging));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const importProducts = async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Upload the CSV as a "file" field' });
+  try {
+    const text = await fs.promises.readFile(req.file.path, 'utf8');
+    const { plan, ...report } = await productCsvService.validate(text);
+    const dryRun = [req.query.dry_run, req.body?.dry_run].some((flag) => ['true', '1'].includes(flag));
+    if (dryRun) return res.json({ dry_run: true, ...report });
+    if (report.errors.length) {
+      return res.status(422).json({ error: 'Nothing was imported; fix the listed rows and upload again', ...report });
+    }
+    const job = await productCsvService.start(plan, req.user);
+    res.status(job.status === 'completed' ? 200 : 202).json(job);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getProductImport = async (req, res) => {
+  try {
+    res.json(await productCsvService.getJob(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const exportProducts = async (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+  try {
+    for await (const line of productCsvService.exportLines()) {
+      if (!res.write(line)) await once(res, 'drain');
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error exporting products:', err);
+    // Once rows have gone out the status can't change; cut the download short instead.
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ error: err.message });
   }
 };
@@ -1,98 +1,155 @@
-import supabase from '../utils/supabaseClient.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as cartService from '../services/cartService.js';
+import { availableStock } from '../services/inventoryService.js';
+import { resolvePurchase, unitPrice } from '../services/variantService.js';
+import * as promotionService from '../services/promotionService.js';
+import * as shippingService from '../services/shippingService.js';
+import * as addressService from '../services/addressService.js';
+import * as taxService from '../services/taxService.js';
 
-async function getOrCreateCart(userId) {
-  const { data: cart, error } = await supabase
-    .from('carts')
-    .select('*')
-    .eq('user_id', userId)
-    .maybeSingle();
-  if (error) throw new Error(error.message);
-  if (cart) return cart;
-  const { data: newCart, error: insertError } = await supabase
-    .from('carts')
-    .insert({ user_id: userId })
-    .select()
-    .single();
-  if (insertError) throw new Error(insertError.message);
-  return newCart;
-}
+// Signed-in callers get their own cart, guests the one named by the
+// X-Cart-Token header. A guest cart is only started when `create` is set, and
+// its token is returned once as `cartToken`.
+const resolveCart = async (req, { create = false } = {}) => {
+  if (req.user) return { cart: await cartRepository.getOrCreate(req.user.id) };
+  const cart = await cartService.findGuestCart(req.get('x-cart-token'));
+  if (cart || !create) return { cart };
+  const { cart: started, token } = await cartService.startGuestCart();
+  return { cart: started, cartToken: token };
+};
 
-async function updateGrandTotal(userId) {
-  try {
-    const cart = await getOrCreateCart(userId);
-    const { data: items, error } = await supabase
-      .from('cart_items')
-      .select('quantity, products(price)')
-      .eq('cart_id', cart.id);
-    if (error) throw error;
-    const grandTotal = items.reduce((sum, item) => {
-      return sum + item.quantity * item.products.price;
-    }, 0);
-    await supabase
-      .from('carts')
-      .update({ grand_total: grandTotal })
-      .eq('id', cart.id);
-    return grandTotal;
-  } catch (err) {
-    return 0;
+const EMPTY_CART = {
+  items: [],
+  subtotal: 0,
+  promotion_code: null,
+  discount: null,
+  promotion_error: null,
+  merchandise_total: 0,
+  tax_amount: 0,
+  grand_total: 0,
+  notices: []
+};
+
+// Items with line totals, VAT and, when a code is applied, the discount it
+// gives right now. A code that stopped applying stays on the cart with the reason.
+const cartSummary = async (cart, userId) => {
+  const items = await cartRepository.listItems(cart.id);
+  const enriched = items.map(item => ({
+    ...item,
+    total_price: unitPrice(item) * item.quantity
+  }));
+  const subtotal = enriched.reduce((sum, item) => sum + item.total_price, 0);
+  let discount = null;
+  let promotionError = null;
+  if (cart.promotion_code) {
+    try {
+      discount = promotionService.summarize(await promotionService.quote(cart.promotion_code, items, userId));
+    } catch (err) {
+      if (!err.status) throw err;
+      promotionError = err.message;
+    }
   }
-}
+  const tax = await taxService.quote(items, { userId, discountLines: discount?.lines });
+  const merchandiseTotal = subtotal - (discount?.amount || 0);
+  return {
+    items: enriched.map(item => ({ ...item, tax_amount: tax.lines.get(String(item.id)).amount })),
+    subtotal,
+    promotion_code: cart.promotion_code || null,
+    discount,
+    promotion_error: promotionError,
+    merchandise_total: merchandiseTotal,
+    tax_amount: tax.amount,
+    grand_total: merchandiseTotal + tax.amount
+  };
+};
 
 export const getCart = async (req, res) => {
   try {
-    const cart = await getOrCreateCart(req.user.id);
-    const { data: items, error: itemsError } = await supabase
-      .from('cart_items')
-      .select('*, products(*)')
-      .eq('cart_id', cart.id);
-    if (itemsError) return res.status(400).json({ error: itemsError.message });
-    const enriched = items.map(item => ({
-      ...item,
-      total_price: item.products.price * item.quantity
-    }));
-    const { data: totalData, error: totalError } = await supabase
-      .from('cart_totals')
-      .select('grand_total')
-      .eq('user_id', req.user.id)
-      .maybeSingle();
-    if (totalError) return res.status(400).json({ error: totalError.message });
+    const { cart } = await resolveCart(req);
+    if (!cart) return res.json(EMPTY_CART);
     res.json({
-      items: enriched,
-      grand_total: totalData?.grand_total || 0
+      ...(await cartSummary(cart, req.user?.id)),
+      notices: await cartRepository.takeNotices(cart)
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
+// Delivery to the given (or default) address and store pickup, priced for the
+// cart as it stands.
+export const getShippingOptions = async (req, res) => {
+  try {
+    const cart = await cartRepository.getOrCreate(req.user.id);
+    const summary = await cartSummary(cart, req.user.id);
+    const address = req.query.address_id
+      ? await addressService.findForUser(req.user.id, req.query.address_id)
+      : await addressService.findDefault(req.user.id);
+    let delivery = null;
+    let deliveryError = address ? null : 'Add a delivery address to see delivery costs';
+    if (address) {
+      try {
+        delivery = await shippingService.deliveryOption(address, {
+          items: summary.items,
+          merchandiseTotal: summary.merchandise_total
+        });
+      } catch (err) {
+        if (!err.status) throw err;
+        deliveryError = err.message;
+      }
+    }
+    res.json({ delivery, delivery_error: deliveryError, pickup: shippingService.pickupOption() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const applyPromotion = async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'Code is required' });
+  try {
+    const cart = await cartRepository.getOrCreate(req.user.id);
+    const items = await cartRepository.listItems(cart.id);
+    if (!items.length) return res.status(400).json({ error: 'Cart is empty' });
+    const { promotion } = await promotionService.quote(code, items, req.user.id);
+    await cartRepository.setPromotionCode(cart.id, promotion.code);
+    res.json(await cartSummary({ ...cart, promotion_code: promotion.code }, req.user.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const removePromotion = async (req, res) => {
+  try {
+    const cart = await cartRepository.getOrCreate(req.user.id);
+    await cartRepository.setPromotionCode(cart.id, null);
+    res.json(await cartSummary({ ...cart, promotion_code: null }, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 export const addToCart = async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
   if (!productId || !quantity) return res.status(400).json({ error: 'Product ID and quantity are required' });
   try {
-    const cart = await getOrCreateCart(req.user.id);
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('*')
-      .eq('id', productId)
-      .single();
-    if (productError || !product) return res.status(404).json({ error: 'Product not found' });
-    if (quantity > product.stock_count) {
-      return res.status(400).json({ error: `Only ${product.stock_count} items in stock` });
+    const { product, variant } = await resolvePurchase(productId, variantId);
+    // Products sold in variants hold their stock on the variant.
+    const stock = availableStock(variant || product);
+    if (quantity > stock) {
+      return res.status(400).json({ error: `Only ${stock} items in stock` });
     }
-    const { data: cartItem, error } = await supabase
-      .from('cart_items')
-      .insert([{ cart_id: cart.id, product_id: productId, quantity }])
-      .select('*, products(*)')
-      .single();
-    if (error) return res.status(400).json({ error: error.message });
-    const grand_total = await updateGrandTotal(req.user.id);
+    const { cart, cartToken } = await resolveCart(req, { create: true });
+    const cartItem = await cartRepository.addItem(cart.id, product.id, variant?.id ?? null, quantity);
+    const grand_total = await cartService.recalculateGrandTotal(cart.id);
     res.status(201).json({
       ...cartItem,
-      total_price: cartItem.products.price * cartItem.quantity,
-      grand_total
+      total_price: unitPrice(cartItem) * cartItem.quantity,
+      grand_total,
+      ...(cartToken && { cart_token: cartToken })
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
@@ -101,30 +158,21 @@ export const updateCartItem = async (req, res) => {
   const { quantity } = req.body;
   if (!quantity) return res.status(400).json({ error: 'Quantity is required' });
   try {
-    const cart = await getOrCreateCart(req.user.id);
-    const { data: existingItem, error: fetchError } = await supabase
-      .from('cart_items')
-      .select('*, products:product_id(*)')
-      .eq('id', id)
-      .eq('cart_id', cart.id)
-      .maybeSingle();
-    if (fetchError) return res.status(400).json({ error: fetchError.message });
+    const { cart } = await resolveCart(req);
+    const existingItem = cart && await cartRepository.findItem(cart.id, id);
     if (!existingItem) return res.status(404).json({ error: 'Cart item not found' });
-    if (quantity > existingItem.products.stock_count) {
-      return res.status(400).json({ error: `Only ${existingItem.products.stock_count} items in stock` });
+    if (existingItem.products.archived_at) {
+      return res.status(400).json({ error: `${existingItem.products.name} is no longer available` });
+    }
+    const stock = availableStock(existingItem.variant || existingItem.products);
+    if (quantity > stock) {
+      return res.status(400).json({ error: `Only ${stock} items in stock` });
     }
-    const { data: updatedItem, error: updateError } = await supabase
-      .from('cart_items')
-      .update({ quantity })
-      .eq('id', id)
-      .eq('cart_id', cart.id)
-      .select('*, products:product_id(*)')
-      .single();
-    if (updateError) return res.status(400).json({ error: updateError.message });
-    const grand_total = await updateGrandTotal(req.user.id);
+    const updatedItem = await cartRepository.updateItemQuantity(cart.id, id, quantity);
+    const grand_total = await cartService.recalculateGrandTotal(cart.id);
     res.json({
       ...updatedItem,
-      total_price: updatedItem.products.price * updatedItem.quantity,
+      total_price: unitPrice(updatedItem) * updatedItem.quantity,
       grand_total
     });
   } catch (err) {
@@ -135,16 +183,10 @@ export const updateCartItem = async (req, res) => {
 export const deleteCartItem = async (req, res) => {
   const { id } = req.params;
   try {
-    const cart = await getOrCreateCart(req.user.id);
-    const { data: deletedItem, error } = await supabase
-      .from('cart_items')
-      .delete()
-      .eq('id', id)
-      .eq('cart_id', cart.id)
-      .select()
-      .single();
-    if (error || !deletedItem) return res.status(404).json({ error: 'Cart item not found' });
-    const grand_total = await updateGrandTotal(req.user.id);
+    const { cart } = await resolveCart(req);
+    const deletedItem = cart && await cartRepository.removeItem(cart.id, id);
+    if (!deletedItem) return res.status(404).json({ error: 'Cart item not found' });
+    const grand_total = await cartService.recalculateGrandTotal(cart.id);
     res.json({ message: 'Cart item deleted successfully', grand_total });
   } catch (err) {
     res.status(500).json({ error: err.message });
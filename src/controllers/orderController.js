@@ -1,79 +1,121 @@
-import supabase from '../utils/supabaseClient.js';
-
-async function getOrCreateCart(userId) {
-  const { data: cart, error } = await supabase
-    .from('carts')
-    .select('*')
-    .eq('user_id', userId)
-    .maybeSingle();
-  if (error) throw new Error(error.message);
-  if (cart) return cart;
-  const { data: newCart, error: insertError } = await supabase
-    .from('carts')
-    .insert({ user_id: userId })
-    .select()
-    .single();
-  if (insertError) throw new Error(insertError.message);
-  return newCart;
-}
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as inventoryService from '../services/inventoryService.js';
+import * as orderStatusService from '../services/orderStatusService.js';
+import * as refundService from '../services/refundService.js';
+import * as promotionService from '../services/promotionService.js';
+import * as shippingService from '../services/shippingService.js';
+import * as taxService from '../services/taxService.js';
+import * as invoiceService from '../services/invoiceService.js';
+import { unitPrice, variantLabel } from '../services/variantService.js';
 
 export const createOrder = async (req, res) => {
   try {
-    const cart = await getOrCreateCart(req.user.id);
-    const { data: cartItems, error: itemsError } = await supabase
-      .from('cart_items')
-      .select('quantity, products(*)')
-      .eq('cart_id', cart.id);
-    if (itemsError || !cartItems.length) {
+    const cart = await cartRepository.getOrCreate(req.user.id);
+    const cartItems = await cartRepository.listItems(cart.id);
+    if (!cartItems.length) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
-    const totalAmount = cartItems.reduce((sum, item) => {
-      return sum + item.quantity * item.products.price;
+    const archived = cartItems.find(item => item.products.archived_at);
+    if (archived) {
+      return res.status(409).json({ error: `${archived.products.name} is no longer available` });
+    }
+    const subtotal = cartItems.reduce((sum, item) => {
+      return sum + item.quantity * unitPrice(item);
     }, 0);
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert({
-        user_id: req.user.id,
-        total_amount: totalAmount,
-        status: 'pending',
-        created_at: new Date().toISOString(),
-      })
-      .select()
-      .single();
-    if (orderError) {
-      return res.status(500).json({ error: orderError.message });
+    // The code was checked when it was applied; prices, the cart or the code
+    // itself may have changed since.
+    const discount = cart.promotion_code
+      ? await promotionService.quote(cart.promotion_code, cartItems, req.user.id)
+      : null;
+    const merchandiseTotal = subtotal - (discount?.amount || 0);
+    const shipping = await shippingService.forCheckout(req.user.id, req.body || {}, {
+      items: cartItems,
+      merchandiseTotal,
+    });
+    const tax = await taxService.quote(cartItems, { userId: req.user.id, discountLines: discount?.lines });
+    const totalAmount = merchandiseTotal + tax.amount + shipping.shipping_fee;
+    const order = await orderRepository.create({
+      user_id: req.user.id,
+      subtotal_amount: subtotal,
+      discount_amount: discount?.amount || 0,
+      promotion_code: discount?.promotion.code ?? null,
+      tax_amount: tax.amount,
+      ...shipping,
+      total_amount: totalAmount,
+      status: 'pending',
+      created_at: new Date().toISOString(),
+    });
+    // Anything going wrong from here on takes the order, its discount use and
+    // its stock hold back out, so no half-made order is left pending.
+    const discardOrder = async () => {
+      await promotionService.releaseForOrder(order.id);
+      await inventoryService.releaseForOrder(order.id);
+      await orderRepository.remove(order.id);
+    };
+    let reservation;
+    try {
+      const orderItems = await orderRepository.createItems(cartItems.map(item => ({
+        order_id: order.id,
+        product_id: item.products.id,
+        variant_id: item.variant?.id ?? null,
+        sku: item.variant?.sku ?? null,
+        quantity: item.quantity,
+        price_at_order: unitPrice(item),
+        tax_rate: tax.lines.get(String(item.id)).rate,
+        tax_amount: tax.lines.get(String(item.id)).amount,
+      })));
+      if (discount) {
+        await promotionService.redeemForOrder(discount, {
+          order,
+          userId: req.user.id,
+          orderItemIds: new Map(cartItems.map((item, index) => [String(item.id), orderItems[index].id])),
+        });
+      }
+      reservation = await inventoryService.reserveForOrder(order.id, cartItems.map(item => ({
+        product_id: item.products.id,
+        variant_id: item.variant?.id ?? null,
+        quantity: item.quantity,
+      })));
+      if (reservation.ok) {
+        await orderStatusService.recordCreated(order, orderStatusService.actorFromUser(req.user));
+      }
+    } catch (err) {
+      await discardOrder();
+      throw err;
     }
-    const orderItemsData = cartItems.map(item => ({
-      order_id: order.id,
-      product_id: item.products.id,
-      quantity: item.quantity,
-      price_at_order: item.products.price,
-    }));
-    const { error: orderItemsError } = await supabase
-      .from('order_items')
-      .insert(orderItemsData);
-    if (orderItemsError) {
-      return res.status(500).json({ error: orderItemsError.message });
+    if (!reservation.ok) {
+      await discardOrder();
+      const [shortage] = reservation.shortages;
+      const line = cartItems.find(item =>
+        String(item.products.id) === String(shortage.product_id) &&
+        String(item.variant?.id ?? null) === String(shortage.variant_id ?? null));
+      const name = line.variant ? `${line.products.name} (${variantLabel(line.variant)})` : line.products.name;
+      return res.status(409).json({
+        error: `Only ${shortage.available} of ${name} available`,
+        shortages: reservation.shortages,
+      });
     }
     res.status(201).json({
       order_id: order.id,
+      subtotal_amount: subtotal,
+      discount_amount: order.discount_amount,
+      tax_amount: order.tax_amount,
+      delivery_method: order.delivery_method,
+      shipping_fee: order.shipping_fee,
       total_amount: totalAmount,
       status: order.status,
       email: req.user.email,
+      reservation_expires_at: reservation.expires_at,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
 export const getOrders = async (req, res) => {
   try {
-    const { data: orders, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*, products(*))')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
-    if (error) return res.status(400).json({ error: error.message });
+    const orders = await orderRepository.listForUser(req.user.id);
     res.json(orders);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -83,49 +125,82 @@ export const getOrders = async (req, res) => {
 export const getOrderById = async (req, res) => {
   const { id } = req.params;
   try {
-    const { data: order, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*, products(*))')
-      .eq('id', id)
-      .eq('user_id', req.user.id)
-      .single();
-    if (error || !order) return res.status(404).json({ error: 'Order not found' });
-    res.json(order);
+    const order = await orderRepository.findForUser(id, req.user.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const [timeline, refunds] = await Promise.all([
+      orderStatusService.timeline(order.id),
+      refundService.listForOrder(order.id),
+    ]);
+    res.json({ ...order, timeline, refunds });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await orderRepository.findById(req.params.id);
+    if (!order || String(order.user_id) !== String(req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    const { filename, content } = await invoiceService.download(order.id);
+    res.attachment(filename).type('application/pdf').send(content);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
 export const updateOrderStatus = async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
   if (!status) return res.status(400).json({ error: 'Status is required' });
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can update order status' });
-  }
   try {
-    const { data, error } = await supabase
-      .from('orders')
-      .update({ status })
-      .eq('id', id)
-      .select()
-      .single();
-    if (error || !data) return res.status(404).json({ error: 'Order not found' });
+    const actor = orderStatusService.actorFromUser(req.user);
+    // Cancelling a paid order gives the money back, as it does for customers.
+    if (status === 'cancelled') {
+      const order = await orderRepository.findById(id);
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+      const { order: cancelled, ...refund } = await refundService.cancelOrder(order, {
+        actor,
+        note,
+        reason: note || 'Order cancelled by staff',
+      });
+      return res.json({ ...cancelled, ...refund });
+    }
+    const data = await orderStatusService.transition(id, status, { actor, note, source: 'manual' });
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const cancelOrder = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+  try {
+    const order = await orderRepository.findById(id);
+    if (!order || String(order.user_id) !== String(req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!refundService.CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `Order is ${order.status} and can no longer be cancelled` });
+    }
+    const result = await refundService.cancelOrder(order, {
+      actor: orderStatusService.actorFromUser(req.user),
+      note: reason || 'Cancelled by customer',
+      reason: 'Order cancelled by customer',
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
 export const getOrderHistory = async (req, res) => {
   try {
-    const { data: orders, error } = await supabase
-      .from('orders')
-      .select('*, order_items(*, products(*))')
-      .eq('user_id', req.user.id)
-      .eq('status', 'paid')
-      .order('created_at', { ascending: false });
-    if (error) return res.status(400).json({ error: error.message });
+    const orders = await orderRepository.listForUser(req.user.id, {
+      statuses: orderStatusService.PAID_STATUSES,
+    });
     res.json(orders);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1,39 +1,48 @@
-import fs from 'fs';
-import cloudinary from '../utils/cloudinaryConfig.js';
-import supabase from '../utils/supabaseClient.js';
+import * as productRepository from '../repositories/productRepository.js';
+import * as variantRepository from '../repositories/variantRepository.js';
+import * as variantService from '../services/variantService.js';
+import * as productImageService from '../services/productImageService.js';
+import * as productArchiveService from '../services/productArchiveService.js';
+import * as reviewService from '../services/reviewService.js';
+import * as stockAlertService from '../services/stockAlertService.js';
+import * as stockThresholdService from '../services/stockThresholdService.js';
+import * as mediaService from '../services/mediaService.js';
 
-const uploadImage = async (file) => {
-  if (!file) return null;
-  const result = await cloudinary.uploader.upload(file.path, {
-    folder: 'forge_and_bolt',
-  });
-  fs.unlinkSync(file.path);
-  return result.secure_url;
-};
+// `?category=a,b` and `?category=a&category=b` both select several values.
+const listParam = (value) =>
+  [].concat(value ?? []).flatMap((entry) => String(entry).split(',')).map((entry) => entry.trim()).filter(Boolean);
+
+const numberParam = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
 
 export const getProducts = async (req, res) => {
   try {
-    const { category, brand, price, page = 1, limit = 18 } = req.query;
+    const { q, category, brand, price, min_price, max_price, in_stock, sort, page = 1, limit = 18 } = req.query;
+    if (sort && !productRepository.SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of: ${productRepository.SORTS.join(', ')}` });
+    }
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const from = (pageNum - 1) * limitNum;
     const to = from + limitNum - 1;
-    let query = supabase
-      .from('products')
-      .select('*', { count: 'exact' })
-      .order('created_at', { ascending: false })
-      .range(from, to);
-    if (category) query = query.eq('category', category);
-    if (brand) query = query.eq('brand', brand);
-    if (price) query = query.lte('price', parseFloat(price));
-    const { data, error, count } = await query;
-    if (error) return res.status(400).json({ error: error.message });
+    const { items, total, facets } = await productRepository.search({
+      query: q?.trim(),
+      categories: listParam(category),
+      brands: listParam(brand),
+      minPrice: numberParam(min_price),
+      // `price` is the older name for the upper bound.
+      maxPrice: numberParam(max_price ?? price),
+      inStock: ['true', '1'].includes(in_stock),
+      sort,
+      from,
+      to,
+    });
     res.json({
-      items: data,
+      items,
       page: pageNum,
       limit: limitNum,
-      total: count,
-      totalPages: Math.ceil(count / limitNum)
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      facets,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -43,74 +52,190 @@ export const getProducts = async (req, res) => {
 export const getProductById = async (req, res) => {
   const { id } = req.params;
   try {
-    const { data, error } = await supabase.from('products').select('*').eq('id', id).single();
-    if (error || !data) return res.status(404).json({ error: 'Product not found' });
-    res.json(data);
+    const data = await productRepository.findById(id);
+    if (!data) return res.status(404).json({ error: 'Product not found' });
+    const images = await productImageService.list(data.id);
+    res.json({ ...(await variantService.withVariants(data)), images });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
 export const createProduct = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can add products' });
-  }
   try {
-    const { name, description, price, category, brand, stock_count } = req.body;
-    const imageUrl = await uploadImage(req.file);
-    const { data, error } = await supabase
-      .from('products')
-      .insert([{ name, description, price, image_url: imageUrl, category, brand, stock_count }])
-      .select()
-      .single();
-    if (error) return res.status(400).json({ error: error.message });
-    res.status(201).json(data);
+    const { sku, name, description, price, category, brand, stock_count, weight_kg, low_stock_threshold } = req.body;
+    const threshold = low_stock_threshold === undefined
+      ? undefined
+      : stockThresholdService.parseThreshold(low_stock_threshold, { nullable: true });
+    const asset = req.file ? await mediaService.storeImage(req.file) : null;
+    const data = await productRepository.create({
+      sku, name, description, price, category, brand, stock_count, weight_kg, low_stock_threshold: threshold
+    });
+    if (asset) await productImageService.replacePrimary(data.id, asset);
+    res.status(201).json(asset ? await productRepository.findById(data.id) : data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
 export const updateProduct = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can update products' });
+  const { id } = req.params;
+  try {
+    const { sku, name, description, price, category, brand, stock_count, weight_kg, low_stock_threshold } = req.body;
+    const updates = { sku, name, description, price, category, brand, stock_count, weight_kg };
+    // Overrides the category or default threshold for the low-stock report; null clears it.
+    if (low_stock_threshold !== undefined) {
+      updates.low_stock_threshold = stockThresholdService.parseThreshold(low_stock_threshold, { nullable: true });
+    }
+    if (stock_count !== undefined && (await variantRepository.listForProduct(id)).length) {
+      return res.status(400).json({ error: 'Stock for this product is managed on its variants' });
+    }
+    const before = stock_count !== undefined ? await productRepository.findById(id) : null;
+    if (before && Number(stock_count) < (before.reserved_count || 0)) {
+      return res.status(409).json({ error: `${before.reserved_count} units are held by pending orders` });
+    }
+    const data = await productRepository.update(id, updates);
+    if (!data) return res.status(404).json({ error: 'Product not found' });
+    if (before && stockAlertService.isRestock(before, data)) {
+      stockAlertService.notifyRestock(data)
+        .catch(err => console.error(`Error sending back-in-stock alerts for product ${data.id}:`, err));
+    }
+    if (!req.file) return res.json(data);
+    await productImageService.replacePrimaryFile(data.id, req.file);
+    res.json(await productRepository.findById(data.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+};
+
+// Archives by default; `?permanent=true` deletes products that were never ordered.
+export const deleteProduct = async (req, res) => {
   const { id } = req.params;
   try {
-    const { name, description, price, category, brand, stock_count } = req.body;
-    const updates = { name, description, price, category, brand, stock_count };
+    if (['true', '1'].includes(req.query.permanent)) {
+      await productArchiveService.removePermanently(id);
+      return res.json({ message: 'Product deleted permanently' });
+    }
+    const product = await productArchiveService.archive(id);
+    res.json({ message: 'Product archived', product });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const restoreProduct = async (req, res) => {
+  try {
+    res.json(await productArchiveService.restore(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const createVariant = async (req, res) => {
+  try {
+    const asset = req.file ? await mediaService.storeImage(req.file) : null;
+    const variant = await variantService.addVariant(req.params.id, { ...req.body, image_url: asset?.url });
+    res.status(201).json(variant);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updateVariant = async (req, res) => {
+  try {
+    const { sku, attributes, price, stock_count } = req.body;
+    const updates = { sku, attributes, price, stock_count };
     if (req.file) {
-      updates.image_url = await uploadImage(req.file);
+      updates.image_url = (await mediaService.storeImage(req.file)).url;
     }
-    const { data, error } = await supabase
-      .from('products')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
-    if (error || !data) return res.status(404).json({ error: 'Product not found' });
-    res.json(data);
+    res.json(await variantService.updateVariant(req.params.id, req.params.variantId, updates));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
-export const deleteProduct = async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can delete products' });
+export const deleteVariant = async (req, res) => {
+  try {
+    await variantService.removeVariant(req.params.id, req.params.variantId);
+    res.json({ message: 'Variant deleted successfully' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  const { id } = req.params;
+};
+
+export const getProductImages = async (req, res) => {
   try {
-    await supabase.from('cart_items').delete().eq('product_id', id);
-    await supabase.from('order_items').delete().eq('product_id', id);
-    const { data, error } = await supabase
-      .from('products')
-      .delete()
-      .eq('id', id)
-      .select()
-      .single();
-    if (error || !data) return res.status(404).json({ error: 'Product not found' });
-    res.json({ message: 'Product deleted successfully and removed from all related records.' });
+    const product = await productRepository.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    res.json(await productImageService.list(product.id));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
+
+export const addProductImages = async (req, res) => {
+  try {
+    res.status(201).json(await productImageService.add(req.params.id, req.files));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const reorderProductImages = async (req, res) => {
+  try {
+    res.json(await productImageService.reorder(req.params.id, req.body.image_ids));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteProductImage = async (req, res) => {
+  try {
+    await productImageService.remove(req.params.id, req.params.imageId);
+    res.json({ message: 'Image deleted successfully' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getProductReviews = async (req, res) => {
+  try {
+    res.json(await reviewService.listForProduct(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const createProductReview = async (req, res) => {
+  try {
+    res.status(201).json(await reviewService.create(req.params.id, req.user, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updateProductReview = async (req, res) => {
+  try {
+    res.json(await reviewService.update(req.params.id, req.params.reviewId, req.user, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const createStockAlert = async (req, res) => {
+  try {
+    const { alert, created } = await stockAlertService.subscribe(req.user.id, req.params.id);
+    res.status(created ? 201 : 200).json(alert);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteStockAlert = async (req, res) => {
+  try {
+    await stockAlertService.unsubscribe(req.user.id, req.params.id);
+    res.json({ message: 'You will no longer be notified about this product' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
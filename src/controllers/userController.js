@@ -1,84 +1,127 @@
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
-import supabase from '../utils/supabaseClient.js';
-import fs from 'fs';
-import cloudinary from '../utils/cloudinaryConfig.js';
-import transporter from '../utils/mailer.js';
+import * as userRepository from '../repositories/userRepository.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as cartService from '../services/cartService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as passwordResetService from '../services/passwordResetService.js';
+import * as emailVerificationService from '../services/emailVerificationService.js';
+import * as mediaService from '../services/mediaService.js';
+import * as addressService from '../services/addressService.js';
+import * as accountService from '../services/accountService.js';
 
 import dotenv from 'dotenv';
 dotenv.config();
 
-const generateToken = (user) =>
-  jwt.sign(
-    {
-      id: user.id,
-      email: user.email,
-      username: user.name,
-      role: user.role
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-
-// Helper for uploading image
-const uploadImage = async (file) => {
-  if (!file) return null;
-  const result = await cloudinary.uploader.upload(file.path, {
-    folder: 'forge_and_bolt',
-  });
-  fs.unlinkSync(file.path);
-  return result.secure_url;
+const deviceLabel = (req) => req.body.device || req.headers['user-agent'];
+
+// Items added before signing in follow the customer into their account. A
+// failed merge is logged rather than failing the sign-in.
+const mergeGuestCart = async (req, userId) => {
+  const cartToken = req.body.cart_token || req.headers['x-cart-token'];
+  if (!cartToken) return;
+  try {
+    await cartService.mergeGuestCart(userId, cartToken);
+  } catch (err) {
+    console.error(`Could not merge guest cart into the cart of user ${userId}:`, err);
+  }
 };
 
 export const register = async (req, res) => {
-  const { email, password, name, role = 'customer' } = req.body;
+  const { email, password, name } = req.body;
   if (!email || !password || !name) return res.status(400).json({ error: 'All fields are required' });
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
-    let imageUrl = null;
-    if (req.file) {
-      imageUrl = await uploadImage(req.file);
+    if (await userRepository.findByEmail(email)) {
+      return res.status(400).json({ error: 'Email is already registered' });
     }
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .insert([{ email, password: hashedPassword, name, profile_image_url: imageUrl, role }])
-      .select()
-      .single();
-    if (userError) return res.status(400).json({ error: userError.message });
-    await supabase.from('carts').insert([{ user_id: user.id, grand_total: 0 }]);
+    const imageUrl = req.file ? (await mediaService.storeImage(req.file)).url : null;
+    const user = await userRepository.create({
+      email, password: hashedPassword, name, profile_image_url: imageUrl, role: 'customer', email_verified: false
+    });
+    await cartRepository.create(user.id);
+    await mergeGuestCart(req, user.id);
+    await emailVerificationService.sendVerification(user);
+    const { token, refreshToken } = await sessionService.startSession(user, deviceLabel(req));
     res.status(201).json({
       message: 'User registered successfully',
-      token: generateToken(user),
+      token,
+      refreshToken,
       user
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
 export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const { data: user, error } = await supabase.from('users').select('*').eq('email', email).single();
-    if (error || !user) return res.status(400).json({ error: 'Invalid email or password' });
+    const user = await userRepository.findByEmail(email);
+    if (!user) return res.status(400).json({ error: 'Invalid email or password' });
     const valid = await bcrypt.compare(password, user.password);
     if (!valid) return res.status(400).json({ error: 'Invalid email or password' });
-    const token = generateToken(user);
-    res.json({ token, user });
+    if (accountService.isBlocked(user)) return res.status(403).json({ error: accountService.SUSPENDED_MESSAGE });
+    await mergeGuestCart(req, user.id);
+    const { token, refreshToken } = await sessionService.startSession(user, deviceLabel(req));
+    res.json({ token, refreshToken, user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'Refresh token is required' });
+  try {
+    res.json(await sessionService.refreshSession(refreshToken));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    await sessionService.endSession(req.user.sid);
+    res.json({ message: 'Logged out' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
+export const logoutAll = async (req, res) => {
+  try {
+    await sessionService.endAllSessions(req.user.id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ error: 'Verification token is required' });
+  try {
+    const user = await emailVerificationService.verify(token);
+    res.json({ message: 'Email verified successfully', email: user.email });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    await emailVerificationService.resend(req.user.id);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
 export const getProfile = async (req, res) => {
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', req.user.id)
-      .single();
-    if (error || !user) return res.status(404).json({ error: 'User not found' });
-    res.json(user);
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ ...user, addresses: await addressService.list(user.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -86,24 +129,33 @@ export const getProfile = async (req, res) => {
 
 export const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, company_name, tax_id } = req.body;
+    const current = await userRepository.findById(req.user.id);
+    if (!current) return res.status(404).json({ error: 'User not found' });
     const updates = {};
     if (name) updates.name = name;
-    if (email) updates.email = email;
+    // Printed on invoices for customers buying for a business.
+    if (company_name !== undefined) updates.company_name = company_name || null;
+    if (tax_id !== undefined) updates.tax_id = tax_id || null;
+    // A new address only replaces the old one once it has been verified.
+    const emailChanged = email && email !== current.email;
+    if (emailChanged) {
+      if (await userRepository.findByEmail(email)) {
+        return res.status(400).json({ error: 'Email is already registered' });
+      }
+      updates.pending_email = email;
+    }
     if (req.file) {
-      const imageUrl = await uploadImage(req.file);
-      updates.profile_image_url = imageUrl;
+      updates.profile_image_url = (await mediaService.storeImage(req.file)).url;
+    }
+    const data = await userRepository.update(req.user.id, updates);
+    if (updates.profile_image_url && current.profile_image_url) {
+      await mediaService.discard({ url: current.profile_image_url });
     }
-    const { data, error } = await supabase
-      .from('users')
-      .update(updates)
-      .eq('id', req.user.id)
-      .select()
-      .single();
-    if (error) return res.status(400).json({ error: error.message });
+    if (emailChanged) await emailVerificationService.sendVerification(data, email);
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
@@ -111,27 +163,10 @@ export const forgotPassword = async (req, res) => {
   const { email } = req.body;
   if (!email) return res.status(400).json({ error: 'Email is required' });
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
-    if (error || !user) return res.status(404).json({ error: 'User not found' });
-    const resetToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
-    const resetUrl = `https://forge-bolt-neon.vercel.app/reset-password?token=${resetToken}`;
-    await transporter.sendMail({
-      from: `"Forge & Bolt" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: 'Password Reset Request',
-      html: `<p>Click below to reset your password:</p><a href="${resetUrl}">${resetUrl}</a><p>Link expires in 15 minutes.</p>`,
-    });
+    await passwordResetService.requestReset(email, req.ip);
     res.json({ message: 'Reset email sent if the account exists.' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
 
@@ -139,24 +174,61 @@ export const resetPassword = async (req, res) => {
   const { token, newPassword } = req.body;
   if (!token || !newPassword) return res.status(400).json({ error: 'Token and new password required' });
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', userId)
-      .single();
-    if (error || !user) return res.status(400).json({ error: 'Invalid token or user not found' });
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ password: hashedPassword })
-      .eq('id', userId);
-    if (updateError) {
-      return res.status(500).json({ error: 'Failed to reset password' });
-    }
+    await passwordResetService.resetPassword(token, newPassword);
     res.json({ message: 'Password has been reset successfully' });
   } catch (err) {
-    res.status(400).json({ error: 'Invalid or expired token' });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const getAddresses = async (req, res) => {
+  try {
+    res.json(await addressService.list(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const createAddress = async (req, res) => {
+  try {
+    res.status(201).json(await addressService.create(req.user.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const updateAddress = async (req, res) => {
+  try {
+    res.json(await addressService.update(req.user.id, req.params.id, req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteAddress = async (req, res) => {
+  try {
+    await addressService.remove(req.user.id, req.params.id);
+    res.json({ message: 'Address deleted successfully' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+// The customer's own data as JSON, for NDPR/GDPR access requests.
+export const exportAccountData = async (req, res) => {
+  try {
+    const data = await accountService.exportData(req.user.id);
+    res.attachment(`forge-and-bolt-data-${req.user.id}.json`).json(data);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const deleteAccount = async (req, res) => {
+  try {
+    await accountService.deleteAccount(req.user.id, req.body || {});
+    res.json({ message: 'Your account has been deleted' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 };
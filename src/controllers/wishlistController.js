@@ -0,0 +1,29 @@
+import * as wishlistService from '../services/wishlistService.js';
+
+export const getWishlist = async (req, res) => {
+  try {
+    res.json(await wishlistService.list(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const addToWishlist = async (req, res) => {
+  const { productId } = req.body;
+  if (!productId) return res.status(400).json({ error: 'Product ID is required' });
+  try {
+    const { item, created } = await wishlistService.add(req.user.id, productId);
+    res.status(created ? 201 : 200).json(item);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const removeFromWishlist = async (req, res) => {
+  try {
+    await wishlistService.remove(req.user.id, req.params.productId);
+    res.json({ message: 'Removed from your wishlist' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
@@ -1,6 +1,9 @@
 import jwt from 'jsonwebtoken';
-import multer from 'multer';
 import dotenv from 'dotenv';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { isSessionActive } from '../services/sessionService.js';
+import * as userRepository from '../repositories/userRepository.js';
+import { isBlocked, SUSPENDED_MESSAGE } from '../services/accountService.js';
 dotenv.config();
 
 export const authenticateToken = (req, res, next) => {
@@ -8,11 +11,52 @@ export const authenticateToken = (req, res, next) => {
   if (!authHeader) return res.status(401).json({ error: 'Missing auth token' });
   const token = authHeader.split(' ')[1];
   if (!token) return res.status(401).json({ error: 'Invalid auth token' });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ error: 'Token invalid or expired' });
+    try {
+      const [active, account] = await Promise.all([isSessionActive(user.sid), userRepository.findById(user.id)]);
+      if (!active) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+      if (isBlocked(account)) return res.status(403).json({ error: SUSPENDED_MESSAGE });
+    } catch (lookupErr) {
+      return res.status(500).json({ error: lookupErr.message });
+    }
     req.user = user;
     next();
   });
 };
 
-export const upload = multer({ dest: '/tmp' });
+// For routes guests can use too: signed-in callers are authenticated as usual,
+// anyone without an Authorization header carries on as a guest.
+export const optionalAuthentication = (req, res, next) => {
+  if (!req.headers['authorization']) return next();
+  authenticateToken(req, res, next);
+};
+
+// Must run after authenticateToken.
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+export const permit = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission "${permission}"`);
+  return authorize(...PERMISSIONS[permission]);
+};
+
+// Must run after authenticateToken. Reads the flag from the database because
+// the access token may predate the verification.
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await userRepository.findById(req.user.id);
+    if (!user?.email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address before checking out' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  next();
+};
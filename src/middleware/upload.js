@@ -0,0 +1,46 @@
+import os from 'os';
+import multer from 'multer';
+import { IMAGE_TYPES, MAX_IMAGE_BYTES, discardTemp } from '../services/mediaService.js';
+import { AppError } from '../utils/errors.js';
+
+const MAX_IMAGES = 10;
+const MAX_CSV_BYTES = 20 * 1024 * 1024;
+
+const images = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError(`Images must be one of: ${IMAGE_TYPES.join(', ')}`, 415));
+  },
+});
+
+const csv = multer({ dest: os.tmpdir(), limits: { fileSize: MAX_CSV_BYTES, files: 1 } });
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File is too large',
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_IMAGES} files at once`,
+};
+
+// Turns multer's errors into JSON responses and deletes whatever temp files a
+// handler left behind once the response is done, even if it threw.
+const handled = (middleware) => (req, res, next) => {
+  res.on('close', () => {
+    for (const file of [req.file, ...(req.files || [])]) discardTemp(file).catch(() => {});
+  });
+  middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: LIMIT_MESSAGES[err.code] || err.message });
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  });
+};
+
+export const imageUpload = {
+  single: (field) => handled(images.single(field)),
+  array: (field) => handled(images.array(field, MAX_IMAGES)),
+};
+
+export const csvUpload = (field) => handled(csv.single(field));
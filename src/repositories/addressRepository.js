@@ -0,0 +1,27 @@
+import db from './db.js';
+
+const addresses = db.table('addresses');
+
+export const listForUser = (userId) =>
+  addresses.find({ user_id: userId }, { order: [{ column: 'is_default', ascending: false }, { column: 'id', ascending: true }] });
+
+export const findForUser = (userId, id) => addresses.findOne({ id, user_id: userId });
+
+export const findDefault = (userId) => addresses.findOne({ user_id: userId, is_default: true });
+
+export const create = (values) => addresses.insert(values);
+
+export const update = async (id, changes) => {
+  const [address] = await addresses.update({ id }, changes);
+  return address || null;
+};
+
+// Only one default per user; the database enforces it with a partial unique index.
+export const clearDefault = (userId) => addresses.update({ user_id: userId, is_default: true }, { is_default: false });
+
+export const removeAllForUser = (userId) => addresses.delete({ user_id: userId });
+
+export const remove = async (id) => {
+  const [address] = await addresses.delete({ id });
+  return address || null;
+};
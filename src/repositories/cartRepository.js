@@ -0,0 +1,91 @@
+import db from './db.js';
+import { embedOne } from './relations.js';
+
+const carts = db.table('carts');
+const cartItems = db.table('cart_items');
+
+const withProducts = async (items) =>
+  embedOne(
+    await embedOne(items, { table: 'products', foreignKey: 'product_id' }),
+    { table: 'product_variants', foreignKey: 'variant_id', as: 'variant' }
+  );
+
+export const findByUserId = (userId) => carts.findOne({ user_id: userId });
+
+export const create = (userId) => carts.insert({ user_id: userId, grand_total: 0 });
+
+export const getOrCreate = async (userId) => (await findByUserId(userId)) || create(userId);
+
+// Guest carts belong to whoever holds the cart token; only its hash is stored.
+export const findByGuestToken = (tokenHash) => carts.findOne({ guest_token_hash: tokenHash });
+
+export const createGuest = (tokenHash, expiresAt) =>
+  carts.insert({ user_id: null, guest_token_hash: tokenHash, expires_at: expiresAt, grand_total: 0 });
+
+export const extendGuest = (cartId, expiresAt) => carts.update({ id: cartId }, { expires_at: expiresAt });
+
+// Clears the token so only one caller gets to merge the cart. Resolves to the
+// cart, or null when it was already taken.
+export const claimGuest = async (cartId, tokenHash) => {
+  const [cart] = await carts.update({ id: cartId, guest_token_hash: tokenHash }, { guest_token_hash: null });
+  return cart || null;
+};
+
+export const listExpiredGuests = (now) => carts.find({ user_id: null, expires_at: { lt: now } }, { columns: ['id'] });
+
+export const remove = async (cartIds) => {
+  const ids = [].concat(cartIds);
+  if (!ids.length) return;
+  await cartItems.delete({ cart_id: { in: ids } });
+  await carts.delete({ id: { in: ids } });
+};
+
+// Messages about changes made to a cart behind the customer's back, shown once.
+export const addNotice = async (cartId, message) => {
+  const cart = await carts.findOne({ id: cartId });
+  await carts.update({ id: cartId }, { notices: [...(cart?.notices || []), message] });
+};
+
+export const takeNotices = async (cart) => {
+  if (!cart.notices?.length) return [];
+  await carts.update({ id: cart.id }, { notices: [] });
+  return cart.notices;
+};
+
+export const setGrandTotal = (cartId, grandTotal) =>
+  carts.update({ id: cartId }, { grand_total: grandTotal });
+
+export const setPromotionCode = (cartId, code) => carts.update({ id: cartId }, { promotion_code: code });
+
+export const listItems = async (cartId) => withProducts(await cartItems.find({ cart_id: cartId }));
+
+export const findItem = async (cartId, itemId) => {
+  const item = await cartItems.findOne({ id: itemId, cart_id: cartId });
+  if (!item) return null;
+  const [enriched] = await withProducts([item]);
+  return enriched;
+};
+
+export const addItem = async (cartId, productId, variantId, quantity) => {
+  const item = await cartItems.insert({ cart_id: cartId, product_id: productId, variant_id: variantId, quantity });
+  const [enriched] = await withProducts([item]);
+  return enriched;
+};
+
+export const updateItemQuantity = async (cartId, itemId, quantity) => {
+  const [item] = await cartItems.update({ id: itemId, cart_id: cartId }, { quantity });
+  if (!item) return null;
+  const [enriched] = await withProducts([item]);
+  return enriched;
+};
+
+export const removeItem = async (cartId, itemId) => {
+  const [item] = await cartItems.delete({ id: itemId, cart_id: cartId });
+  return item || null;
+};
+
+export const clear = (cartId) => cartItems.delete({ cart_id: cartId });
+
+export const removeProduct = (productId) => cartItems.delete({ product_id: productId });
+
+export const removeVariant = (variantId) => cartItems.delete({ variant_id: variantId });
@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import createMemoryStore from './stores/memoryStore.js';
+
+// DATA_STORE=memory runs the API without a Supabase project (tests, offline dev).
+const driver = process.env.DATA_STORE || 'supabase';
+
+let db;
+if (driver === 'memory') {
+  db = createMemoryStore();
+} else if (driver === 'supabase') {
+  const { default: supabase } = await import('../utils/supabaseClient.js');
+  const { default: createSupabaseStore } = await import('./stores/supabaseStore.js');
+  db = createSupabaseStore(supabase);
+} else {
+  throw new Error(`Unknown DATA_STORE "${driver}"`);
+}
+
+export default db;
@@ -0,0 +1,21 @@
+import db from './db.js';
+
+const verificationTokens = db.table('email_verification_tokens');
+
+export const create = (values) => verificationTokens.insert(values);
+
+export const findByTokenHash = (hash) => verificationTokens.findOne({ token_hash: hash });
+
+export const markUsed = async (id) => {
+  const [token] = await verificationTokens.update(
+    { id, used_at: null, invalidated_at: null },
+    { used_at: new Date().toISOString() }
+  );
+  return token || null;
+};
+
+export const invalidateOutstanding = (userId) =>
+  verificationTokens.update(
+    { user_id: userId, used_at: null, invalidated_at: null },
+    { invalidated_at: new Date().toISOString() }
+  );
@@ -0,0 +1,12 @@
+import db from './db.js';
+
+const importJobs = db.table('import_jobs');
+
+export const create = (values) => importJobs.insert(values);
+
+export const findById = (id) => importJobs.findOne({ id });
+
+export const update = async (id, changes) => {
+  const [job] = await importJobs.update({ id }, changes);
+  return job || null;
+};
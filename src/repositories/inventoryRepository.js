@@ -0,0 +1,18 @@
+import db from './db.js';
+
+const stockReservations = db.table('stock_reservations');
+
+export const reserve = (orderId, items, expiresAt) =>
+  db.rpc('reserve_stock', { p_order_id: orderId, p_items: items, p_expires_at: expiresAt });
+
+export const commit = (orderId) => db.rpc('commit_stock_reservation', { p_order_id: orderId });
+
+export const release = (orderId) => db.rpc('release_stock_reservation', { p_order_id: orderId });
+
+export const restock = (orderId) => db.rpc('restock_order', { p_order_id: orderId });
+
+export const syncProduct = (productId) => db.rpc('sync_product_stock', { p_product_id: productId });
+
+export const releaseExpired = (now) => db.rpc('release_expired_stock_reservations', { p_now: now });
+
+export const listForOrder = (orderId) => stockReservations.find({ order_id: orderId });
@@ -0,0 +1,112 @@
+import db from './db.js';
+import { embedMany, embedOne } from './relations.js';
+
+const orders = db.table('orders');
+const orderItems = db.table('order_items');
+const statusHistory = db.table('order_status_history');
+const orderDiscounts = db.table('order_discounts');
+
+const withItems = async (rows) => {
+  const withLines = await embedMany(
+    await embedMany(rows, { table: 'order_items', foreignKey: 'order_id' }),
+    { table: 'order_discounts', foreignKey: 'order_id', as: 'discounts' }
+  );
+  return Promise.all(
+    withLines.map(async (order) => ({
+      ...order,
+      order_items: await embedOne(
+        await embedOne(order.order_items, { table: 'products', foreignKey: 'product_id' }),
+        { table: 'product_variants', foreignKey: 'variant_id', as: 'variant' }
+      ),
+    }))
+  );
+};
+
+export const create = (values) => orders.insert(values);
+
+export const createItems = (items) => orderItems.insert(items);
+
+export const findById = (id) => orders.findOne({ id });
+
+export const findWithItems = async (id) => {
+  const order = await orders.findOne({ id });
+  if (!order) return null;
+  const [enriched] = await withItems([order]);
+  return enriched;
+};
+
+// Gives a paid order the next invoice number, once. Resolves to the number.
+export const assignInvoiceNumber = (id) => db.rpc('assign_invoice_number', { p_order_id: id });
+
+export const findForUser = async (id, userId) => {
+  const order = await orders.findOne({ id, user_id: userId });
+  if (!order) return null;
+  const [enriched] = await withItems([order]);
+  return enriched;
+};
+
+export const listForUser = async (userId, { statuses } = {}) => {
+  const filter = { user_id: userId };
+  if (statuses) filter.status = { in: statuses };
+  return withItems(await orders.find(filter, { order: { column: 'created_at', ascending: false } }));
+};
+
+// Admin order list, newest first. Every filter is optional; `placedBefore` is
+// exclusive. Resolves to { items, total }.
+export const search = async ({ statuses, userId, placedFrom, placedBefore, minTotal, from, to }) => {
+  const filter = {};
+  if (statuses?.length) filter.status = { in: statuses };
+  if (userId != null) filter.user_id = userId;
+  if (placedFrom || placedBefore) {
+    filter.created_at = {
+      ...(placedFrom && { gte: placedFrom }),
+      ...(placedBefore && { lt: placedBefore }),
+    };
+  }
+  if (minTotal != null) filter.total_amount = { gte: minTotal };
+  const [items, total] = await Promise.all([
+    orders.find(filter, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    orders.count(filter),
+  ]);
+  return { items, total };
+};
+
+export const listItems = (orderId) => orderItems.find({ order_id: orderId });
+
+export const update = async (id, changes) => {
+  const [order] = await orders.update({ id }, changes);
+  return order || null;
+};
+
+// Compare-and-set on the current status so two concurrent transitions can't both win.
+export const updateStatus = async (id, fromStatus, toStatus) => {
+  const [order] = await orders.update(
+    { id, status: fromStatus },
+    { status: toStatus, updated_at: new Date().toISOString() }
+  );
+  return order || null;
+};
+
+export const addStatusHistory = (entry) => statusHistory.insert(entry);
+
+export const listStatusHistory = (orderId) =>
+  statusHistory.find({ order_id: orderId }, { order: [{ column: 'created_at' }, { column: 'id' }] });
+
+export const remove = async (id) => {
+  await orderDiscounts.delete({ order_id: id });
+  await orderItems.delete({ order_id: id });
+  await statusHistory.delete({ order_id: id });
+  const [order] = await orders.delete({ id });
+  return order || null;
+};
+
+// How many of the user's orders in `statuses` include the product.
+export const countPurchases = async (userId, productId, statuses) => {
+  const owned = await orders.find({ user_id: userId, status: { in: statuses } }, { columns: ['id'] });
+  if (!owned.length) return 0;
+  return orderItems.count({ product_id: productId, order_id: { in: owned.map((order) => order.id) } });
+};
+
+export const countForProduct = (productId) => orderItems.count({ product_id: productId });
+
+export const countForVariant = (variantId) => orderItems.count({ variant_id: variantId });
@@ -0,0 +1,22 @@
+import db from './db.js';
+
+const resetTokens = db.table('password_reset_tokens');
+
+export const create = (values) => resetTokens.insert(values);
+
+export const findByTokenHash = (hash) => resetTokens.findOne({ token_hash: hash });
+
+// Marks the token used only if nobody redeemed or superseded it first.
+export const markUsed = async (id) => {
+  const [token] = await resetTokens.update(
+    { id, used_at: null, invalidated_at: null },
+    { used_at: new Date().toISOString() }
+  );
+  return token || null;
+};
+
+export const invalidateOutstanding = (userId) =>
+  resetTokens.update(
+    { user_id: userId, used_at: null, invalidated_at: null },
+    { invalidated_at: new Date().toISOString() }
+  );
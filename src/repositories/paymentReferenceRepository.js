@@ -0,0 +1,30 @@
+import db from './db.js';
+
+const paymentReferences = db.table('payment_references');
+
+export const create = (values) => paymentReferences.insert(values);
+
+export const findByReference = (provider, reference, status) =>
+  paymentReferences.findOne({ provider, reference, status: status ?? null });
+
+// Resolves to { items, total } for the rows `from` to `to`.
+export const listNeedingReview = async ({ from, to }) => {
+  const filter = { review_status: 'needs_review' };
+  const [items, total] = await Promise.all([
+    paymentReferences.find(filter, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    paymentReferences.count(filter),
+  ]);
+  return { items, total };
+};
+
+// The captured payment a refund is issued against.
+export const findSuccessfulForOrder = (orderId) =>
+  paymentReferences.findOne(
+    { order_id: orderId, status: 'success', review_status: null },
+    { order: { column: 'created_at', ascending: false } }
+  );
+
+export const listForOrder = (orderId) => paymentReferences.find({ order_id: orderId });
+
+export const listForUser = (userId) =>
+  paymentReferences.find({ user_id: userId }, { order: { column: 'created_at', ascending: false } });
@@ -0,0 +1,22 @@
+import db from './db.js';
+
+const productImages = db.table('product_images');
+
+export const listForProduct = (productId) =>
+  productImages.find({ product_id: productId }, { order: [{ column: 'position' }, { column: 'id' }] });
+
+export const findForProduct = (productId, id) => productImages.findOne({ id, product_id: productId });
+
+export const create = (values) => productImages.insert(values);
+
+export const update = async (id, changes) => {
+  const [image] = await productImages.update({ id }, changes);
+  return image || null;
+};
+
+export const remove = async (id) => {
+  const [image] = await productImages.delete({ id });
+  return image || null;
+};
+
+export const removeForProduct = (productId) => productImages.delete({ product_id: productId });
@@ -0,0 +1,67 @@
+import db from './db.js';
+
+const products = db.table('products');
+
+export const findById = (id) => products.findOne({ id });
+
+export const findBySkus = (skus) => (skus.length ? products.find({ sku: { in: skus } }) : []);
+
+// Stable id order so a paged walk over the catalogue sees every row once.
+export const listPage = (from, to) =>
+  products.find({}, { order: { column: 'id', ascending: true }, range: [from, to] });
+
+export const SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'popularity', 'rating'];
+
+// Resolves to { items, total, facets: { categories, brands } }. Without `query`
+// the catalogue is browsed newest first; with it, results rank by relevance.
+export const search = ({ query, categories, brands, minPrice, maxPrice, inStock, sort, from, to }) =>
+  db.rpc('search_products', {
+    p_query: query || null,
+    p_categories: categories?.length ? categories : null,
+    p_brands: brands?.length ? brands : null,
+    p_min_price: minPrice ?? null,
+    p_max_price: maxPrice ?? null,
+    p_in_stock: Boolean(inStock),
+    p_sort: sort || null,
+    p_limit: to - from + 1,
+    p_offset: from,
+  });
+
+// Most recently archived first. Resolves to { items, total }.
+export const listArchived = async ({ from, to }) => {
+  const filter = { archived_at: { not: null } };
+  const [items, total] = await Promise.all([
+    products.find(filter, { order: [{ column: 'archived_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    products.count(filter),
+  ]);
+  return { items, total };
+};
+
+// Live products whose available stock is below their threshold: their own,
+// else their category's, else `defaultThreshold`. Resolves to { items, total };
+// each item carries `threshold` and `threshold_source`.
+export const listLowStock = (defaultThreshold, { from, to }) =>
+  db.rpc('list_low_stock', { p_default_threshold: defaultThreshold, p_limit: to - from + 1, p_offset: from });
+
+export const create = (values) => products.insert(values);
+
+export const update = async (id, changes) => {
+  const [product] = await products.update({ id }, changes);
+  return product || null;
+};
+
+// Compare-and-set on archived_at so archiving twice doesn't move the timestamp.
+export const archive = async (id) => {
+  const [product] = await products.update({ id, archived_at: null }, { archived_at: new Date().toISOString() });
+  return product || null;
+};
+
+export const restore = async (id) => {
+  const [product] = await products.update({ id }, { archived_at: null });
+  return product || null;
+};
+
+export const remove = async (id) => {
+  const [product] = await products.delete({ id });
+  return product || null;
+};
@@ -0,0 +1,53 @@
+import db from './db.js';
+
+const promotions = db.table('promotions');
+const redemptions = db.table('promotion_redemptions');
+const orderDiscounts = db.table('order_discounts');
+
+// Resolves to { items, total } for the rows `from` to `to`.
+export const list = async ({ from, to }) => {
+  const [items, total] = await Promise.all([
+    promotions.find({}, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    promotions.count({}),
+  ]);
+  return { items, total };
+};
+
+export const findById = (id) => promotions.findOne({ id });
+
+export const findByCode = (code) => promotions.findOne({ code });
+
+export const create = (values) => promotions.insert(values);
+
+export const update = async (id, changes) => {
+  const [promotion] = await promotions.update({ id }, changes);
+  return promotion || null;
+};
+
+export const remove = async (id) => {
+  const [promotion] = await promotions.delete({ id });
+  return promotion || null;
+};
+
+export const countRedemptions = (promotionId, userId) =>
+  redemptions.count({ promotion_id: promotionId, status: 'active', ...(userId ? { user_id: userId } : {}) });
+
+export const listRedemptions = (promotionIds, { statuses = ['active'] } = {}) =>
+  promotionIds.length
+    ? redemptions.find(
+      { promotion_id: { in: promotionIds }, status: { in: statuses } },
+      { order: { column: 'created_at', ascending: false } }
+    )
+    : [];
+
+// Resolves to { ok, reason }; the limit checks and the insert happen atomically.
+export const redeem = ({ promotionId, userId, orderId, amount }) =>
+  db.rpc('redeem_promotion', { p_promotion_id: promotionId, p_user_id: userId, p_order_id: orderId, p_amount: amount });
+
+export const releaseForOrder = (orderId) =>
+  redemptions.update({ order_id: orderId, status: 'active' }, { status: 'released' });
+
+export const reclaimForOrder = (orderId) =>
+  redemptions.update({ order_id: orderId, status: 'released' }, { status: 'active' });
+
+export const createOrderDiscounts = (lines) => (lines.length ? orderDiscounts.insert(lines) : []);
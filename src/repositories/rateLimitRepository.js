@@ -0,0 +1,11 @@
+import db from './db.js';
+
+const events = db.table('rate_limit_events');
+
+export const record = (bucket, key) => events.insert({ bucket, key });
+
+export const countSince = (bucket, key, since) =>
+  events.count({ bucket, key, created_at: { gte: since } });
+
+export const pruneBefore = (bucket, key, before) =>
+  events.delete({ bucket, key, created_at: { lt: before } });
@@ -0,0 +1,16 @@
+import db from './db.js';
+
+const refunds = db.table('refunds');
+
+export const create = (values) => refunds.insert(values);
+
+export const findByProviderId = (provider, providerRefundId) =>
+  refunds.findOne({ provider, provider_refund_id: providerRefundId });
+
+export const listForOrder = (orderId) =>
+  refunds.find({ order_id: orderId }, { order: { column: 'created_at', ascending: true } });
+
+export const update = async (id, changes) => {
+  const [refund] = await refunds.update({ id }, changes);
+  return refund || null;
+};
@@ -0,0 +1,20 @@
+import db from './db.js';
+
+// Stand-ins for Supabase embedded selects such as `order_items(*, products(*))`,
+// so repositories return the same shapes whichever store is configured.
+
+export const embedOne = async (rows, { table, foreignKey, as = table }) => {
+  const ids = [...new Set(rows.map((row) => row[foreignKey]).filter((id) => id != null))];
+  const related = ids.length ? await db.table(table).find({ id: { in: ids } }) : [];
+  const byId = new Map(related.map((row) => [String(row.id), row]));
+  return rows.map((row) => ({ ...row, [as]: byId.get(String(row[foreignKey])) || null }));
+};
+
+export const embedMany = async (rows, { table, foreignKey, as = table, order }) => {
+  const ids = rows.map((row) => row.id);
+  const related = ids.length ? await db.table(table).find({ [foreignKey]: { in: ids } }, { order }) : [];
+  return rows.map((row) => ({
+    ...row,
+    [as]: related.filter((child) => String(child[foreignKey]) === String(row.id)),
+  }));
+};
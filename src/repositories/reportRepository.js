@@ -0,0 +1,48 @@
+import db from './db.js';
+
+const orders = db.table('orders');
+const orderItems = db.table('order_items');
+const orderDiscounts = db.table('order_discounts');
+const paymentReferences = db.table('payment_references');
+
+const PAGE = 1000;
+const LOOKUP_CHUNK = 200;
+
+// Reads every matching row in stable id order; Supabase caps a single select.
+const walk = async (table, filter, columns) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const page = await table.find(filter, { columns, order: { column: 'id', ascending: true }, range: [from, from + PAGE - 1] });
+    rows.push(...page);
+    if (page.length < PAGE) return rows;
+  }
+};
+
+const walkIn = async (table, column, ids, filter = {}, columns) => {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += LOOKUP_CHUNK) {
+    rows.push(...(await walk(table, { ...filter, [column]: { in: ids.slice(i, i + LOOKUP_CHUNK) } }, columns)));
+  }
+  return rows;
+};
+
+const placedBetween = ({ start, end }) => ({ created_at: { gte: start, lt: end } });
+
+export const listOrders = (range, { statuses } = {}) =>
+  walk(orders, { ...placedBetween(range), ...(statuses && { status: { in: statuses } }) });
+
+export const listItemsForOrders = (orderIds) => walkIn(orderItems, 'order_id', orderIds);
+
+export const listDiscountsForOrders = (orderIds) => walkIn(orderDiscounts, 'order_id', orderIds);
+
+// Customers among `userIds` who already had an order in one of `statuses`
+// before `before`.
+export const listCustomersWithOrdersBefore = async (userIds, before, statuses) => {
+  const rows = await walkIn(orders, 'user_id', userIds, { status: { in: statuses }, created_at: { lt: before } }, ['id', 'user_id']);
+  return new Set(rows.map((row) => String(row.user_id)));
+};
+
+export const listPayments = (range) => walk(paymentReferences, placedBetween(range));
+
+export const listProducts = (productIds) =>
+  walkIn(db.table('products'), 'id', productIds, {}, ['id', 'name', 'category', 'brand']);
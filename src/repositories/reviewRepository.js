@@ -0,0 +1,41 @@
+import db from './db.js';
+
+const reviews = db.table('product_reviews');
+const users = db.table('users');
+
+// Reviews carry the reviewer's display name only, never the rest of their row.
+const withReviewers = async (rows) => {
+  const ids = [...new Set(rows.map((review) => review.user_id))];
+  const reviewers = ids.length ? await users.find({ id: { in: ids } }, { columns: ['id', 'name'] }) : [];
+  const names = new Map(reviewers.map((user) => [String(user.id), user.name]));
+  return rows.map((review) => ({ ...review, reviewer_name: names.get(String(review.user_id)) ?? null }));
+};
+
+export const findById = (id) => reviews.findOne({ id });
+
+export const findForUser = (productId, userId) => reviews.findOne({ product_id: productId, user_id: userId });
+
+export const listForProduct = async (productId, { statuses = ['approved'] } = {}) =>
+  withReviewers(await reviews.find(
+    { product_id: productId, status: { in: statuses } },
+    { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }] }
+  ));
+
+// Resolves to { items, total } for the rows `from` to `to`.
+export const list = async ({ status, from, to }) => {
+  const filter = status ? { status } : {};
+  const [rows, total] = await Promise.all([
+    reviews.find(filter, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    reviews.count(filter),
+  ]);
+  return { items: await withReviewers(rows), total };
+};
+
+export const create = (values) => reviews.insert(values);
+
+export const update = async (id, changes) => {
+  const [review] = await reviews.update({ id }, changes);
+  return review || null;
+};
+
+export const refreshProductRating = (productId) => db.rpc('refresh_product_rating', { p_product_id: productId });
@@ -0,0 +1,34 @@
+import db from './db.js';
+
+const sessions = db.table('user_sessions');
+
+export const create = (values) => sessions.insert(values);
+
+export const findById = (id) => sessions.findOne({ id });
+
+export const findByTokenHash = (hash) => sessions.findOne({ refresh_token_hash: hash });
+
+export const findByPreviousTokenHash = (hash) => sessions.findOne({ previous_token_hash: hash });
+
+// Only succeeds while `currentHash` is still the live token, so a refresh token
+// can be exchanged exactly once even under concurrent requests.
+export const rotate = async (id, currentHash, nextHash, expiresAt) => {
+  const [session] = await sessions.update(
+    { id, refresh_token_hash: currentHash, revoked_at: null },
+    {
+      refresh_token_hash: nextHash,
+      previous_token_hash: currentHash,
+      expires_at: expiresAt,
+      last_used_at: new Date().toISOString(),
+    }
+  );
+  return session || null;
+};
+
+export const revoke = (id) =>
+  sessions.update({ id, revoked_at: null }, { revoked_at: new Date().toISOString() });
+
+export const removeAllForUser = (userId) => sessions.delete({ user_id: userId });
+
+export const revokeAllForUser = (userId) =>
+  sessions.update({ user_id: userId, revoked_at: null }, { revoked_at: new Date().toISOString() });
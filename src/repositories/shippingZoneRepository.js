@@ -0,0 +1,29 @@
+import db from './db.js';
+
+const zones = db.table('shipping_zones');
+
+export const list = ({ activeOnly = false } = {}) =>
+  zones.find(activeOnly ? { active: true } : {}, { order: { column: 'id', ascending: true } });
+
+// The admin list. Resolves to { items, total } for the rows `from` to `to`.
+export const listPage = async ({ from, to }) => {
+  const [items, total] = await Promise.all([
+    zones.find({}, { order: { column: 'id', ascending: true }, range: [from, to] }),
+    zones.count({}),
+  ]);
+  return { items, total };
+};
+
+export const findById = (id) => zones.findOne({ id });
+
+export const create = (values) => zones.insert(values);
+
+export const update = async (id, changes) => {
+  const [zone] = await zones.update({ id }, changes);
+  return zone || null;
+};
+
+export const remove = async (id) => {
+  const [zone] = await zones.delete({ id });
+  return zone || null;
+};
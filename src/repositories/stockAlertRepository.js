@@ -0,0 +1,27 @@
+import db from './db.js';
+
+const alerts = db.table('stock_alerts');
+
+export const find = (userId, productId) => alerts.findOne({ user_id: userId, product_id: productId });
+
+export const create = (userId, productId) => alerts.insert({ user_id: userId, product_id: productId, notified_at: null });
+
+export const reopen = async (id) => {
+  const [alert] = await alerts.update({ id }, { notified_at: null });
+  return alert || null;
+};
+
+export const removeAllForUser = (userId) => alerts.delete({ user_id: userId });
+
+export const remove = async (userId, productId) => {
+  const [alert] = await alerts.delete({ user_id: userId, product_id: productId });
+  return alert || null;
+};
+
+// Marks every pending alert for the product as sent and returns them, so two
+// restocks racing each other can't both email the same subscriber.
+export const claimPending = (productId, now) =>
+  alerts.update({ product_id: productId, notified_at: null }, { notified_at: now });
+
+// Puts alerts whose email could not be sent back in line for the next restock.
+export const release = (ids) => (ids.length ? alerts.update({ id: { in: ids } }, { notified_at: null }) : []);
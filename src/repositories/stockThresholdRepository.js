@@ -0,0 +1,16 @@
+import db from './db.js';
+
+const categoryThresholds = db.table('category_stock_thresholds');
+
+export const listCategories = () => categoryThresholds.find({}, { order: { column: 'category', ascending: true } });
+
+export const saveCategory = async (category, threshold) => {
+  const changes = { threshold, updated_at: new Date().toISOString() };
+  const [row] = await categoryThresholds.update({ category }, changes);
+  return row || categoryThresholds.insert({ category, ...changes });
+};
+
+export const removeCategory = async (category) => {
+  const [row] = await categoryThresholds.delete({ category });
+  return row || null;
+};
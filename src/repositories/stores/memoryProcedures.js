@@ -0,0 +1,370 @@
+// JavaScript twins of the Postgres functions in supabase/migrations, used by the
+// in-memory store. Each receives `{ rows, insert }` over the live tables and must
+// stay synchronous so it cannot interleave with another request.
+
+const sameId = (a, b) => String(a) === String(b);
+
+const available = (product) => product.stock_count - (product.reserved_count || 0);
+
+const findProduct = (rows, id) => rows('products').find((product) => sameId(product.id, id));
+
+const findVariant = (rows, id) => rows('product_variants').find((variant) => sameId(variant.id, id));
+
+// The rows whose counters a line moves. A variant's stock also counts towards
+// its product's, so both move together and the variant, listed first, is the
+// one whose availability limits the line.
+const stockRows = (rows, { product_id, variant_id }) => {
+  const product = findProduct(rows, product_id);
+  if (!product) return [];
+  if (variant_id == null) return [product];
+  const variant = findVariant(rows, variant_id);
+  return variant ? [variant, product] : [];
+};
+
+const move = (holders, column, delta) => {
+  for (const holder of holders) holder[column] = (holder[column] || 0) + delta;
+};
+
+// An unpaid order whose hold lapsed also gives back its use of a discount code.
+const release_expired_stock_reservations = ({ rows }, { p_now }) => {
+  const expiredOrders = new Set();
+  for (const reservation of rows('stock_reservations')) {
+    if (reservation.status !== 'active' || reservation.expires_at > p_now) continue;
+    move(stockRows(rows, reservation), 'reserved_count', -reservation.quantity);
+    reservation.status = 'expired';
+    expiredOrders.add(String(reservation.order_id));
+  }
+  const unpaid = new Set(rows('orders')
+    .filter((order) => expiredOrders.has(String(order.id)) && ['pending', 'failed'].includes(order.status))
+    .map((order) => String(order.id)));
+  for (const redemption of rows('promotion_redemptions')) {
+    if (redemption.status === 'active' && unpaid.has(String(redemption.order_id))) redemption.status = 'released';
+  }
+};
+
+const reserve_stock = (tx, { p_order_id, p_items, p_expires_at }) => {
+  release_expired_stock_reservations(tx, { p_now: new Date().toISOString() });
+  const shortages = [];
+  for (const item of p_items) {
+    const [limit] = stockRows(tx.rows, item);
+    if (!limit) continue;
+    if (available(limit) < item.quantity) {
+      shortages.push({
+        product_id: item.product_id,
+        variant_id: item.variant_id ?? null,
+        requested: item.quantity,
+        available: Math.max(available(limit), 0),
+      });
+    }
+  }
+  if (shortages.length) return { ok: false, shortages };
+  for (const item of p_items) {
+    const holders = stockRows(tx.rows, item);
+    if (!holders.length) continue;
+    move(holders, 'reserved_count', item.quantity);
+    tx.insert('stock_reservations', {
+      order_id: p_order_id,
+      product_id: item.product_id,
+      variant_id: item.variant_id ?? null,
+      quantity: item.quantity,
+      status: 'active',
+      expires_at: p_expires_at,
+    });
+  }
+  return { ok: true, shortages };
+};
+
+// Holds that lapsed or were released by a failed charge are taken from
+// whatever stock is still free when the payment does land.
+const commit_stock_reservation = ({ rows }, { p_order_id }) => {
+  const shortages = [];
+  for (const reservation of rows('stock_reservations')) {
+    if (!sameId(reservation.order_id, p_order_id)) continue;
+    if (!['active', 'expired', 'released'].includes(reservation.status)) continue;
+    const holders = stockRows(rows, reservation);
+    if (!holders.length) continue;
+    if (reservation.status === 'active') {
+      move(holders, 'stock_count', -reservation.quantity);
+      move(holders, 'reserved_count', -reservation.quantity);
+    } else if (available(holders[0]) >= reservation.quantity) {
+      move(holders, 'stock_count', -reservation.quantity);
+    } else {
+      shortages.push({
+        product_id: reservation.product_id,
+        variant_id: reservation.variant_id ?? null,
+        requested: reservation.quantity,
+      });
+      continue;
+    }
+    reservation.status = 'committed';
+    reservation.committed_at = new Date().toISOString();
+  }
+  return { ok: shortages.length === 0, shortages };
+};
+
+const release_stock_reservation = ({ rows }, { p_order_id }) => {
+  for (const reservation of rows('stock_reservations')) {
+    if (!sameId(reservation.order_id, p_order_id) || reservation.status !== 'active') continue;
+    move(stockRows(rows, reservation), 'reserved_count', -reservation.quantity);
+    reservation.status = 'released';
+  }
+};
+
+// Once a product has variants its own counters are the sum of theirs.
+const sync_product_stock = ({ rows }, { p_product_id }) => {
+  const product = findProduct(rows, p_product_id);
+  const variants = rows('product_variants').filter((variant) => sameId(variant.product_id, p_product_id));
+  if (!product || !variants.length) return;
+  product.stock_count = variants.reduce((sum, variant) => sum + variant.stock_count, 0);
+  product.reserved_count = variants.reduce((sum, variant) => sum + (variant.reserved_count || 0), 0);
+};
+
+const refresh_product_rating = ({ rows }, { p_product_id }) => {
+  const product = findProduct(rows, p_product_id);
+  if (!product) return;
+  const ratings = rows('product_reviews')
+    .filter((review) => sameId(review.product_id, p_product_id) && review.status === 'approved')
+    .map((review) => review.rating);
+  product.review_count = ratings.length;
+  product.average_rating = ratings.length
+    ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+    : null;
+};
+
+const redeem_promotion = ({ rows, insert }, { p_promotion_id, p_user_id, p_order_id, p_amount }) => {
+  const promotion = rows('promotions').find((row) => sameId(row.id, p_promotion_id));
+  if (!promotion) return { ok: false, reason: 'Discount code not found' };
+  const active = rows('promotion_redemptions')
+    .filter((redemption) => sameId(redemption.promotion_id, p_promotion_id) && redemption.status === 'active');
+  if (promotion.max_redemptions != null && active.length >= promotion.max_redemptions) {
+    return { ok: false, reason: `${promotion.code} has been fully redeemed` };
+  }
+  const usedByUser = active.filter((redemption) => sameId(redemption.user_id, p_user_id)).length;
+  if (promotion.max_redemptions_per_user != null && usedByUser >= promotion.max_redemptions_per_user) {
+    return { ok: false, reason: `You have already used ${promotion.code}` };
+  }
+  insert('promotion_redemptions', {
+    promotion_id: p_promotion_id,
+    user_id: p_user_id,
+    order_id: p_order_id,
+    amount: p_amount,
+    status: 'active',
+  });
+  return { ok: true };
+};
+
+const assign_invoice_number = ({ rows }, { p_order_id }) => {
+  const orders = rows('orders');
+  const order = orders.find((row) => sameId(row.id, p_order_id));
+  if (!order) return null;
+  if (!order.invoice_number) {
+    const issued = orders.filter((row) => row.invoice_number).length;
+    order.invoice_number = `FB-${String(issued + 1).padStart(6, '0')}`;
+    order.invoiced_at = new Date().toISOString();
+  }
+  return order.invoice_number;
+};
+
+const isStale = (event, staleBefore) => event.status === 'processing' && event.claimed_at < staleBefore;
+
+const claim_webhook_event = ({ rows, insert }, { p_provider, p_event_key, p_event_type, p_reference, p_payload, p_stale_before }) => {
+  const existing = rows('webhook_events')
+    .find((event) => event.provider === p_provider && event.event_key === p_event_key);
+  if (!existing) {
+    const event = insert('webhook_events', {
+      provider: p_provider,
+      event_key: p_event_key,
+      event_type: p_event_type,
+      reference: p_reference,
+      payload: p_payload,
+      status: 'processing',
+      attempts: 1,
+      claimed_at: new Date().toISOString(),
+    });
+    return { id: event.id, claimed: true };
+  }
+  if (existing.status !== 'failed' && !isStale(existing, p_stale_before)) return { id: existing.id, claimed: false };
+  existing.status = 'processing';
+  existing.attempts += 1;
+  existing.last_error = null;
+  existing.claimed_at = new Date().toISOString();
+  return { id: existing.id, claimed: true };
+};
+
+const redact_webhook_events = ({ rows }, { p_order_ids, p_references }) => {
+  const orderIds = new Set(p_order_ids.map(String));
+  const references = new Set(p_references);
+  let redacted = 0;
+  for (const event of rows('webhook_events')) {
+    if (!event.payload || !('raw' in event.payload)) continue;
+    const orderId = event.payload.data?.order_id;
+    if (!(orderId != null && orderIds.has(String(orderId))) && !references.has(event.reference)) continue;
+    const { raw, ...rest } = event.payload;
+    event.payload = rest;
+    redacted += 1;
+  }
+  return redacted;
+};
+
+const restock_order = ({ rows }, { p_order_id }) => {
+  for (const reservation of rows('stock_reservations')) {
+    if (!sameId(reservation.order_id, p_order_id) || reservation.status !== 'committed') continue;
+    move(stockRows(rows, reservation), 'stock_count', reservation.quantity);
+    reservation.status = 'restocked';
+  }
+};
+
+// Stand-in for the Postgres full-text + trigram search: every query word is
+// matched against the words of each field, exactly, as a prefix, or within a
+// small edit distance, and the field weights add up to the relevance score.
+const SEARCH_FIELDS = [['name', 3], ['brand', 2], ['description', 1]];
+
+const PAID_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const wordScore = (term, word) => {
+  if (term === word) return 1;
+  if (term.length >= 2 && word.startsWith(term)) return 0.8;
+  const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  return allowed && editDistance(term, word) <= allowed ? 0.6 : 0;
+};
+
+const relevance = (product, terms) => {
+  let matched = 0;
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of SEARCH_FIELDS) {
+      for (const word of words(product[field])) best = Math.max(best, wordScore(term, word) * weight);
+    }
+    if (best > 0) matched += 1;
+    score += best;
+  }
+  return { matched, score };
+};
+
+const unitsSold = (rows) => {
+  const paid = new Set(rows('orders').filter((order) => PAID_STATUSES.includes(order.status)).map((order) => String(order.id)));
+  const sold = new Map();
+  for (const item of rows('order_items')) {
+    if (!paid.has(String(item.order_id))) continue;
+    sold.set(String(item.product_id), (sold.get(String(item.product_id)) || 0) + item.quantity);
+  }
+  return sold;
+};
+
+const newestFirst = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : b.id - a.id);
+
+const SORTS = {
+  relevance: (a, b) => b.matched - a.matched || b.score - a.score || newestFirst(a.product, b.product),
+  newest: (a, b) => newestFirst(a.product, b.product),
+  price_asc: (a, b) => a.product.price - b.product.price || newestFirst(a.product, b.product),
+  price_desc: (a, b) => b.product.price - a.product.price || newestFirst(a.product, b.product),
+  popularity: (a, b) => b.sold - a.sold || newestFirst(a.product, b.product),
+  rating: (a, b) =>
+    (b.product.average_rating ?? -1) - (a.product.average_rating ?? -1) || newestFirst(a.product, b.product),
+};
+
+const facetCounts = (hits, column) => {
+  const counts = new Map();
+  for (const { product } of hits) {
+    if (product[column] == null) continue;
+    counts.set(product[column], (counts.get(product[column]) || 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+// Facets are disjunctive: a facet ignores its own selection, so picking one
+// brand still shows how many results the other brands would give.
+const search_products = ({ rows }, {
+  p_query, p_categories, p_brands, p_min_price, p_max_price, p_in_stock, p_sort, p_limit, p_offset,
+}) => {
+  const terms = words(p_query);
+  const sold = unitsSold(rows);
+  const inList = (list, value) => !list?.length || list.some((candidate) => sameId(candidate, value));
+  const hits = [];
+  for (const product of rows('products')) {
+    if (product.archived_at) continue;
+    if (p_min_price != null && product.price < p_min_price) continue;
+    if (p_max_price != null && product.price > p_max_price) continue;
+    if (p_in_stock && available(product) <= 0) continue;
+    const { matched, score } = terms.length ? relevance(product, terms) : { matched: 0, score: 0 };
+    if (terms.length && !matched) continue;
+    hits.push({ product, matched, score, sold: sold.get(String(product.id)) || 0 });
+  }
+  const selected = hits.filter(({ product }) => inList(p_categories, product.category) && inList(p_brands, product.brand));
+  const sort = SORTS[p_sort] || SORTS[terms.length ? 'relevance' : 'newest'];
+  return {
+    items: [...selected].sort(sort).slice(p_offset, p_offset + p_limit).map(({ product }) => product),
+    total: selected.length,
+    facets: {
+      categories: facetCounts(hits.filter(({ product }) => inList(p_brands, product.brand)), 'category'),
+      brands: facetCounts(hits.filter(({ product }) => inList(p_categories, product.category)), 'brand'),
+    },
+  };
+};
+
+const USER_LIST_COLUMNS = ['id', 'email', 'name', 'role', 'profile_image_url', 'created_at', 'suspended_at', 'deleted_at'];
+
+const search_users = ({ rows }, { p_query, p_role, p_limit, p_offset }) => {
+  const query = p_query?.trim().toLowerCase() || null;
+  const contains = (value) => String(value ?? '').toLowerCase().includes(query);
+  const selected = rows('users')
+    .filter((user) => !query || contains(user.name) || contains(user.email))
+    .filter((user) => !p_role || user.role === p_role)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)) || b.id - a.id);
+  return {
+    items: selected
+      .slice(p_offset, p_offset + p_limit)
+      .map((user) => Object.fromEntries(USER_LIST_COLUMNS.map((column) => [column, user[column] ?? null]))),
+    total: selected.length,
+  };
+};
+
+const list_low_stock = ({ rows }, { p_default_threshold, p_limit, p_offset }) => {
+  const categories = new Map(rows('category_stock_thresholds').map((row) => [row.category, row.threshold]));
+  const selected = rows('products')
+    .filter((product) => product.archived_at == null)
+    .map((product) => {
+      const [threshold, threshold_source] = product.low_stock_threshold != null
+        ? [product.low_stock_threshold, 'product']
+        : categories.has(product.category)
+          ? [categories.get(product.category), 'category']
+          : [p_default_threshold, 'default'];
+      return { ...product, threshold, threshold_source };
+    })
+    .filter((product) => available(product) < product.threshold)
+    .sort((a, b) => a.stock_count - b.stock_count || a.id - b.id);
+  return { items: selected.slice(p_offset, p_offset + p_limit), total: selected.length };
+};
+
+export default {
+  reserve_stock,
+  commit_stock_reservation,
+  release_stock_reservation,
+  release_expired_stock_reservations,
+  restock_order,
+  sync_product_stock,
+  refresh_product_rating,
+  redeem_promotion,
+  assign_invoice_number,
+  claim_webhook_event,
+  redact_webhook_events,
+  search_products,
+  search_users,
+  list_low_stock,
+};
@@ -0,0 +1,151 @@
+// In-memory stand-in for the Supabase tables. Rows live in plain arrays and
+// every read hands out copies, so callers can't mutate stored state by accident.
+import procedures from './memoryProcedures.js';
+
+const OPERATORS = {
+  eq: (value, operand) => equals(value, operand),
+  neq: (value, operand) => !equals(value, operand),
+  gt: (value, operand) => value != null && compare(value, operand) > 0,
+  gte: (value, operand) => value != null && compare(value, operand) >= 0,
+  lt: (value, operand) => value != null && compare(value, operand) < 0,
+  lte: (value, operand) => value != null && compare(value, operand) <= 0,
+  in: (value, operand) => operand.some((candidate) => equals(value, candidate)),
+  like: (value, operand) => value != null && toPattern(operand, '').test(String(value)),
+  ilike: (value, operand) => value != null && toPattern(operand, 'i').test(String(value)),
+  is: (value, operand) => (operand === null ? value == null : value === operand),
+  not: (value, operand) => !OPERATORS.is(value, operand),
+};
+
+// Postgres casts filter values to the column type, so '3' matches 3 there too.
+const equals = (a, b) => a != null && b != null && String(a) === String(b);
+
+const compare = (a, b) => {
+  const x = Number(a);
+  const y = Number(b);
+  if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const toPattern = (pattern, flags) => {
+  const source = pattern
+    .split('%')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '.'))
+    .join('.*');
+  return new RegExp(`^${source}$`, flags);
+};
+
+const matches = (row, filter = {}) =>
+  Object.entries(filter).every(([column, condition]) => {
+    if (condition === null) return row[column] == null;
+    if (typeof condition !== 'object' || condition instanceof Date) {
+      return equals(row[column], condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      if (!OPERATORS[op]) throw new Error(`Unsupported filter operator "${op}"`);
+      return OPERATORS[op](row[column], operand);
+    });
+  });
+
+const defined = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+const pick = (row, columns) =>
+  columns ? Object.fromEntries(columns.map((column) => [column, row[column]])) : row;
+
+const sortRows = (rows, order) => {
+  const orderings = Array.isArray(order) ? order : [order];
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending = true } of orderings) {
+      if (a[column] == null && b[column] == null) continue;
+      if (a[column] == null) return 1;
+      if (b[column] == null) return -1;
+      const result = compare(a[column], b[column]);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+};
+
+const createMemoryStore = () => {
+  const tables = new Map();
+  const sequences = new Map();
+
+  const rowsOf = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const nextId = (name) => {
+    const id = (sequences.get(name) || 0) + 1;
+    sequences.set(name, id);
+    return id;
+  };
+
+  const insertRow = (name, value) => {
+    const row = {
+      id: nextId(name),
+      created_at: new Date().toISOString(),
+      ...defined(value),
+    };
+    rowsOf(name).push(row);
+    return row;
+  };
+
+  const table = (name) => ({
+    async find(filter, { columns, order, range } = {}) {
+      let rows = rowsOf(name).filter((row) => matches(row, filter));
+      if (order) rows = sortRows(rows, order);
+      if (range) rows = rows.slice(range[0], range[1] + 1);
+      return rows.map((row) => structuredClone(pick(row, columns)));
+    },
+
+    async findOne(filter, options) {
+      const [row] = await this.find(filter, { ...options, range: [0, 0] });
+      return row || null;
+    },
+
+    async count(filter) {
+      return rowsOf(name).filter((row) => matches(row, filter)).length;
+    },
+
+    async insert(values) {
+      const inserted = (Array.isArray(values) ? values : [values]).map((value) =>
+        structuredClone(insertRow(name, value))
+      );
+      return Array.isArray(values) ? inserted : inserted[0];
+    },
+
+    async update(filter, changes) {
+      const updated = [];
+      for (const row of rowsOf(name)) {
+        if (!matches(row, filter)) continue;
+        Object.assign(row, defined(changes));
+        updated.push(structuredClone(row));
+      }
+      return updated;
+    },
+
+    async delete(filter) {
+      const rows = rowsOf(name);
+      const removed = rows.filter((row) => matches(row, filter));
+      tables.set(name, rows.filter((row) => !matches(row, filter)));
+      return removed.map((row) => structuredClone(row));
+    },
+  });
+
+  // Procedures run synchronously against the live rows, which makes each call
+  // atomic with respect to every other request, like a Postgres function.
+  const rpc = async (name, args = {}) => {
+    if (!procedures[name]) throw new Error(`Unknown procedure "${name}"`);
+    return structuredClone(procedures[name]({ rows: rowsOf, insert: insertRow }, args));
+  };
+
+  const reset = () => {
+    tables.clear();
+    sequences.clear();
+  };
+
+  return { driver: 'memory', table, rpc, reset };
+};
+
+export default createMemoryStore;
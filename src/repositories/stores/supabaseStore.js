@@ -0,0 +1,72 @@
+// Supabase-backed implementation of the store interface used by the repositories.
+// Filters are plain objects: `{ status: 'paid' }` for equality, `{ price: { lte: 100 } }`
+// for operators, `{ column: null }` for IS NULL and `{ column: { not: null } }` for
+// IS NOT NULL.
+
+const OPERATORS = new Set(['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'like', 'ilike', 'is', 'not']);
+
+const applyFilter = (query, filter = {}) => {
+  for (const [column, condition] of Object.entries(filter)) {
+    if (condition === null) {
+      query = query.is(column, null);
+    } else if (typeof condition !== 'object' || condition instanceof Date) {
+      query = query.eq(column, condition);
+    } else {
+      for (const [op, operand] of Object.entries(condition)) {
+        if (!OPERATORS.has(op)) throw new Error(`Unsupported filter operator "${op}"`);
+        query = op === 'not' ? query.not(column, 'is', operand) : query[op](column, operand);
+      }
+    }
+  }
+  return query;
+};
+
+const unwrap = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+const createSupabaseStore = (supabase) => {
+  const table = (name) => ({
+    async find(filter, { columns, order, range } = {}) {
+      let query = applyFilter(supabase.from(name).select(columns ? columns.join(', ') : '*'), filter);
+      for (const { column, ascending = true } of [].concat(order || [])) {
+        query = query.order(column, { ascending });
+      }
+      if (range) query = query.range(range[0], range[1]);
+      return unwrap(await query);
+    },
+
+    async findOne(filter, options) {
+      const [row] = await this.find(filter, { ...options, range: [0, 0] });
+      return row || null;
+    },
+
+    async count(filter) {
+      const query = applyFilter(supabase.from(name).select('*', { count: 'exact', head: true }), filter);
+      const { count, error } = await query;
+      if (error) throw new Error(error.message);
+      return count;
+    },
+
+    async insert(values) {
+      const rows = unwrap(await supabase.from(name).insert(values).select());
+      return Array.isArray(values) ? rows : rows[0];
+    },
+
+    async update(filter, changes) {
+      return unwrap(await applyFilter(supabase.from(name).update(changes), filter).select());
+    },
+
+    async delete(filter) {
+      return unwrap(await applyFilter(supabase.from(name).delete(), filter).select());
+    },
+  });
+
+  // Procedures are the Postgres functions under supabase/migrations.
+  const rpc = async (name, args = {}) => unwrap(await supabase.rpc(name, args));
+
+  return { driver: 'supabase', table, rpc };
+};
+
+export default createSupabaseStore;
@@ -0,0 +1,11 @@
+import db from './db.js';
+
+const settings = db.table('tax_settings');
+
+// There is a single settings row, id 1.
+export const get = () => settings.findOne({ id: 1 });
+
+export const save = async (changes) => {
+  const [row] = await settings.update({ id: 1 }, changes);
+  return row || settings.insert({ id: 1, ...changes });
+};
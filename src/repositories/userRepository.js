@@ -0,0 +1,22 @@
+import db from './db.js';
+
+const users = db.table('users');
+
+const LIST_COLUMNS = ['id', 'email', 'profile_image_url', 'name', 'role', 'created_at', 'suspended_at', 'deleted_at'];
+
+export const findById = (id) => users.findOne({ id });
+
+export const findByEmail = (email) => users.findOne({ email });
+
+// Name or email containing `query`, newest first. Resolves to { items, total }.
+export const search = ({ query, role, from, to }) =>
+  db.rpc('search_users', { p_query: query || null, p_role: role || null, p_limit: to - from + 1, p_offset: from });
+
+export const findByIds = (ids) => (ids.length ? users.find({ id: { in: ids } }, { columns: LIST_COLUMNS }) : []);
+
+export const create = (values) => users.insert(values);
+
+export const update = async (id, changes) => {
+  const [user] = await users.update({ id }, changes);
+  return user || null;
+};
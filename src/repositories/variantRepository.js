@@ -0,0 +1,29 @@
+import db from './db.js';
+
+const variants = db.table('product_variants');
+
+export const listForProduct = (productId) =>
+  variants.find({ product_id: productId }, { order: { column: 'id', ascending: true } });
+
+export const findForProduct = (productId, id) => variants.findOne({ id, product_id: productId });
+
+export const findBySku = (sku) => variants.findOne({ sku });
+
+export const findBySkus = (skus) => (skus.length ? variants.find({ sku: { in: skus } }) : []);
+
+export const listForProducts = (productIds) =>
+  productIds.length ? variants.find({ product_id: { in: productIds } }) : [];
+
+export const create = (values) => variants.insert(values);
+
+export const update = async (id, changes) => {
+  const [variant] = await variants.update({ id }, changes);
+  return variant || null;
+};
+
+export const remove = async (id) => {
+  const [variant] = await variants.delete({ id });
+  return variant || null;
+};
+
+export const removeForProduct = (productId) => variants.delete({ product_id: productId });
@@ -0,0 +1,54 @@
+import db from './db.js';
+
+const webhookEvents = db.table('webhook_events');
+
+// Records the event and claims it for processing in one step. `claimed` is
+// false when the event was already seen and isn't waiting for a retry; claims
+// made before `staleBefore` and never finished count as waiting.
+export const claim = (provider, eventKey, eventType, reference, payload, staleBefore) =>
+  db.rpc('claim_webhook_event', {
+    p_provider: provider,
+    p_event_key: eventKey,
+    p_event_type: eventType,
+    p_reference: reference,
+    p_payload: payload,
+    p_stale_before: staleBefore,
+  });
+
+export const findById = (id) => webhookEvents.findOne({ id });
+
+// Resolves to { items, total } for the rows `from` to `to`.
+export const list = async ({ status, from, to }) => {
+  const filter = status ? { status } : {};
+  const [items, total] = await Promise.all([
+    webhookEvents.find(filter, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }], range: [from, to] }),
+    webhookEvents.count(filter),
+  ]);
+  return { items, total };
+};
+
+// Compare-and-set from `failed`, or from a `processing` claim made before
+// `staleBefore`, so a replay can't race a Paystack retry.
+export const claimForReplay = async (event, staleBefore) => {
+  const filter = event.status === 'processing'
+    ? { id: event.id, status: 'processing', claimed_at: { lt: staleBefore } }
+    : { id: event.id, status: 'failed' };
+  const [claimed] = await webhookEvents.update(
+    filter,
+    { status: 'processing', attempts: (event.attempts || 0) + 1, last_error: null, claimed_at: new Date().toISOString() }
+  );
+  return claimed || null;
+};
+
+// Drops the provider's raw copy, with the customer's contact details, from
+// events about these orders or payment references. Resolves to the number of
+// events changed.
+export const redactForOrders = (orderIds, references) =>
+  orderIds.length || references.length
+    ? db.rpc('redact_webhook_events', { p_order_ids: orderIds, p_references: references })
+    : 0;
+
+export const markProcessed = (id, status = 'processed') =>
+  webhookEvents.update({ id }, { status, processed_at: new Date().toISOString() });
+
+export const markFailed = (id, error) => webhookEvents.update({ id }, { status: 'failed', last_error: error });
@@ -0,0 +1,21 @@
+import db from './db.js';
+import { embedOne } from './relations.js';
+
+const wishlistItems = db.table('wishlist_items');
+
+export const listForUser = async (userId) =>
+  embedOne(
+    await wishlistItems.find({ user_id: userId }, { order: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }] }),
+    { table: 'products', foreignKey: 'product_id' }
+  );
+
+export const find = (userId, productId) => wishlistItems.findOne({ user_id: userId, product_id: productId });
+
+export const add = (userId, productId) => wishlistItems.insert({ user_id: userId, product_id: productId });
+
+export const removeAllForUser = (userId) => wishlistItems.delete({ user_id: userId });
+
+export const remove = async (userId, productId) => {
+  const [item] = await wishlistItems.delete({ user_id: userId, product_id: productId });
+  return item || null;
+};
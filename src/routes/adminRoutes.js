@@ -1,11 +1,46 @@
 import express from 'express';
 import * as adminController from '../controllers/adminController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, permit } from '../middleware/auth.js';
+import { csvUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
-router.get('/users', authenticateToken, adminController.getAllUsers);
-router.get('/orders', authenticateToken, adminController.getAllOrders);
-router.get('/products/low-stock', authenticateToken, adminController.getLowStockProducts);
+router.get('/users', authenticateToken, permit('users:read'), adminController.getAllUsers);
+router.get('/users/:id', authenticateToken, permit('users:read'), adminController.getUser);
+router.put('/users/:id/role', authenticateToken, permit('users:manage'), adminController.updateUserRole);
+router.post('/users/:id/suspend', authenticateToken, permit('users:manage'), adminController.suspendUser);
+router.post('/users/:id/reactivate', authenticateToken, permit('users:manage'), adminController.reactivateUser);
+router.put('/users/:id/tax-exemption', authenticateToken, permit('tax:manage'), adminController.updateUserTaxExemption);
+router.get('/orders', authenticateToken, permit('orders:read'), adminController.getAllOrders);
+router.get('/orders/:id', authenticateToken, permit('orders:read'), adminController.getOrder);
+router.get('/orders/:id/invoice', authenticateToken, permit('orders:read'), adminController.getOrderInvoice);
+router.get('/orders/:id/refunds', authenticateToken, permit('payments:refund'), adminController.getOrderRefunds);
+router.post('/orders/:id/refunds', authenticateToken, permit('payments:refund'), adminController.refundOrder);
+router.get('/reports', authenticateToken, permit('reports:read'), adminController.getReportNames);
+router.get('/reports/:report', authenticateToken, permit('reports:read'), adminController.getReport);
+router.get('/payments/flagged', authenticateToken, permit('payments:review'), adminController.getFlaggedPayments);
+router.get('/promotions', authenticateToken, permit('promotions:manage'), adminController.getPromotions);
+router.post('/promotions', authenticateToken, permit('promotions:manage'), adminController.createPromotion);
+router.get('/promotions/:id', authenticateToken, permit('promotions:manage'), adminController.getPromotion);
+router.put('/promotions/:id', authenticateToken, permit('promotions:manage'), adminController.updatePromotion);
+router.delete('/promotions/:id', authenticateToken, permit('promotions:manage'), adminController.deletePromotion);
+router.get('/tax-settings', authenticateToken, permit('tax:manage'), adminController.getTaxSettings);
+router.put('/tax-settings', authenticateToken, permit('tax:manage'), adminController.updateTaxSettings);
+router.get('/shipping-zones', authenticateToken, permit('shipping:manage'), adminController.getShippingZones);
+router.post('/shipping-zones', authenticateToken, permit('shipping:manage'), adminController.createShippingZone);
+router.put('/shipping-zones/:id', authenticateToken, permit('shipping:manage'), adminController.updateShippingZone);
+router.delete('/shipping-zones/:id', authenticateToken, permit('shipping:manage'), adminController.deleteShippingZone);
+router.get('/reviews', authenticateToken, permit('reviews:moderate'), adminController.getReviews);
+router.put('/reviews/:id/status', authenticateToken, permit('reviews:moderate'), adminController.moderateReview);
+router.get('/webhook-events', authenticateToken, permit('payments:review'), adminController.getWebhookEvents);
+router.post('/webhook-events/:id/replay', authenticateToken, permit('payments:review'), adminController.replayWebhookEvent);
+router.post('/products/import', authenticateToken, permit('products:write'), csvUpload('file'), adminController.importProducts);
+router.get('/products/import/:id', authenticateToken, permit('products:write'), adminController.getProductImport);
+router.get('/products/export', authenticateToken, permit('products:write'), adminController.exportProducts);
+router.get('/products/archived', authenticateToken, permit('products:write'), adminController.getArchivedProducts);
+router.get('/products/low-stock', authenticateToken, permit('inventory:read'), adminController.getLowStockProducts);
+router.get('/stock-thresholds', authenticateToken, permit('inventory:read'), adminController.getStockThresholds);
+router.put('/stock-thresholds/categories/:category', authenticateToken, permit('products:write'), adminController.setCategoryStockThreshold);
+router.delete('/stock-thresholds/categories/:category', authenticateToken, permit('products:write'), adminController.deleteCategoryStockThreshold);
 
 export default router;
@@ -1,12 +1,15 @@
 import express from 'express';
 import * as cartController from '../controllers/cartController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuthentication } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', authenticateToken, cartController.getCart);
-router.post('/', authenticateToken, cartController.addToCart);
-router.put('/:id', authenticateToken, cartController.updateCartItem);
-router.delete('/:id', authenticateToken, cartController.deleteCartItem);
+router.get('/', optionalAuthentication, cartController.getCart);
+router.post('/', optionalAuthentication, cartController.addToCart);
+router.get('/shipping', authenticateToken, cartController.getShippingOptions);
+router.post('/promotion', authenticateToken, cartController.applyPromotion);
+router.delete('/promotion', authenticateToken, cartController.removePromotion);
+router.put('/:id', optionalAuthentication, cartController.updateCartItem);
+router.delete('/:id', optionalAuthentication, cartController.deleteCartItem);
 
 export default router;
@@ -1,13 +1,15 @@
 import express from 'express';
 import * as orderController from '../controllers/orderController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, permit, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/', authenticateToken, orderController.createOrder);
+router.post('/', authenticateToken, requireVerifiedEmail, orderController.createOrder);
 router.get('/', authenticateToken, orderController.getOrders);
-router.get('/:id', authenticateToken, orderController.getOrderById);
-router.put('/:id/status', authenticateToken, orderController.updateOrderStatus);
 router.get('/history', authenticateToken, orderController.getOrderHistory);
+router.get('/:id', authenticateToken, orderController.getOrderById);
+router.get('/:id/invoice', authenticateToken, orderController.getOrderInvoice);
+router.post('/:id/cancel', authenticateToken, orderController.cancelOrder);
+router.put('/:id/status', authenticateToken, permit('orders:fulfil'), orderController.updateOrderStatus);
 
 export default router;
@@ -1,10 +1,16 @@
 import express from 'express';
 import * as paymentController from '../controllers/paymentController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/initiate', authenticateToken, paymentController.initiatePayment);
-router.post('/webhook', paymentController.paystackWebhook);
+router.post('/initiate', authenticateToken, requireVerifiedEmail, paymentController.initiatePayment);
+router.get('/verify/:reference', authenticateToken, paymentController.verifyPayment);
+router.post('/webhook/:provider', paymentController.providerWebhook);
+// The URL Paystack was configured with before other providers existed.
+router.post('/webhook', (req, res) => {
+  req.params.provider = 'paystack';
+  return paymentController.providerWebhook(req, res);
+});
 
 export default router;
@@ -1,13 +1,27 @@
 import express from 'express';
 import * as productController from '../controllers/productController.js';
-import { authenticateToken, upload } from '../middleware/auth.js';
+import { authenticateToken, permit } from '../middleware/auth.js';
+import { imageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router.get('/', productController.getProducts);
 router.get('/:id', productController.getProductById);
-router.post('/', authenticateToken, upload.single('image'), productController.createProduct);
-router.put('/:id', authenticateToken, upload.single('image'), productController.updateProduct);
-router.delete('/:id', authenticateToken, productController.deleteProduct);
+router.post('/', authenticateToken, permit('products:write'), imageUpload.single('image'), productController.createProduct);
+router.put('/:id', authenticateToken, permit('products:write'), imageUpload.single('image'), productController.updateProduct);
+router.delete('/:id', authenticateToken, permit('products:delete'), productController.deleteProduct);
+router.post('/:id/restore', authenticateToken, permit('products:delete'), productController.restoreProduct);
+router.get('/:id/images', productController.getProductImages);
+router.post('/:id/images', authenticateToken, permit('products:write'), imageUpload.array('images'), productController.addProductImages);
+router.put('/:id/images/order', authenticateToken, permit('products:write'), productController.reorderProductImages);
+router.delete('/:id/images/:imageId', authenticateToken, permit('products:write'), productController.deleteProductImage);
+router.get('/:id/reviews', productController.getProductReviews);
+router.post('/:id/reviews', authenticateToken, productController.createProductReview);
+router.put('/:id/reviews/:reviewId', authenticateToken, productController.updateProductReview);
+router.post('/:id/stock-alerts', authenticateToken, productController.createStockAlert);
+router.delete('/:id/stock-alerts', authenticateToken, productController.deleteStockAlert);
+router.post('/:id/variants', authenticateToken, permit('products:write'), imageUpload.single('image'), productController.createVariant);
+router.put('/:id/variants/:variantId', authenticateToken, permit('products:write'), imageUpload.single('image'), productController.updateVariant);
+router.delete('/:id/variants/:variantId', authenticateToken, permit('products:write'), productController.deleteVariant);
 
 export default router;
@@ -1,17 +1,37 @@
 import express from 'express';
 import * as userController from '../controllers/userController.js';
-import { authenticateToken, upload } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { imageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Registration
-router.post('/register', upload.single('image'), userController.register);
+router.post('/register', imageUpload.single('image'), userController.register);
 // Login
 router.post('/auth/login', userController.login);
+// Exchange a refresh token for a new token pair
+router.post('/auth/refresh', userController.refresh);
+// Logout this device
+router.post('/auth/logout', authenticateToken, userController.logout);
+// Logout every device
+router.post('/auth/logout-all', authenticateToken, userController.logoutAll);
+// Confirm an email address from the emailed link
+router.post('/auth/verify-email', userController.verifyEmail);
+// Send a fresh verification link
+router.post('/auth/resend-verification', authenticateToken, userController.resendVerification);
 // Get profile
 router.get('/auth/profile', authenticateToken, userController.getProfile);
 // Update profile
-router.put('/auth/profile', authenticateToken, upload.single('image'), userController.updateProfile);
+router.put('/auth/profile', authenticateToken, imageUpload.single('image'), userController.updateProfile);
+// Download everything we hold about the account
+router.get('/auth/profile/export', authenticateToken, userController.exportAccountData);
+// Delete the account, keeping anonymised order records
+router.delete('/auth/profile', authenticateToken, userController.deleteAccount);
+// Saved delivery addresses
+router.get('/auth/profile/addresses', authenticateToken, userController.getAddresses);
+router.post('/auth/profile/addresses', authenticateToken, userController.createAddress);
+router.put('/auth/profile/addresses/:id', authenticateToken, userController.updateAddress);
+router.delete('/auth/profile/addresses/:id', authenticateToken, userController.deleteAddress);
 // Forgot password
 router.post('/auth/forgot-password', userController.forgotPassword);
 // Reset password
@@ -0,0 +1,11 @@
+import express from 'express';
+import * as wishlistController from '../controllers/wishlistController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authenticateToken, wishlistController.getWishlist);
+router.post('/', authenticateToken, wishlistController.addToWishlist);
+router.delete('/:productId', authenticateToken, wishlistController.removeFromWishlist);
+
+export default router;
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import * as userRepository from '../repositories/userRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as addressRepository from '../repositories/addressRepository.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as wishlistRepository from '../repositories/wishlistRepository.js';
+import * as stockAlertRepository from '../repositories/stockAlertRepository.js';
+import * as sessionRepository from '../repositories/sessionRepository.js';
+import * as passwordResetRepository from '../repositories/passwordResetRepository.js';
+import * as emailVerificationRepository from '../repositories/emailVerificationRepository.js';
+import * as paymentReferenceRepository from '../repositories/paymentReferenceRepository.js';
+import * as webhookEventRepository from '../repositories/webhookEventRepository.js';
+import * as orderStatusService from './orderStatusService.js';
+import * as sessionService from './sessionService.js';
+import * as mediaService from './mediaService.js';
+import { AppError } from '../utils/errors.js';
+
+// Orders in these states are still owed to the customer, so the account has
+// to stay until they are delivered, cancelled or refunded.
+const OPEN_STATUSES = ['paid', 'processing', 'shipped'];
+
+const withoutPassword = ({ password, ...user }) => user;
+
+export const SUSPENDED_MESSAGE = 'This account has been suspended';
+
+// Suspended or deleted accounts may not sign in or use tokens issued earlier.
+export const isBlocked = (user) => Boolean(user?.suspended_at || user?.deleted_at);
+
+const findUser = async (id) => {
+  const user = await userRepository.findById(id);
+  if (!user || user.deleted_at) throw new AppError('User not found', 404);
+  return user;
+};
+
+export const suspend = async (userId, { reason } = {}, actor) => {
+  if (String(userId) === String(actor.id)) throw new AppError('You cannot suspend your own account', 400);
+  if (!reason?.trim()) throw new AppError('Give a reason for the suspension', 400);
+  const user = await findUser(userId);
+  if (user.suspended_at) throw new AppError('This account is already suspended', 409);
+  const suspended = await userRepository.update(user.id, {
+    suspended_at: new Date().toISOString(),
+    suspended_reason: reason.trim(),
+    suspended_by: actor.id,
+  });
+  await sessionService.endAllSessions(user.id);
+  return withoutPassword(suspended);
+};
+
+export const reactivate = async (userId) => {
+  const user = await findUser(userId);
+  if (!user.suspended_at) throw new AppError('This account is not suspended', 409);
+  return withoutPassword(
+    await userRepository.update(user.id, { suspended_at: null, suspended_reason: null, suspended_by: null })
+  );
+};
+
+// Everything we hold about the customer, for NDPR/GDPR access requests.
+export const exportData = async (userId) => {
+  const user = await findUser(userId);
+  const [addresses, orders, payments] = await Promise.all([
+    addressRepository.listForUser(user.id),
+    orderRepository.listForUser(user.id),
+    paymentReferenceRepository.listForUser(user.id),
+  ]);
+  return {
+    exported_at: new Date().toISOString(),
+    profile: withoutPassword(user),
+    addresses,
+    orders,
+    payments,
+  };
+};
+
+// Only the city and state stay on past orders, for tax and delivery records.
+// Stored webhooks keep the provider's copy of the customer's details, so that
+// goes too.
+const anonymiseOrders = async (userId, orders) => {
+  for (const order of orders) {
+    if (!order.shipping_address) continue;
+    const { city = null, state = null } = order.shipping_address;
+    await orderRepository.update(order.id, { shipping_address: { city, state } });
+  }
+  const payments = await paymentReferenceRepository.listForUser(userId);
+  await webhookEventRepository.redactForOrders(
+    orders.map((order) => order.id),
+    payments.map((payment) => payment.reference)
+  );
+};
+
+// Self-service deletion. Personal data is removed or overwritten, while the
+// user row and its orders stay so invoices and sales figures remain intact.
+// Unpaid orders are cancelled; open ones block deletion until fulfilled.
+export const deleteAccount = async (userId, { password } = {}) => {
+  const user = await findUser(userId);
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    throw new AppError('Enter your password to delete your account', 401);
+  }
+  const orders = await orderRepository.listForUser(user.id);
+  const open = orders.find((order) => OPEN_STATUSES.includes(order.status));
+  if (open) throw new AppError(`Order #${open.id} is still being fulfilled; try again once it is delivered`, 409);
+  for (const order of orders.filter((candidate) => candidate.status === 'pending')) {
+    await orderStatusService.transition(order.id, 'cancelled', {
+      actor: orderStatusService.actorFromUser(user),
+      note: 'Customer deleted their account',
+    });
+  }
+
+  const cart = await cartRepository.findByUserId(user.id);
+  if (cart) await cartRepository.remove(cart.id);
+  await Promise.all([
+    addressRepository.removeAllForUser(user.id),
+    wishlistRepository.removeAllForUser(user.id),
+    stockAlertRepository.removeAllForUser(user.id),
+    sessionRepository.removeAllForUser(user.id),
+    passwordResetRepository.invalidateOutstanding(user.id),
+    emailVerificationRepository.invalidateOutstanding(user.id),
+  ]);
+  await anonymiseOrders(user.id, orders);
+  await userRepository.update(user.id, {
+    email: `deleted-user-${user.id}@deleted.invalid`,
+    pending_email: null,
+    name: 'Deleted user',
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    profile_image_url: null,
+    company_name: null,
+    tax_id: null,
+    tax_exempt_reason: null,
+    email_verified: false,
+    deleted_at: new Date().toISOString(),
+  });
+  if (user.profile_image_url) await mediaService.discard({ url: user.profile_image_url });
+};
@@ -0,0 +1,62 @@
+import * as addressRepository from '../repositories/addressRepository.js';
+import { AppError } from '../utils/errors.js';
+
+const REQUIRED = ['recipient_name', 'phone', 'line1', 'city', 'state'];
+const FIELDS = ['label', 'recipient_name', 'phone', 'line1', 'line2', 'city', 'state', 'postal_code', 'country'];
+
+// The parts of an address an order keeps a copy of.
+export const snapshot = (address) =>
+  Object.fromEntries(FIELDS.filter((field) => field !== 'label').map((field) => [field, address[field] ?? null]));
+
+const parseAddress = (input, { partial = false } = {}) => {
+  const values = {};
+  for (const field of FIELDS) {
+    if (input[field] === undefined) continue;
+    values[field] = input[field] === null ? null : String(input[field]).trim() || null;
+  }
+  const missing = REQUIRED.filter((field) => (partial ? field in values && !values[field] : !values[field]));
+  if (missing.length) throw new AppError(`Address is missing: ${missing.join(', ')}`, 400);
+  return values;
+};
+
+export const findForUser = async (userId, id) => {
+  const address = await addressRepository.findForUser(userId, id);
+  if (!address) throw new AppError('Address not found', 404);
+  return address;
+};
+
+export const list = (userId) => addressRepository.listForUser(userId);
+
+export const findDefault = (userId) => addressRepository.findDefault(userId);
+
+// A customer's first address becomes their default.
+export const create = async (userId, input) => {
+  const values = parseAddress(input);
+  const existing = await addressRepository.listForUser(userId);
+  const isDefault = !existing.length || [true, 'true', '1'].includes(input.is_default);
+  if (isDefault) await addressRepository.clearDefault(userId);
+  return addressRepository.create({ country: 'NG', ...values, user_id: userId, is_default: isDefault });
+};
+
+export const update = async (userId, id, input) => {
+  const address = await findForUser(userId, id);
+  const values = parseAddress(input, { partial: true });
+  const makeDefault = [true, 'true', '1'].includes(input.is_default);
+  if (makeDefault && !address.is_default) await addressRepository.clearDefault(userId);
+  return addressRepository.update(address.id, {
+    ...values,
+    is_default: makeDefault || undefined,
+    updated_at: new Date().toISOString(),
+  });
+};
+
+// Removing the default hands the role to the oldest remaining address.
+export const remove = async (userId, id) => {
+  const address = await findForUser(userId, id);
+  await addressRepository.remove(address.id);
+  if (address.is_default) {
+    const [next] = await addressRepository.listForUser(userId);
+    if (next) await addressRepository.update(next.id, { is_default: true });
+  }
+  return address;
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import * as cartRepository from '../repositories/cartRepository.js';
+import { availableStock } from './inventoryService.js';
+import { unitPrice } from './variantService.js';
+
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 14;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const guestExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const isLive = (cart) => Boolean(cart) && new Date(cart.expires_at) > new Date();
+
+export const recalculateGrandTotal = async (cartId) => {
+  const items = await cartRepository.listItems(cartId);
+  const grandTotal = items.reduce((sum, item) => sum + item.quantity * unitPrice(item), 0);
+  await cartRepository.setGrandTotal(cartId, grandTotal);
+  return grandTotal;
+};
+
+// Resolves to { cart, token }. The token is only ever handed out here.
+export const startGuestCart = async () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const cart = await cartRepository.createGuest(hashToken(token), guestExpiry());
+  return { cart, token };
+};
+
+// Resolves to the guest cart for the token, or null once it has expired or
+// been merged. Every visit pushes the expiry back.
+export const findGuestCart = async (token) => {
+  if (!token) return null;
+  const cart = await cartRepository.findByGuestToken(hashToken(token));
+  if (!isLive(cart)) return null;
+  const [extended] = await cartRepository.extendGuest(cart.id, guestExpiry());
+  return extended || cart;
+};
+
+const sameLine = (a, b) => a.product_id === b.product_id && (a.variant_id ?? null) === (b.variant_id ?? null);
+
+// Moves a guest cart's items into the user's cart after they sign in. Lines
+// for the same product add together, capped at what is in stock; anything
+// cut back or dropped leaves a notice on the user's cart.
+export const mergeGuestCart = async (userId, token) => {
+  const guest = await findGuestCart(token);
+  if (!guest || !(await cartRepository.claimGuest(guest.id, guest.guest_token_hash))) return null;
+  const cart = await cartRepository.getOrCreate(userId);
+  const [guestItems, userItems] = await Promise.all([
+    cartRepository.listItems(guest.id),
+    cartRepository.listItems(cart.id),
+  ]);
+  for (const item of guestItems) {
+    if (item.products.archived_at) {
+      await cartRepository.addNotice(cart.id, `${item.products.name} is no longer available and was removed from your cart`);
+      continue;
+    }
+    const existing = userItems.find((line) => sameLine(line, item));
+    const wanted = (existing?.quantity || 0) + item.quantity;
+    const stock = availableStock(item.variant || item.products);
+    const quantity = Math.max(existing?.quantity || 0, Math.min(wanted, stock));
+    if (quantity < wanted) {
+      await cartRepository.addNotice(cart.id, `Only ${Math.max(stock, 0)} of ${item.products.name} in stock, so your cart has ${quantity}`);
+    }
+    if (existing) {
+      if (quantity !== existing.quantity) {
+        existing.quantity = (await cartRepository.updateItemQuantity(cart.id, existing.id, quantity)).quantity;
+      }
+    } else if (quantity > 0) {
+      userItems.push(await cartRepository.addItem(cart.id, item.product_id, item.variant_id ?? null, quantity));
+    }
+  }
+  await cartRepository.remove(guest.id);
+  await recalculateGrandTotal(cart.id);
+  return cart;
+};
+
+export const deleteExpiredGuestCarts = async () => {
+  const expired = await cartRepository.listExpiredGuests(new Date().toISOString());
+  await cartRepository.remove(expired.map((cart) => cart.id));
+  return expired.length;
+};
+
+export const startGuestCartSweeper = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    deleteExpiredGuestCarts().catch(err => console.error('Error deleting expired guest carts:', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import * as emailVerificationRepository from '../repositories/emailVerificationRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import * as rateLimitService from './rateLimitService.js';
+import { sendMail } from '../utils/mailer.js';
+import { frontendUrl } from '../utils/frontend.js';
+import { escapeHtml } from '../utils/emailTemplates.js';
+import { AppError } from '../utils/errors.js';
+
+const TOKEN_TTL_HOURS = 24;
+const RESEND_LIMIT = 3;
+const RESEND_WINDOW_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Each token is bound to the address it was sent to, so verifying a token for a
+// pending address is what actually switches the account over to it.
+export const sendVerification = async (user, email = user.email) => {
+  await emailVerificationRepository.invalidateOutstanding(user.id);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await emailVerificationRepository.create({
+    user_id: user.id,
+    email,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  });
+  const verifyUrl = frontendUrl('/verify-email', { token });
+  sendMail(email, {
+    subject: 'Verify Your Email Address',
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address for Forge & Bolt:</p><a href="${verifyUrl}">${verifyUrl}</a><p>This link expires in ${TOKEN_TTL_HOURS} hours.</p>`,
+  }).catch(err => console.error('Error sending verification email:', err));
+};
+
+export const verify = async (token) => {
+  const record = await emailVerificationRepository.findByTokenHash(hashToken(String(token)));
+  if (!record || record.used_at || record.invalidated_at || new Date(record.expires_at) <= new Date()) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+  const user = await userRepository.findById(record.user_id);
+  if (!user || ![user.email, user.pending_email].includes(record.email)) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+  if (record.email !== user.email) {
+    const owner = await userRepository.findByEmail(record.email);
+    if (owner) throw new AppError('Email is already registered', 400);
+  }
+  if (!(await emailVerificationRepository.markUsed(record.id))) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+  return userRepository.update(user.id, { email: record.email, pending_email: null, email_verified: true });
+};
+
+export const resend = async (userId) => {
+  const user = await userRepository.findById(userId);
+  if (!user) throw new AppError('User not found', 404);
+  const email = user.pending_email || (!user.email_verified && user.email);
+  if (!email) throw new AppError('Email address is already verified', 400);
+  const allowed = await rateLimitService.consume('email_verification:user', String(user.id), {
+    limit: RESEND_LIMIT,
+    windowMs: RESEND_WINDOW_MS,
+  });
+  if (!allowed) throw new AppError('Too many verification emails, please try again later', 429);
+  await sendVerification(user, email);
+};
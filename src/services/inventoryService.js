@@ -0,0 +1,45 @@
+import * as inventoryRepository from '../repositories/inventoryRepository.js';
+
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+export const availableStock = (product) => product.stock_count - (product.reserved_count || 0);
+
+export const withAvailability = (product) => ({
+  ...product,
+  reserved_count: product.reserved_count || 0,
+  available_count: availableStock(product),
+});
+
+// Holds stock for every order line until payment lands or the hold expires.
+// Resolves to { ok, shortages, expires_at }; nothing is held when ok is false.
+export const reserveForOrder = async (orderId, lines) => {
+  const items = new Map();
+  for (const { product_id, variant_id = null, quantity } of lines) {
+    const key = `${product_id}:${variant_id}`;
+    const item = items.get(key) || { product_id, variant_id, quantity: 0 };
+    item.quantity += Number(quantity);
+    items.set(key, item);
+  }
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+  const result = await inventoryRepository.reserve(orderId, [...items.values()], expiresAt);
+  return { ...result, expires_at: expiresAt };
+};
+
+export const commitForOrder = (orderId) => inventoryRepository.commit(orderId);
+
+export const releaseForOrder = (orderId) => inventoryRepository.release(orderId);
+
+// Puts stock that a paid order already took back on the shelf.
+export const restockForOrder = (orderId) => inventoryRepository.restock(orderId);
+
+export const syncProductStock = (productId) => inventoryRepository.syncProduct(productId);
+
+export const releaseExpired = () => inventoryRepository.releaseExpired(new Date().toISOString());
+
+export const startExpirySweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpired().catch(err => console.error('Error releasing expired stock reservations:', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
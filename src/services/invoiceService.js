@@ -0,0 +1,64 @@
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import * as paymentReferenceRepository from '../repositories/paymentReferenceRepository.js';
+import { variantLabel } from './variantService.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { AppError } from '../utils/errors.js';
+
+export const assignNumber = (orderId) => orderRepository.assignInvoiceNumber(orderId);
+
+const addressLines = (address) =>
+  [
+    address.recipient_name,
+    address.line1,
+    address.line2,
+    [address.city, address.state, address.postal_code].filter(Boolean).join(', '),
+    address.phone,
+  ].filter(Boolean);
+
+// Everything printed on an order's invoice. `payment` can be passed while the
+// payment is still being recorded, as happens for the payment-success email.
+export const buildInvoice = async (orderId, { payment } = {}) => {
+  const order = await orderRepository.findWithItems(orderId);
+  if (!order) throw new AppError('Order not found', 404);
+  if (!order.invoice_number) throw new AppError('Invoices are issued once an order is paid', 409);
+  const [user, stored] = await Promise.all([
+    userRepository.findById(order.user_id),
+    payment ? null : paymentReferenceRepository.findSuccessfulForOrder(order.id),
+  ]);
+  return {
+    number: order.invoice_number,
+    issued_at: order.invoiced_at,
+    order_id: order.id,
+    payment_reference: (payment || stored)?.reference ?? null,
+    seller: { vat_number: process.env.VAT_REGISTRATION_NUMBER || null },
+    bill_to: [user?.company_name, user?.name, user?.email, user?.tax_id && `Tax ID: ${user.tax_id}`].filter(Boolean),
+    ship_to: order.shipping_address ? addressLines(order.shipping_address) : null,
+    lines: order.order_items.map((item) => ({
+      description: item.variant
+        ? `${item.products?.name} (${variantLabel(item.variant)})`
+        : item.products?.name || `Product #${item.product_id}`,
+      quantity: item.quantity,
+      unit_price: Number(item.price_at_order),
+      tax_rate: Number(item.tax_rate || 0),
+      tax_amount: Number(item.tax_amount || 0),
+      amount: Number(item.price_at_order) * item.quantity,
+    })),
+    subtotal: Number(order.subtotal_amount ?? order.total_amount),
+    discount: Number(order.discount_amount || 0),
+    discount_code: order.promotion_code,
+    tax: Number(order.tax_amount || 0),
+    shipping: Number(order.shipping_fee || 0),
+    total: Number(order.total_amount),
+  };
+};
+
+export const renderPdf = async (orderId, options) => renderInvoicePdf(await buildInvoice(orderId, options));
+
+export const filename = (invoiceNumber) => `invoice-${invoiceNumber}.pdf`;
+
+// For download routes: resolves to { filename, content }.
+export const download = async (orderId) => {
+  const invoice = await buildInvoice(orderId);
+  return { filename: filename(invoice.number), content: await renderInvoicePdf(invoice) };
+};
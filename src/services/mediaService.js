@@ -0,0 +1,82 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+dotenv.config();
+import { AppError } from '../utils/errors.js';
+
+// Every storage driver exports the same shape:
+//   upload(tempPath, { folder, extension }) -> { url, key }
+//   remove(key)
+//   keyFromUrl(url) -> key, or null when the URL isn't one of ours
+// MEDIA_STORAGE=local keeps files on disk so development and tests don't need Cloudinary.
+const driverName = process.env.MEDIA_STORAGE || 'cloudinary';
+
+let storage;
+if (driverName === 'local') {
+  storage = await import('./storage/diskStorage.js');
+} else if (driverName === 'cloudinary') {
+  storage = await import('./storage/cloudinaryStorage.js');
+} else {
+  throw new Error(`Unknown MEDIA_STORAGE "${driverName}"`);
+}
+
+export { storage };
+
+export const FOLDER = 'forge_and_bolt';
+
+export const MAX_IMAGE_BYTES = (Number(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+
+// Leading bytes of each accepted format; the declared mimetype alone is the client's word.
+const SIGNATURES = {
+  'image/jpeg': { extension: '.jpg', matches: (bytes) => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  'image/png': {
+    extension: '.png',
+    matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  'image/gif': { extension: '.gif', matches: (bytes) => /^GIF8[79]a/.test(bytes.subarray(0, 6).toString('latin1')) },
+  'image/webp': {
+    extension: '.webp',
+    matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+};
+
+export const IMAGE_TYPES = Object.keys(SIGNATURES);
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Multer's temp file is gone once this returns, whether or not the upload worked.
+export const discardTemp = (file) => (file ? fs.promises.rm(file.path, { force: true }) : Promise.resolve());
+
+// Checks the file really is one of IMAGE_TYPES and hands it to the storage
+// driver. Resolves to { url, key }.
+export const storeImage = async (file, { folder = FOLDER } = {}) => {
+  try {
+    const signature = SIGNATURES[file.mimetype];
+    if (!signature || !signature.matches(await readHead(file.path))) {
+      throw new AppError(`${file.originalname || 'File'} is not a valid ${IMAGE_TYPES.join(', ')} image`, 415);
+    }
+    return await storage.upload(file.path, { folder, extension: signature.extension });
+  } finally {
+    await discardTemp(file);
+  }
+};
+
+// Removes an asset we no longer reference. Accepts the stored key or, for rows
+// that only kept a URL, works the key out from it. Failures are logged rather
+// than thrown: the database change that orphaned the asset has already happened.
+export const discard = async ({ key, url }) => {
+  const target = key || storage.keyFromUrl(url);
+  if (!target) return;
+  try {
+    await storage.remove(target);
+  } catch (err) {
+    console.error(`Error deleting media ${target}:`, err);
+  }
+};
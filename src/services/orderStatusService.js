@@ -0,0 +1,120 @@
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import * as inventoryService from './inventoryService.js';
+import * as promotionService from './promotionService.js';
+import * as invoiceService from './invoiceService.js';
+import { sendMail } from '../utils/mailer.js';
+import { orderStatusEmail } from '../utils/emailTemplates.js';
+import { AppError } from '../utils/errors.js';
+
+export const ORDER_STATUSES = [
+  'pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'failed', 'refunded',
+];
+
+// Orders that reached the customer's purchase history.
+export const PAID_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+const TRANSITIONS = {
+  pending: ['paid', 'failed', 'cancelled'],
+  failed: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Statuses only the payment and refund flows may set, so each one is backed
+// by a payment reference that passed the amount check or a refund record.
+const PAYMENT_STATUSES = ['paid', 'failed', 'refunded'];
+
+export const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+export const actorFromUser = (user) => ({ id: user.id, role: user.role });
+
+const syncInventory = async (order) => {
+  if (order.status === 'paid') {
+    const { shortages } = await inventoryService.commitForOrder(order.id);
+    if (shortages.length) {
+      console.error(`Order ${order.id} was paid after its stock reservation lapsed; short on`, shortages);
+    }
+  } else if (order.status === 'failed') {
+    await inventoryService.releaseForOrder(order.id);
+  } else if (order.status === 'cancelled') {
+    await inventoryService.releaseForOrder(order.id);
+    await inventoryService.restockForOrder(order.id);
+  }
+};
+
+const notifyCustomer = async (order, { note, payment }) => {
+  const email = orderStatusEmail(order.status, { order, note, payment });
+  if (!email) return;
+  const user = await userRepository.findById(order.user_id);
+  if (!user || user.deleted_at) return;
+  // The payment confirmation carries the invoice; a rendering failure shouldn't
+  // cost the customer the confirmation itself.
+  let attachments;
+  if (order.status === 'paid' && order.invoice_number) {
+    try {
+      const content = await invoiceService.renderPdf(order.id, { payment });
+      attachments = [{ filename: invoiceService.filename(order.invoice_number), content, contentType: 'application/pdf' }];
+    } catch (err) {
+      console.error(`Error rendering invoice for order ${order.id}:`, err);
+    }
+  }
+  await sendMail(user.email, { ...email, attachments });
+};
+
+export const recordCreated = (order, actor) =>
+  orderRepository.addStatusHistory({
+    order_id: order.id,
+    from_status: null,
+    to_status: order.status,
+    actor_id: actor.id,
+    actor_role: actor.role,
+    note: 'Order placed',
+  });
+
+// The only way an order's status may change. `payment` is passed through to the
+// customer email for payment-driven transitions; `source` is 'manual' when
+// staff set the status by hand.
+export const transition = async (orderId, status, { actor = SYSTEM_ACTOR, note = null, payment, source = 'system' } = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new AppError(`Unknown order status "${status}"`, 400);
+  }
+  if (source === 'manual' && PAYMENT_STATUSES.includes(status)) {
+    throw new AppError(`Orders only become ${status} through the payment provider`, 400);
+  }
+  const order = await orderRepository.findById(orderId);
+  if (!order) throw new AppError('Order not found', 404);
+  if (!canTransition(order.status, status)) {
+    throw new AppError(`Cannot change order status from ${order.status} to ${status}`, 409);
+  }
+  let updated = await orderRepository.updateStatus(order.id, order.status, status);
+  if (!updated) throw new AppError('Order status was changed by someone else, please retry', 409);
+  await orderRepository.addStatusHistory({
+    order_id: order.id,
+    from_status: order.status,
+    to_status: status,
+    actor_id: actor.id,
+    actor_role: actor.role,
+    note,
+  });
+  await syncInventory(updated);
+  // A cancelled or failed order gives its use of a discount code back; one
+  // paid on a later attempt takes it again.
+  if (status === 'cancelled' || status === 'failed') await promotionService.releaseForOrder(order.id);
+  if (status === 'paid') {
+    await promotionService.reclaimForOrder(order.id);
+    await invoiceService.assignNumber(order.id);
+    updated = await orderRepository.findById(order.id);
+  }
+  notifyCustomer(updated, { note, payment })
+    .catch(err => console.error(`Error sending ${status} email for order ${order.id}:`, err));
+  return updated;
+};
+
+export const timeline = (orderId) => orderRepository.listStatusHistory(orderId);
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import * as passwordResetRepository from '../repositories/passwordResetRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import * as rateLimitService from './rateLimitService.js';
+import * as sessionService from './sessionService.js';
+import { sendMail } from '../utils/mailer.js';
+import { frontendUrl } from '../utils/frontend.js';
+import { AppError } from '../utils/errors.js';
+
+const TOKEN_TTL_MINUTES = 15;
+const WINDOW_MS = 60 * 60 * 1000;
+const EMAIL_LIMIT = Number(process.env.PASSWORD_RESET_EMAIL_LIMIT) || 3;
+const IP_LIMIT = Number(process.env.PASSWORD_RESET_IP_LIMIT) || 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Behaves identically whether or not the account exists; only throttling is
+// visible to the caller. The email is sent in the background for the same reason.
+export const requestReset = async (email, ip) => {
+  const emailKey = String(email).trim().toLowerCase();
+  const withinIpLimit = await rateLimitService.consume('password_reset:ip', String(ip), {
+    limit: IP_LIMIT,
+    windowMs: WINDOW_MS,
+  });
+  const withinEmailLimit = withinIpLimit && await rateLimitService.consume('password_reset:email', emailKey, {
+    limit: EMAIL_LIMIT,
+    windowMs: WINDOW_MS,
+  });
+  if (!withinIpLimit || !withinEmailLimit) {
+    throw new AppError('Too many password reset requests, please try again later', 429);
+  }
+
+  const user = await userRepository.findByEmail(email);
+  if (!user) return;
+
+  await passwordResetRepository.invalidateOutstanding(user.id);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await passwordResetRepository.create({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+    requested_ip: ip ? String(ip) : null,
+  });
+  const resetUrl = frontendUrl('/reset-password', { token });
+  sendMail(user.email, {
+    subject: 'Password Reset Request',
+    html: `<p>Click below to reset your password:</p><a href="${resetUrl}">${resetUrl}</a><p>Link expires in ${TOKEN_TTL_MINUTES} minutes.</p>`,
+  }).catch(err => console.error('Error sending password reset email:', err));
+};
+
+export const resetPassword = async (token, newPassword) => {
+  const record = await passwordResetRepository.findByTokenHash(hashToken(String(token)));
+  if (!record || record.used_at || record.invalidated_at || new Date(record.expires_at) <= new Date()) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+  if (!(await passwordResetRepository.markUsed(record.id))) {
+    throw new AppError('Invalid or expired token', 400);
+  }
+  const user = await userRepository.update(record.user_id, { password: await bcrypt.hash(newPassword, 10) });
+  if (!user) throw new AppError('Invalid token or user not found', 400);
+  await passwordResetRepository.invalidateOutstanding(user.id);
+  await sessionService.endAllSessions(user.id);
+};
@@ -0,0 +1,157 @@
+import * as webhookEventRepository from '../repositories/webhookEventRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as paymentReferenceRepository from '../repositories/paymentReferenceRepository.js';
+import * as orderStatusService from './orderStatusService.js';
+import * as refundService from './refundService.js';
+import { CURRENCY, defaultProvider, getProvider } from './paymentProviders.js';
+import { can } from '../utils/permissions.js';
+import { AppError } from '../utils/errors.js';
+
+const paymentFrom = (data, provider) => ({
+  reference: data.reference,
+  amount: data.amount,
+  channel: data.channel,
+  currency: data.currency,
+  status: data.status,
+  paid_at: data.paid_at,
+  provider,
+  provider_transaction_id: data.transaction_id,
+});
+
+const CLAIM_TIMEOUT_MINUTES = Number(process.env.WEBHOOK_CLAIM_TIMEOUT_MINUTES) || 10;
+
+// A claim this old belongs to a worker that died before recording the outcome.
+const staleBefore = () => new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+const inKobo = (amount) => Math.round(Number(amount) * 100);
+
+const label = (provider) => provider.charAt(0).toUpperCase() + provider.slice(1);
+
+// Looked up before it is created, so an event re-run after failing part way
+// through doesn't record the same charge twice.
+const recordPayment = async (order, payment, review = {}) =>
+  (await paymentReferenceRepository.findByReference(payment.provider, payment.reference, payment.status)) ||
+  paymentReferenceRepository.create({ user_id: order.user_id, order_id: order.id, ...payment, ...review });
+
+// Handlers receive provider-neutral event data (see paymentProviders.js) and
+// resolve to the status the event is stored with; throwing marks it failed.
+// The payment is recorded before the order moves on, so a failure in between
+// leaves the event failed with the order still open for a replay.
+const handleChargeSuccess = async (data, provider) => {
+  const orderId = data.order_id;
+  if (!orderId) return 'ignored';
+  const order = await orderRepository.findById(orderId);
+  if (!order) throw new AppError(`Order ${orderId} not found`, 404);
+  if (!orderStatusService.canTransition(order.status, 'paid')) return 'ignored';
+  const payment = paymentFrom(data, provider);
+  if (inKobo(data.amount) !== inKobo(order.total_amount) || data.currency !== CURRENCY) {
+    await recordPayment(order, payment, {
+      review_status: 'needs_review',
+      review_reason: `Expected ${order.total_amount} ${CURRENCY}, received ${payment.amount} ${data.currency}`,
+    });
+    console.error(`Payment ${data.reference} for order ${order.id} does not match the order total`);
+    return 'processed';
+  }
+  await recordPayment(order, payment);
+  await orderStatusService.transition(order.id, 'paid', {
+    note: `${label(provider)} charge ${data.reference} succeeded`,
+    payment,
+  });
+  const userCart = await cartRepository.findByUserId(order.user_id);
+  if (userCart) {
+    await cartRepository.clear(userCart.id);
+    await cartRepository.setGrandTotal(userCart.id, 0);
+    await cartRepository.setPromotionCode(userCart.id, null);
+  }
+  return 'processed';
+};
+
+const handleChargeFailed = async (data, provider) => {
+  const orderId = data.order_id;
+  if (!orderId) return 'ignored';
+  const order = await orderRepository.findById(orderId);
+  if (!order) throw new AppError(`Order ${orderId} not found`, 404);
+  const payment = paymentFrom(data, provider);
+  await recordPayment(order, payment);
+  if (orderStatusService.canTransition(order.status, 'failed')) {
+    await orderStatusService.transition(order.id, 'failed', {
+      note: `${label(provider)} charge ${data.reference} failed`,
+      payment,
+    });
+  }
+  return 'processed';
+};
+
+const HANDLERS = {
+  'charge.success': handleChargeSuccess,
+  'charge.failed': handleChargeFailed,
+  'refund.processed': (data, provider) => refundService.applyProviderUpdate(provider, data, 'processed'),
+  'refund.failed': (data, provider) => refundService.applyProviderUpdate(provider, data, 'failed'),
+};
+
+const run = async (id, provider, event) => {
+  try {
+    const handler = HANDLERS[event.event];
+    const status = handler ? await handler(event.data, provider) : 'ignored';
+    await webhookEventRepository.markProcessed(id, status);
+    return status;
+  } catch (err) {
+    console.error(`Error processing ${provider} event ${id}:`, err);
+    await webhookEventRepository.markFailed(id, err.message);
+    return 'failed';
+  }
+};
+
+// Entry point for every normalised provider event, whether it came from a
+// webhook or from reconciliation. Resolves to { id, duplicate, status }.
+export const receive = async (provider, event) => {
+  const { id, claimed } = await webhookEventRepository.claim(
+    provider,
+    `${event.event}:${event.id}`,
+    event.event,
+    event.data.reference ?? null,
+    event,
+    staleBefore()
+  );
+  if (!claimed) return { id, duplicate: true, status: null };
+  return { id, duplicate: false, status: await run(id, provider, event) };
+};
+
+// Parses a webhook body the provider has already been verified to have sent.
+export const receiveWebhook = (provider, payload) =>
+  receive(provider, { ...getProvider(provider).parseEvent(payload), raw: payload });
+
+export const listEvents = (filters) => webhookEventRepository.list(filters);
+
+export const replay = async (id) => {
+  const event = await webhookEventRepository.findById(id);
+  if (!event) throw new AppError('Webhook event not found', 404);
+  if (!(await webhookEventRepository.claimForReplay(event, staleBefore()))) {
+    throw new AppError('Only failed or stalled events can be replayed', 409);
+  }
+  await run(event.id, event.provider, event.payload);
+  return webhookEventRepository.findById(id);
+};
+
+// Asks the provider for the transaction and feeds the result through `receive`,
+// so a payment whose webhook never arrived still completes its order.
+export const reconcile = async (reference, user, provider = defaultProvider()) => {
+  const data = await getProvider(provider).verify(reference);
+  const order = data.order_id ? await orderRepository.findById(data.order_id) : null;
+  if (!order || (String(order.user_id) !== String(user.id) && !can(user.role, 'payments:review'))) {
+    throw new AppError('Transaction not found', 404);
+  }
+  const type = { success: 'charge.success', failed: 'charge.failed' }[data.status];
+  const result = type
+    ? await receive(provider, { event: type, id: data.reference, data })
+    : { duplicate: false, status: null };
+  const current = await orderRepository.findById(order.id);
+  return {
+    reference: data.reference,
+    transaction_status: data.status,
+    order_id: current.id,
+    order_status: current.status,
+    already_processed: result.duplicate,
+  };
+};
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+dotenv.config();
+import * as paystack from './providers/paystackProvider.js';
+import * as flutterwave from './providers/flutterwaveProvider.js';
+import { AppError } from '../utils/errors.js';
+
+// Every provider module exports the same shape:
+//   initialize({ order, email, currency, callbackUrl }) -> { authorization_url, reference }
+//   verify(reference)                                   -> normalised transaction
+//   refund({ reference, transactionId, amount, currency, reason }) -> { id, status }
+//   verifyWebhook(rawBody, headers)                     -> boolean
+//   parseEvent(payload)                                 -> { event, id, data }
+// Amounts going in and out are in naira; each provider converts to its own units.
+const PROVIDERS = { paystack, flutterwave };
+
+export const CURRENCY = 'NGN';
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// PAYMENT_PROVIDER picks the gateway used when checkout doesn't ask for one.
+export const defaultProvider = () => process.env.PAYMENT_PROVIDER || 'paystack';
+
+export const getProvider = (name = defaultProvider()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new AppError(`Unknown payment provider "${name}"`, 400);
+  return provider;
+};
@@ -0,0 +1,58 @@
+import * as productRepository from '../repositories/productRepository.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as variantRepository from '../repositories/variantRepository.js';
+import * as productImageService from './productImageService.js';
+import * as mediaService from './mediaService.js';
+import { unitPrice } from './variantService.js';
+import { AppError } from '../utils/errors.js';
+
+const findProduct = async (id) => {
+  const product = await productRepository.findById(id);
+  if (!product) throw new AppError('Product not found', 404);
+  return product;
+};
+
+// Takes the product out of every cart, leaving each owner a notice and a
+// grand total that no longer counts it.
+const removeFromCarts = async (product) => {
+  const removed = await cartRepository.removeProduct(product.id);
+  const cartIds = [...new Set(removed.map((item) => item.cart_id))];
+  for (const cartId of cartIds) {
+    await cartRepository.addNotice(cartId, `${product.name} is no longer available and was removed from your cart`);
+    const items = await cartRepository.listItems(cartId);
+    await cartRepository.setGrandTotal(cartId, items.reduce((sum, item) => sum + item.quantity * unitPrice(item), 0));
+  }
+};
+
+// Archived products drop out of the catalogue and carts but keep their rows,
+// so orders that reference them stay intact.
+export const archive = async (id) => {
+  const product = await findProduct(id);
+  if (product.archived_at) return product;
+  const archived = (await productRepository.archive(product.id)) || (await productRepository.findById(product.id));
+  await removeFromCarts(product);
+  return archived;
+};
+
+export const restore = async (id) => {
+  const product = await findProduct(id);
+  if (!product.archived_at) return product;
+  return productRepository.restore(product.id);
+};
+
+export const listArchived = (range) => productRepository.listArchived(range);
+
+// Only for products no order has ever referenced; anything else is archived.
+export const removePermanently = async (id) => {
+  const product = await findProduct(id);
+  if (await orderRepository.countForProduct(product.id)) {
+    throw new AppError('This product has been ordered and can only be archived', 409);
+  }
+  await removeFromCarts(product);
+  const variants = await variantRepository.removeForProduct(product.id);
+  await productImageService.removeAll(product.id);
+  await productRepository.remove(product.id);
+  await Promise.all(variants.filter((variant) => variant.image_url).map((variant) => mediaService.discard({ url: variant.image_url })));
+  return product;
+};
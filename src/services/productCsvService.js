@@ -0,0 +1,197 @@
+import * as productRepository from '../repositories/productRepository.js';
+import * as variantRepository from '../repositories/variantRepository.js';
+import * as importJobRepository from '../repositories/importJobRepository.js';
+import * as productImageService from './productImageService.js';
+import { parseCsv, toCsvLine } from '../utils/csv.js';
+import { AppError } from '../utils/errors.js';
+
+export const COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'brand', 'stock_count', 'image_url'];
+
+const REQUIRED_COLUMNS = ['sku', 'name', 'price'];
+
+// Lookups go out in chunks so a 3,000-SKU file doesn't become one giant `in (...)`.
+const LOOKUP_CHUNK = 200;
+const BATCH_SIZE = 100;
+const EXPORT_PAGE = 500;
+
+// Files up to this many rows are imported within the request; larger ones
+// become a background job the client polls.
+const syncRowLimit = () => Number(process.env.PRODUCT_IMPORT_SYNC_ROWS) || 200;
+
+const inChunks = async (values, lookup) => {
+  const results = [];
+  for (let i = 0; i < values.length; i += LOOKUP_CHUNK) {
+    results.push(...(await lookup(values.slice(i, i + LOOKUP_CHUNK))));
+  }
+  return results;
+};
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Empty cells leave the stored value alone on updates.
+const valuesFrom = (row) => {
+  const values = {};
+  for (const column of COLUMNS.slice(1)) {
+    if (row[column] === undefined || row[column] === '') continue;
+    values[column] = ['price', 'stock_count'].includes(column) ? Number(row[column]) : row[column];
+  }
+  return values;
+};
+
+const rowErrors = (row, existing) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ line: row.line, sku: row.sku || null, field, message });
+  if (!existing && !row.name) fail('name', 'Name is required for new products');
+  if (!existing && row.price === '') fail('price', 'Price is required for new products');
+  if (row.price !== '' && !(Number(row.price) >= 0)) fail('price', `"${row.price}" is not a valid price`);
+  if (row.stock_count && !(Number.isInteger(Number(row.stock_count)) && Number(row.stock_count) >= 0)) {
+    fail('stock_count', `"${row.stock_count}" is not a whole number of items`);
+  }
+  if (row.image_url && !isUrl(row.image_url)) fail('image_url', 'Image URL must be an http(s) link');
+  return errors;
+};
+
+// Checks every row against the file and the catalogue without writing anything.
+// Resolves to { total_rows, to_create, to_update, errors, plan }.
+export const validate = async (text) => {
+  const { headers, rows } = parseCsv(text);
+  const missing = REQUIRED_COLUMNS.filter((column) => !headers.includes(column));
+  if (missing.length) throw new AppError(`CSV is missing the ${missing.join(', ')} column(s)`, 400);
+  if (!rows.length) throw new AppError('The CSV has no product rows', 400);
+  for (const row of rows) {
+    for (const column of COLUMNS) row[column] ??= '';
+  }
+
+  const skus = [...new Set(rows.map((row) => row.sku).filter(Boolean))];
+  const existing = new Map((await inChunks(skus, productRepository.findBySkus)).map((product) => [product.sku, product]));
+  const variantSkus = new Set((await inChunks(skus, variantRepository.findBySkus)).map((variant) => variant.sku));
+  const withVariants = new Set(
+    (await inChunks([...existing.values()].map((product) => product.id), variantRepository.listForProducts))
+      .map((variant) => String(variant.product_id))
+  );
+
+  const errors = [];
+  const plan = [];
+  const seen = new Set();
+  for (const row of rows) {
+    if (!row.sku) {
+      errors.push({ line: row.line, sku: null, field: 'sku', message: 'SKU is required' });
+      continue;
+    }
+    if (seen.has(row.sku)) {
+      errors.push({ line: row.line, sku: row.sku, field: 'sku', message: 'SKU appears more than once in the file' });
+      continue;
+    }
+    seen.add(row.sku);
+    if (variantSkus.has(row.sku)) {
+      errors.push({ line: row.line, sku: row.sku, field: 'sku', message: 'SKU belongs to a product variant' });
+      continue;
+    }
+    const product = existing.get(row.sku);
+    const problems = rowErrors(row, product);
+    if (product && row.stock_count && withVariants.has(String(product.id))) {
+      problems.push({
+        line: row.line,
+        sku: row.sku,
+        field: 'stock_count',
+        message: 'Stock for this product is managed on its variants',
+      });
+    }
+    if (problems.length) {
+      errors.push(...problems);
+      continue;
+    }
+    plan.push({ line: row.line, sku: row.sku, productId: product?.id ?? null, values: valuesFrom(row) });
+  }
+
+  return {
+    total_rows: rows.length,
+    to_create: plan.filter((entry) => !entry.productId).length,
+    to_update: plan.filter((entry) => entry.productId).length,
+    errors,
+    plan,
+  };
+};
+
+// Image URLs become the product's first image, replacing (and deleting) the old one.
+const applyEntry = async ({ sku, productId, values: { image_url, ...values } }) => {
+  let id = productId;
+  if (!id) {
+    id = (await productRepository.create({ stock_count: 0, ...values, sku })).id;
+  } else if (Object.keys(values).length) {
+    await productRepository.update(id, values);
+  }
+  if (image_url) await productImageService.replacePrimary(id, { url: image_url, key: null });
+  return productId ? 'updated' : 'created';
+};
+
+const run = async (job, plan) => {
+  const progress = { processed_rows: 0, created_count: 0, updated_count: 0, errors: [] };
+  await importJobRepository.update(job.id, { status: 'running', started_at: new Date().toISOString() });
+  try {
+    for (let i = 0; i < plan.length; i += BATCH_SIZE) {
+      for (const entry of plan.slice(i, i + BATCH_SIZE)) {
+        try {
+          const outcome = await applyEntry(entry);
+          progress[outcome === 'created' ? 'created_count' : 'updated_count'] += 1;
+        } catch (err) {
+          progress.errors.push({ line: entry.line, sku: entry.sku, field: null, message: err.message });
+        }
+        progress.processed_rows += 1;
+      }
+      await importJobRepository.update(job.id, progress);
+      // Let other requests in between batches.
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return importJobRepository.update(job.id, { status: 'completed', finished_at: new Date().toISOString() });
+  } catch (err) {
+    console.error(`Product import job ${job.id} failed:`, err);
+    return importJobRepository.update(job.id, {
+      ...progress,
+      status: 'failed',
+      errors: [...progress.errors, { line: null, sku: null, field: null, message: err.message }],
+      finished_at: new Date().toISOString(),
+    });
+  }
+};
+
+// Applies a validated plan. Resolves to the job, finished when the file was
+// small enough to import inline, otherwise still queued or running.
+export const start = async (plan, user) => {
+  const job = await importJobRepository.create({
+    type: 'product_import',
+    status: 'queued',
+    total_rows: plan.length,
+    processed_rows: 0,
+    created_count: 0,
+    updated_count: 0,
+    errors: [],
+    created_by: user.id,
+  });
+  if (plan.length <= syncRowLimit()) return run(job, plan);
+  run(job, plan).catch(err => console.error(`Product import job ${job.id} crashed:`, err));
+  return job;
+};
+
+export const getJob = async (id) => {
+  const job = await importJobRepository.findById(id);
+  if (!job || job.type !== 'product_import') throw new AppError('Import job not found', 404);
+  return job;
+};
+
+// The whole catalogue as CSV lines, header first, read a page at a time so the
+// response can be streamed. The columns match the import format.
+export async function* exportLines() {
+  yield toCsvLine(COLUMNS);
+  for (let from = 0; ; from += EXPORT_PAGE) {
+    const page = await productRepository.listPage(from, from + EXPORT_PAGE - 1);
+    for (const product of page) yield toCsvLine(COLUMNS.map((column) => product[column]));
+    if (page.length < EXPORT_PAGE) return;
+  }
+}
@@ -0,0 +1,79 @@
+import * as productImageRepository from '../repositories/productImageRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import * as mediaService from './mediaService.js';
+import { AppError } from '../utils/errors.js';
+
+export const list = (productId) => productImageRepository.listForProduct(productId);
+
+// products.image_url mirrors the first image so listings need no extra query.
+const syncPrimary = async (productId) => {
+  const [primary] = await productImageRepository.listForProduct(productId);
+  await productRepository.update(productId, { image_url: primary?.url ?? null });
+};
+
+const findProduct = async (productId) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  return product;
+};
+
+// Uploads the files in order after any existing images. Resolves to the full list.
+export const add = async (productId, files) => {
+  const product = await findProduct(productId);
+  if (!files?.length) throw new AppError('Attach at least one image', 400);
+  const existing = await productImageRepository.listForProduct(product.id);
+  let position = existing.length ? existing[existing.length - 1].position + 1 : 0;
+  for (const file of files) {
+    const { url, key } = await mediaService.storeImage(file);
+    await productImageRepository.create({ product_id: product.id, url, storage_key: key, position: position++ });
+  }
+  await syncPrimary(product.id);
+  return productImageRepository.listForProduct(product.id);
+};
+
+// Swaps the first image for a new asset, deleting the one it replaces. `asset`
+// is { url, key }; key is null for images hosted elsewhere (e.g. CSV imports).
+export const replacePrimary = async (productId, asset) => {
+  const [primary] = await productImageRepository.listForProduct(productId);
+  if (primary?.url === asset.url) return primary;
+  let image;
+  if (primary) {
+    image = await productImageRepository.update(primary.id, { url: asset.url, storage_key: asset.key });
+    await mediaService.discard({ key: primary.storage_key, url: primary.url });
+  } else {
+    image = await productImageRepository.create({ product_id: productId, url: asset.url, storage_key: asset.key, position: 0 });
+  }
+  await syncPrimary(productId);
+  return image;
+};
+
+export const replacePrimaryFile = async (productId, file) =>
+  replacePrimary(productId, await mediaService.storeImage(file));
+
+// `imageIds` must name every image of the product exactly once, first image first.
+export const reorder = async (productId, imageIds) => {
+  const product = await findProduct(productId);
+  const images = await productImageRepository.listForProduct(product.id);
+  const ids = (imageIds || []).map(String);
+  const known = images.map((image) => String(image.id));
+  if (ids.length !== known.length || new Set(ids).size !== ids.length || !ids.every((id) => known.includes(id))) {
+    throw new AppError('image_ids must list every image of this product exactly once', 400);
+  }
+  for (const [position, id] of ids.entries()) await productImageRepository.update(id, { position });
+  await syncPrimary(product.id);
+  return productImageRepository.listForProduct(product.id);
+};
+
+export const remove = async (productId, imageId) => {
+  const image = await productImageRepository.findForProduct(productId, imageId);
+  if (!image) throw new AppError('Image not found', 404);
+  await productImageRepository.remove(image.id);
+  await mediaService.discard({ key: image.storage_key, url: image.url });
+  await syncPrimary(image.product_id);
+  return image;
+};
+
+export const removeAll = async (productId) => {
+  const images = await productImageRepository.removeForProduct(productId);
+  await Promise.all(images.map((image) => mediaService.discard({ key: image.storage_key, url: image.url })));
+};
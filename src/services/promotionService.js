@@ -0,0 +1,221 @@
+import * as promotionRepository from '../repositories/promotionRepository.js';
+import { unitPrice } from './variantService.js';
+import { AppError } from '../utils/errors.js';
+
+export const TYPES = ['percentage', 'fixed'];
+
+// Money is split in kobo so the discount lines always add up to the total.
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+const fromKobo = (kobo) => kobo / 100;
+
+export const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+const listParam = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+};
+
+const optionalNumber = (value, name, { integer = false } = {}) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new AppError(`${name} must be a positive ${integer ? 'whole number' : 'number'}`, 400);
+  }
+  return number;
+};
+
+const optionalDate = (value, name) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AppError(`${name} must be a date`, 400);
+  return date.toISOString();
+};
+
+// Checks the admin's input and maps it onto promotion columns. `current` is the
+// stored promotion when updating, so rules spanning fields see the final values.
+const parsePromotion = (input, current = {}) => {
+  const values = {
+    description: input.description,
+    type: input.type,
+    value: optionalNumber(input.value, 'Value'),
+    min_spend: optionalNumber(input.min_spend, 'Minimum spend'),
+    categories: listParam(input.categories),
+    brands: listParam(input.brands),
+    max_redemptions: optionalNumber(input.max_redemptions, 'Usage limit', { integer: true }),
+    max_redemptions_per_user: optionalNumber(input.max_redemptions_per_user, 'Per-customer usage limit', { integer: true }),
+    starts_at: optionalDate(input.starts_at, 'Start date'),
+    ends_at: optionalDate(input.ends_at, 'End date'),
+    active: input.active === undefined ? undefined : [true, 'true', '1'].includes(input.active),
+  };
+  if (input.code !== undefined) {
+    values.code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(values.code)) {
+      throw new AppError('Code must be 3-32 letters, digits, dashes or underscores', 400);
+    }
+  }
+  const given = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+  const merged = { ...current, ...given };
+  if (!merged.code) throw new AppError('Code is required', 400);
+  if (!TYPES.includes(merged.type)) throw new AppError(`Type must be one of: ${TYPES.join(', ')}`, 400);
+  if (merged.value == null) throw new AppError('Value is required', 400);
+  if (merged.type === 'percentage' && merged.value > 100) {
+    throw new AppError('A percentage discount cannot be more than 100', 400);
+  }
+  if (merged.starts_at && merged.ends_at && merged.ends_at <= merged.starts_at) {
+    throw new AppError('End date must be after the start date', 400);
+  }
+  return given;
+};
+
+const inScope = (promotion, product) =>
+  (!promotion.categories?.length || promotion.categories.includes(product.category)) &&
+  (!promotion.brands?.length || promotion.brands.includes(product.brand));
+
+const assertUsable = async (promotion, userId, now) => {
+  if (!promotion.active) throw new AppError(`${promotion.code} is no longer available`, 400);
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) throw new AppError(`${promotion.code} is not active yet`, 400);
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) throw new AppError(`${promotion.code} has expired`, 400);
+  if (promotion.max_redemptions != null &&
+    (await promotionRepository.countRedemptions(promotion.id)) >= promotion.max_redemptions) {
+    throw new AppError(`${promotion.code} has been fully redeemed`, 400);
+  }
+  if (promotion.max_redemptions_per_user != null &&
+    (await promotionRepository.countRedemptions(promotion.id, userId)) >= promotion.max_redemptions_per_user) {
+    throw new AppError(`You have already used ${promotion.code}`, 400);
+  }
+};
+
+// Works out what a code takes off a cart. `items` are cart items embedding
+// `products` and `variant`. Resolves to { promotion, amount, lines }, where each
+// line is { cart_item_id, amount } for an item the code applies to; throws a
+// 4xx AppError saying why the code can't be used.
+export const quote = async (code, items, userId) => {
+  const promotion = await promotionRepository.findByCode(normalizeCode(code));
+  if (!promotion) throw new AppError('Discount code not found', 404);
+  await assertUsable(promotion, userId, new Date());
+
+  const eligible = items
+    .filter((item) => inScope(promotion, item.products))
+    .map((item) => ({ item, kobo: toKobo(unitPrice(item) * item.quantity) }));
+  const eligibleKobo = eligible.reduce((sum, line) => sum + line.kobo, 0);
+  if (!eligibleKobo) throw new AppError(`${promotion.code} does not apply to anything in your cart`, 400);
+  if (promotion.min_spend != null && eligibleKobo < toKobo(promotion.min_spend)) {
+    throw new AppError(`Spend at least ${promotion.min_spend} on qualifying items to use ${promotion.code}`, 400);
+  }
+
+  const totalKobo = promotion.type === 'percentage'
+    ? Math.round((eligibleKobo * Number(promotion.value)) / 100)
+    : Math.min(toKobo(promotion.value), eligibleKobo);
+  // Spread the discount over the qualifying items in proportion to their
+  // value; the last one absorbs the rounding.
+  let allocated = 0;
+  const lines = eligible.map(({ item, kobo }, index) => {
+    const share = index === eligible.length - 1
+      ? totalKobo - allocated
+      : Math.floor((totalKobo * kobo) / eligibleKobo);
+    allocated += share;
+    return { cart_item_id: item.id, amount: fromKobo(share) };
+  });
+  return { promotion, amount: fromKobo(totalKobo), lines };
+};
+
+// The shape carts and orders show a customer.
+export const summarize = ({ promotion, amount, lines }) => ({
+  code: promotion.code,
+  description: promotion.description ?? null,
+  amount,
+  lines,
+});
+
+// Claims a use of the code for a freshly created order and stores one discount
+// line per order item. `orderItemIds` maps cart item ids to the order items made
+// from them. Throws 409 when the code ran out between quoting and ordering.
+export const redeemForOrder = async (quoted, { order, userId, orderItemIds }) => {
+  const { ok, reason } = await promotionRepository.redeem({
+    promotionId: quoted.promotion.id,
+    userId,
+    orderId: order.id,
+    amount: quoted.amount,
+  });
+  if (!ok) throw new AppError(reason, 409);
+  await promotionRepository.createOrderDiscounts(quoted.lines
+    .filter((line) => line.amount > 0)
+    .map((line) => ({
+      order_id: order.id,
+      order_item_id: orderItemIds.get(String(line.cart_item_id)),
+      promotion_id: quoted.promotion.id,
+      code: quoted.promotion.code,
+      amount: line.amount,
+    })));
+};
+
+export const releaseForOrder = (orderId) => promotionRepository.releaseForOrder(orderId);
+
+// An order paid after its use was given back keeps its discount: the customer
+// paid the discounted total, so the use counts again even past the limit.
+export const reclaimForOrder = (orderId) => promotionRepository.reclaimForOrder(orderId);
+
+const withStats = async (promotions) => {
+  const redemptions = await promotionRepository.listRedemptions(promotions.map((promotion) => promotion.id));
+  return promotions.map((promotion) => {
+    const own = redemptions.filter((redemption) => String(redemption.promotion_id) === String(promotion.id));
+    return {
+      ...promotion,
+      stats: {
+        redemptions: own.length,
+        customers: new Set(own.map((redemption) => String(redemption.user_id))).size,
+        discount_total: fromKobo(own.reduce((sum, redemption) => sum + toKobo(redemption.amount), 0)),
+        remaining: promotion.max_redemptions == null ? null : Math.max(promotion.max_redemptions - own.length, 0),
+      },
+    };
+  });
+};
+
+export const list = async (range) => {
+  const { items, total } = await promotionRepository.list(range);
+  return { items: await withStats(items), total };
+};
+
+export const get = async (id) => {
+  const promotion = await promotionRepository.findById(id);
+  if (!promotion) throw new AppError('Promotion not found', 404);
+  const [withStatsPromotion] = await withStats([promotion]);
+  const redemptions = await promotionRepository.listRedemptions([promotion.id], { statuses: ['active', 'released'] });
+  return { ...withStatsPromotion, redemptions };
+};
+
+const assertCodeFree = async (code, id) => {
+  const existing = await promotionRepository.findByCode(code);
+  if (existing && String(existing.id) !== String(id)) throw new AppError(`Code ${code} is already in use`, 409);
+};
+
+export const create = async (input) => {
+  const values = parsePromotion(input);
+  await assertCodeFree(values.code);
+  return promotionRepository.create({ active: true, ...values });
+};
+
+export const update = async (id, input) => {
+  const promotion = await promotionRepository.findById(id);
+  if (!promotion) throw new AppError('Promotion not found', 404);
+  const values = parsePromotion(input, promotion);
+  if (values.code) await assertCodeFree(values.code, promotion.id);
+  return promotionRepository.update(promotion.id, { ...values, updated_at: new Date().toISOString() });
+};
+
+// Codes that were used stay for the order history; switch them off instead.
+export const remove = async (id) => {
+  const promotion = await promotionRepository.findById(id);
+  if (!promotion) throw new AppError('Promotion not found', 404);
+  const used = await promotionRepository.listRedemptions([promotion.id], { statuses: ['active', 'released'] });
+  if (used.length) {
+    throw new AppError('This code has been used on orders; deactivate it instead', 409);
+  }
+  return promotionRepository.remove(promotion.id);
+};
@@ -0,0 +1,88 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const FLUTTERWAVE_BASE_URL = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
+
+export const name = 'flutterwave';
+
+export const signatureHeader = 'verif-hash';
+
+const client = () => axios.create({
+  baseURL: FLUTTERWAVE_BASE_URL,
+  headers: {
+    Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
+    'Content-Type': 'application/json',
+  },
+});
+
+// Flutterwave lets the merchant pick the reference, so the order id travels in
+// it as well as in `meta`, which webhooks don't always echo back.
+const txRef = (orderId) => `fb_${orderId}_${crypto.randomBytes(6).toString('hex')}`;
+const orderIdFrom = (data) => data.meta?.order_id ?? data.tx_ref?.match(/^fb_(\d+)_/)?.[1] ?? null;
+
+const STATUSES = { successful: 'success', failed: 'failed', cancelled: 'failed' };
+
+const transactionFrom = (data) => ({
+  reference: data.tx_ref,
+  transaction_id: data.id ? String(data.id) : null,
+  order_id: orderIdFrom(data),
+  amount: Number(data.amount) || 0,
+  currency: data.currency,
+  channel: data.payment_type,
+  status: STATUSES[data.status] || data.status,
+  paid_at: data.created_at,
+});
+
+export const initialize = async ({ order, email, currency, callbackUrl }) => {
+  const reference = txRef(order.id);
+  const data = (await client().post('/payments', {
+    tx_ref: reference,
+    amount: Number(order.total_amount),
+    currency,
+    redirect_url: callbackUrl,
+    customer: { email },
+    meta: { order_id: order.id },
+  })).data.data;
+  return { authorization_url: data.link, reference };
+};
+
+export const verify = async (reference) =>
+  transactionFrom((await client().get('/transactions/verify_by_reference', { params: { tx_ref: reference } })).data.data);
+
+// Refunds are addressed by Flutterwave's numeric transaction id, not tx_ref.
+export const refund = async ({ transactionId, amount }) => {
+  const data = (await client().post(`/transactions/${encodeURIComponent(transactionId)}/refund`, { amount })).data.data;
+  return { id: String(data.id), status: data.status };
+};
+
+// Flutterwave sends back the secret hash configured on the dashboard verbatim.
+export const verifyWebhook = (rawBody, headers) => {
+  const received = Buffer.from(String(headers[signatureHeader] || ''));
+  const expected = Buffer.from(process.env.FLUTTERWAVE_WEBHOOK_HASH || '');
+  return expected.length > 0 && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+export const parseEvent = ({ event, data }) => {
+  if (event === 'charge.completed') {
+    const transaction = transactionFrom(data);
+    const type = { success: 'charge.success', failed: 'charge.failed' }[transaction.status] || event;
+    return { event: type, id: transaction.reference ?? String(data.id), data: transaction };
+  }
+  if (event === 'refund.completed') {
+    const type = data.status === 'completed' ? 'refund.processed' : 'refund.failed';
+    return {
+      event: type,
+      id: String(data.id),
+      data: { refund_id: String(data.id), reference: data.tx_ref ?? null, reason: data.comments || null },
+    };
+  }
+  // Other events keep only what identifies them; the rest of Flutterwave's
+  // payload, the customer's contact details included, stays in `raw`.
+  return {
+    event,
+    id: String(data.id),
+    data: { id: String(data.id), reference: data.tx_ref ?? null, order_id: orderIdFrom(data), status: data.status ?? null },
+  };
+};
@@ -0,0 +1,82 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+export const name = 'paystack';
+
+export const signatureHeader = 'x-paystack-signature';
+
+// Paystack amounts are in kobo.
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+const fromKobo = (amount) => (amount ? Number(amount) / 100 : 0);
+
+const client = () => axios.create({
+  baseURL: PAYSTACK_BASE_URL,
+  headers: {
+    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+    'Content-Type': 'application/json',
+  },
+});
+
+const transactionFrom = (data) => ({
+  reference: data.reference,
+  transaction_id: data.id ? String(data.id) : null,
+  order_id: data.metadata?.order_id ?? null,
+  amount: fromKobo(data.amount),
+  currency: data.currency,
+  channel: data.channel,
+  status: data.status,
+  paid_at: data.paid_at,
+});
+
+export const initialize = async ({ order, email, currency, callbackUrl }) => {
+  const data = (await client().post('/transaction/initialize', {
+    email,
+    amount: toKobo(order.total_amount),
+    currency,
+    callback_url: callbackUrl,
+    metadata: { order_id: order.id },
+  })).data.data;
+  return { authorization_url: data.authorization_url, access_code: data.access_code, reference: data.reference };
+};
+
+export const verify = async (reference) =>
+  transactionFrom((await client().get(`/transaction/verify/${encodeURIComponent(reference)}`)).data.data);
+
+export const refund = async ({ reference, amount, currency, reason }) => {
+  const data = (await client().post('/refund', {
+    transaction: reference,
+    amount: toKobo(amount),
+    currency,
+    merchant_note: reason || undefined,
+  })).data.data;
+  return { id: String(data.id), status: data.status };
+};
+
+// Constant-time comparison of the x-paystack-signature header against the raw body.
+export const verifyWebhook = (rawBody, headers) => {
+  const signature = headers[signatureHeader];
+  if (!signature || !rawBody) return false;
+  const expected = crypto
+    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(String(signature), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Paystack's event names are already the ones the rest of the app uses.
+export const parseEvent = ({ event, data }) => {
+  if (event.startsWith('refund.')) {
+    return {
+      event,
+      id: String(data.id),
+      data: { refund_id: String(data.id), reference: data.transaction_reference, reason: data.reason || null },
+    };
+  }
+  const transaction = transactionFrom(data);
+  return { event, id: data.reference ?? String(data.id), data: transaction };
+};
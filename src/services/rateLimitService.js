@@ -0,0 +1,11 @@
+import * as rateLimitRepository from '../repositories/rateLimitRepository.js';
+
+// Sliding-window limiter kept in the database so limits survive restarts.
+// Resolves to true when the attempt is allowed (and counts it), false otherwise.
+export const consume = async (bucket, key, { limit, windowMs }) => {
+  const since = new Date(Date.now() - windowMs).toISOString();
+  await rateLimitRepository.pruneBefore(bucket, key, since);
+  if ((await rateLimitRepository.countSince(bucket, key, since)) >= limit) return false;
+  await rateLimitRepository.record(bucket, key);
+  return true;
+};
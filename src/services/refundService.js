@@ -0,0 +1,103 @@
+import * as refundRepository from '../repositories/refundRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as paymentReferenceRepository from '../repositories/paymentReferenceRepository.js';
+import * as orderStatusService from './orderStatusService.js';
+import { getProvider } from './paymentProviders.js';
+import { AppError } from '../utils/errors.js';
+
+// Orders a customer may still cancel themselves: nothing has left the warehouse.
+export const CANCELLABLE_STATUSES = ['pending', 'paid', 'processing'];
+
+const REFUNDABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Pending refunds count too, so two refunds cannot both claim the same balance.
+const committedAmount = (refunds, statuses = ['pending', 'processed']) =>
+  refunds.filter(refund => statuses.includes(refund.status)).reduce((sum, refund) => sum + Number(refund.amount), 0);
+
+const toMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+export const listForOrder = (orderId) => refundRepository.listForOrder(orderId);
+
+// Starts a refund with the provider that took the payment. Omitting `amount`
+// refunds whatever is left of it.
+export const issueRefund = async (orderId, { amount, reason = null, actor = orderStatusService.SYSTEM_ACTOR } = {}) => {
+  const order = await orderRepository.findById(orderId);
+  if (!order) throw new AppError('Order not found', 404);
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`Order is ${order.status} and cannot be refunded`, 409);
+  }
+  const payment = await paymentReferenceRepository.findSuccessfulForOrder(order.id);
+  if (!payment) throw new AppError('Order has no captured payment to refund', 409);
+
+  const remaining = toMoney(Number(payment.amount) - committedAmount(await refundRepository.listForOrder(order.id)));
+  const value = amount === undefined || amount === null ? remaining : toMoney(amount);
+  if (!Number.isFinite(value) || value <= 0) throw new AppError('Refund amount must be a positive number', 400);
+  if (value > remaining) throw new AppError(`Only ${remaining} ${payment.currency} can still be refunded`, 409);
+
+  const provider = payment.provider || 'paystack';
+  const refund = await refundRepository.create({
+    order_id: order.id,
+    payment_reference_id: payment.id,
+    provider,
+    amount: value,
+    currency: payment.currency,
+    status: 'pending',
+    reason,
+    initiated_by: actor.id,
+  });
+  try {
+    const result = await getProvider(provider).refund({
+      reference: payment.reference,
+      transactionId: payment.provider_transaction_id,
+      amount: value,
+      currency: payment.currency,
+      reason,
+    });
+    return refundRepository.update(refund.id, { provider_refund_id: result.id });
+  } catch (err) {
+    const message = err.response?.data?.message || err.message;
+    await refundRepository.update(refund.id, { status: 'failed', failure_reason: message });
+    throw new AppError(`${provider} could not start the refund: ${message}`, 502);
+  }
+};
+
+// Cancels an order and refunds a payment already taken in full. The
+// cancellation stands even if the provider refuses the refund; the failed
+// refund is kept on the order for an admin to retry.
+export const cancelOrder = async (order, { actor, note, reason }) => {
+  const cancelled = await orderStatusService.transition(order.id, 'cancelled', { actor, note, source: 'manual' });
+  if (!orderStatusService.PAID_STATUSES.includes(order.status)) return { order: cancelled, refund: null };
+  try {
+    return { order: cancelled, refund: await issueRefund(order.id, { reason, actor }) };
+  } catch (err) {
+    console.error(`Refund for cancelled order ${order.id} failed:`, err);
+    return { order: cancelled, refund: null, refund_error: err.message };
+  }
+};
+
+// Applies a refund.processed / refund.failed event. Once every kobo of the
+// payment has come back the order itself moves to refunded.
+export const applyProviderUpdate = async (provider, data, status) => {
+  const refund = data.refund_id ? await refundRepository.findByProviderId(provider, data.refund_id) : null;
+  if (!refund) return 'ignored';
+  if (refund.status === status) return 'ignored';
+  await refundRepository.update(refund.id, {
+    status,
+    processed_at: status === 'processed' ? new Date().toISOString() : null,
+    failure_reason: status === 'failed' ? data.reason || 'Refund failed' : null,
+  });
+  if (status !== 'processed') return 'processed';
+
+  const [order, payment, refunds] = await Promise.all([
+    orderRepository.findById(refund.order_id),
+    paymentReferenceRepository.findSuccessfulForOrder(refund.order_id),
+    refundRepository.listForOrder(refund.order_id),
+  ]);
+  const fullyRefunded = payment && committedAmount(refunds, ['processed']) >= Number(payment.amount);
+  if (order && fullyRefunded && orderStatusService.canTransition(order.status, 'refunded')) {
+    await orderStatusService.transition(order.id, 'refunded', {
+      note: `Refund ${data.refund_id} processed by ${provider}`,
+    });
+  }
+  return 'processed';
+};
@@ -0,0 +1,242 @@
+import * as reportRepository from '../repositories/reportRepository.js';
+import { PAID_STATUSES, ORDER_STATUSES } from './orderStatusService.js';
+import { toCsvLine } from '../utils/csv.js';
+import { parseDay } from '../utils/listQuery.js';
+import { AppError } from '../utils/errors.js';
+
+// Sales reports for the admin dashboard and the weekly management export.
+// Orders count towards sales by the day they were placed, in UTC, once they
+// reached a paid status; refunded and cancelled orders don't count.
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+const DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toKobo = (amount) => Math.round(Number(amount || 0) * 100);
+const fromKobo = (kobo) => kobo / 100;
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// `from` and `to` are inclusive days; without them the last 30 days are used.
+// Resolves to { from, to, start, end } with `end` exclusive.
+export const parseRange = ({ from, to } = {}) => {
+  const last = to ? parseDay(to, 'to') : new Date(`${isoDate(new Date())}T00:00:00Z`);
+  const first = from ? parseDay(from, 'from') : new Date(last.getTime() - (DEFAULT_DAYS - 1) * DAY_MS);
+  if (first > last) throw new AppError('from must not be after to', 400);
+  return {
+    from: isoDate(first),
+    to: isoDate(last),
+    start: first.toISOString(),
+    end: new Date(last.getTime() + DAY_MS).toISOString(),
+  };
+};
+
+const parseInterval = (interval = 'day') => {
+  if (!INTERVALS.includes(interval)) throw new AppError(`Interval must be one of: ${INTERVALS.join(', ')}`, 400);
+  return interval;
+};
+
+// First day of the period a timestamp falls in; weeks start on Monday.
+const periodStart = (timestamp, interval) => {
+  const date = new Date(`${String(timestamp).slice(0, 10)}T00:00:00Z`);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  if (interval === 'month') date.setUTCDate(1);
+  return isoDate(date);
+};
+
+// Every period in the range, so quiet days still show up as zeros.
+const periods = (range, interval) => {
+  const keys = [];
+  const cursor = new Date(`${periodStart(range.start, interval)}T00:00:00Z`);
+  while (cursor.toISOString() < range.end) {
+    keys.push(isoDate(cursor));
+    if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return keys;
+};
+
+const paidOrders = (range) => reportRepository.listOrders(range, { statuses: PAID_STATUSES });
+
+const revenue = async (range, { interval }) => {
+  interval = parseInterval(interval);
+  const buckets = new Map(periods(range, interval).map((key) => [key, { orders: 0, kobo: 0 }]));
+  for (const order of await paidOrders(range)) {
+    const bucket = buckets.get(periodStart(order.created_at, interval));
+    bucket.orders += 1;
+    bucket.kobo += toKobo(order.total_amount);
+  }
+  return [...buckets].map(([period, { orders, kobo }]) => ({
+    period,
+    orders,
+    revenue: fromKobo(kobo),
+    average_order_value: orders ? fromKobo(Math.round(kobo / orders)) : 0,
+  }));
+};
+
+const orderStatuses = async (range) => {
+  const totals = new Map(ORDER_STATUSES.map((status) => [status, { orders: 0, kobo: 0 }]));
+  const all = await reportRepository.listOrders(range);
+  for (const order of all) {
+    const total = totals.get(order.status) || { orders: 0, kobo: 0 };
+    total.orders += 1;
+    total.kobo += toKobo(order.total_amount);
+    totals.set(order.status, total);
+  }
+  return [...totals].map(([status, { orders, kobo }]) => ({
+    status,
+    orders,
+    share: percent(orders, all.length),
+    total_amount: fromKobo(kobo),
+  }));
+};
+
+const averageOrderValue = async (range) => {
+  const orders = await paidOrders(range);
+  const kobo = orders.reduce((sum, order) => sum + toKobo(order.total_amount), 0);
+  const discounts = orders.reduce((sum, order) => sum + toKobo(order.discount_amount), 0);
+  return [{
+    orders: orders.length,
+    revenue: fromKobo(kobo),
+    average_order_value: orders.length ? fromKobo(Math.round(kobo / orders.length)) : 0,
+    average_discount: orders.length ? fromKobo(Math.round(discounts / orders.length)) : 0,
+  }];
+};
+
+// Units and net revenue per order line: the line total less its share of any
+// discount. Tax and shipping are not product revenue.
+const soldLines = async (range) => {
+  const orderIds = (await paidOrders(range)).map((order) => order.id);
+  const [items, discounts] = await Promise.all([
+    reportRepository.listItemsForOrders(orderIds),
+    reportRepository.listDiscountsForOrders(orderIds),
+  ]);
+  const discountByItem = new Map();
+  for (const discount of discounts) {
+    const key = String(discount.order_item_id);
+    discountByItem.set(key, (discountByItem.get(key) || 0) + toKobo(discount.amount));
+  }
+  const products = await reportRepository.listProducts([...new Set(items.map((item) => item.product_id))]);
+  const byId = new Map(products.map((product) => [String(product.id), product]));
+  return items.map((item) => ({
+    product: byId.get(String(item.product_id)) || { id: item.product_id, name: null, category: null },
+    units: item.quantity,
+    kobo: toKobo(item.price_at_order) * item.quantity - (discountByItem.get(String(item.id)) || 0),
+  }));
+};
+
+const parseRanking = ({ sort = 'revenue', limit = 10 }) => {
+  if (!['revenue', 'units'].includes(sort)) throw new AppError('Sort must be one of: revenue, units', 400);
+  const count = Number(limit);
+  if (!Number.isInteger(count) || count < 1 || count > 100) throw new AppError('Limit must be a whole number from 1 to 100', 400);
+  return { sort, limit: count };
+};
+
+const rank = (groups, { sort, limit }) =>
+  [...groups.values()]
+    .sort((a, b) => (sort === 'units' ? b.units - a.units || b.kobo - a.kobo : b.kobo - a.kobo || b.units - a.units))
+    .slice(0, limit)
+    .map(({ kobo, ...group }) => ({ ...group, revenue: fromKobo(kobo) }));
+
+const topProducts = async (range, query) => {
+  const ranking = parseRanking(query);
+  const groups = new Map();
+  for (const { product, units, kobo } of await soldLines(range)) {
+    const key = String(product.id);
+    const group = groups.get(key) || { product_id: product.id, name: product.name, category: product.category, units: 0, kobo: 0 };
+    group.units += units;
+    group.kobo += kobo;
+    groups.set(key, group);
+  }
+  return rank(groups, ranking);
+};
+
+const topCategories = async (range, query) => {
+  const ranking = parseRanking(query);
+  const groups = new Map();
+  for (const { product, units, kobo } of await soldLines(range)) {
+    const key = product.category || 'uncategorised';
+    const group = groups.get(key) || { category: key, units: 0, kobo: 0 };
+    group.units += units;
+    group.kobo += kobo;
+    groups.set(key, group);
+  }
+  return rank(groups, ranking);
+};
+
+// A customer is new in the period of their first paid order ever, and
+// returning in every period after that.
+const customers = async (range, { interval }) => {
+  interval = parseInterval(interval);
+  const orders = (await paidOrders(range)).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const userIds = [...new Set(orders.map((order) => order.user_id))];
+  const seen = await reportRepository.listCustomersWithOrdersBefore(userIds, range.start, PAID_STATUSES);
+  const buckets = new Map(periods(range, interval).map((key) => [key, { new: new Set(), returning: new Set() }]));
+  const firstPeriod = new Map();
+  for (const order of orders) {
+    const user = String(order.user_id);
+    const period = periodStart(order.created_at, interval);
+    if (!seen.has(user) && !firstPeriod.has(user)) firstPeriod.set(user, period);
+    const bucket = buckets.get(period);
+    if (firstPeriod.get(user) === period) bucket.new.add(user);
+    else bucket.returning.add(user);
+  }
+  return [...buckets].map(([period, bucket]) => ({
+    period,
+    new_customers: bucket.new.size,
+    returning_customers: bucket.returning.size,
+  }));
+};
+
+// Charge outcomes recorded from provider webhooks. Successful charges whose
+// amount or currency didn't match the order are counted as flagged.
+const payments = async (range) => {
+  const totals = new Map();
+  const all = { provider: 'all', attempts: 0, succeeded: 0, failed: 0, flagged: 0 };
+  for (const payment of await reportRepository.listPayments(range)) {
+    const total = totals.get(payment.provider) || { provider: payment.provider, attempts: 0, succeeded: 0, failed: 0, flagged: 0 };
+    const outcome = payment.status !== 'success' ? 'failed' : payment.review_status ? 'flagged' : 'succeeded';
+    for (const row of [total, all]) {
+      row.attempts += 1;
+      row[outcome] += 1;
+    }
+    totals.set(payment.provider, total);
+  }
+  return [...[...totals.values()].sort((a, b) => a.provider.localeCompare(b.provider)), all].map((row) => ({
+    ...row,
+    success_rate: percent(row.succeeded, row.attempts),
+    failure_rate: percent(row.failed, row.attempts),
+  }));
+};
+
+const REPORTS = {
+  revenue: { build: revenue, columns: ['period', 'orders', 'revenue', 'average_order_value'] },
+  'order-statuses': { build: orderStatuses, columns: ['status', 'orders', 'share', 'total_amount'] },
+  'average-order-value': { build: averageOrderValue, columns: ['orders', 'revenue', 'average_order_value', 'average_discount'] },
+  'top-products': { build: topProducts, columns: ['product_id', 'name', 'category', 'units', 'revenue'] },
+  'top-categories': { build: topCategories, columns: ['category', 'units', 'revenue'] },
+  customers: { build: customers, columns: ['period', 'new_customers', 'returning_customers'] },
+  payments: { build: payments, columns: ['provider', 'attempts', 'succeeded', 'failed', 'flagged', 'success_rate', 'failure_rate'] },
+};
+
+export const NAMES = Object.keys(REPORTS);
+
+// Resolves to { report, from, to, columns, rows }.
+export const run = async (name, query = {}) => {
+  const report = REPORTS[name];
+  if (!report) throw new AppError(`Report must be one of: ${NAMES.join(', ')}`, 404);
+  const range = parseRange(query);
+  const rows = await report.build(range, query);
+  return { report: name, from: range.from, to: range.to, columns: report.columns, rows };
+};
+
+export const filename = ({ report, from, to }) => `${report}-${from}-to-${to}.csv`;
+
+// Reports are opened in spreadsheets and carry admin-entered names, so text
+// cells are guarded against formula injection.
+export const toCsv = ({ columns, rows }) =>
+  [
+    toCsvLine(columns),
+    ...rows.map((row) => toCsvLine(columns.map((column) => row[column]), { formulaSafe: true })),
+  ].join('');
@@ -0,0 +1,93 @@
+import * as reviewRepository from '../repositories/reviewRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import { PAID_STATUSES } from './orderStatusService.js';
+import { AppError } from '../utils/errors.js';
+
+export const STATUSES = ['approved', 'hidden'];
+
+const MAX_BODY_LENGTH = 2000;
+
+const findProduct = async (productId) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  return product;
+};
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new AppError('Rating must be a whole number from 1 to 5', 400);
+  }
+  return value;
+};
+
+const parseText = ({ title, body }) => {
+  if (body && String(body).length > MAX_BODY_LENGTH) {
+    throw new AppError(`Reviews can be at most ${MAX_BODY_LENGTH} characters`, 400);
+  }
+  return { title: title?.trim() || undefined, body: body?.trim() || undefined };
+};
+
+export const listForProduct = async (productId) => {
+  const product = await findProduct(productId);
+  return reviewRepository.listForProduct(product.id);
+};
+
+export const list = ({ status, from, to }) => {
+  if (status && !STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${STATUSES.join(', ')}`, 400);
+  }
+  return reviewRepository.list({ status, from, to });
+};
+
+// Only customers with a paid order containing the product may review it, once.
+export const create = async (productId, user, { rating, title, body }) => {
+  const product = await findProduct(productId);
+  const value = parseRating(rating);
+  if (!(await orderRepository.countPurchases(user.id, product.id, PAID_STATUSES))) {
+    throw new AppError('Only customers who bought this product can review it', 403);
+  }
+  if (await reviewRepository.findForUser(product.id, user.id)) {
+    throw new AppError('You have already reviewed this product; edit your review instead', 409);
+  }
+  const review = await reviewRepository.create({
+    product_id: product.id,
+    user_id: user.id,
+    rating: value,
+    ...parseText({ title, body }),
+    status: 'approved',
+  });
+  await reviewRepository.refreshProductRating(product.id);
+  return review;
+};
+
+// Edits keep the moderation status, so a hidden review stays hidden.
+export const update = async (productId, reviewId, user, { rating, title, body }) => {
+  const review = await reviewRepository.findById(reviewId);
+  if (!review || String(review.product_id) !== String(productId) || String(review.user_id) !== String(user.id)) {
+    throw new AppError('Review not found', 404);
+  }
+  const updated = await reviewRepository.update(review.id, {
+    rating: rating === undefined ? undefined : parseRating(rating),
+    ...parseText({ title, body }),
+    updated_at: new Date().toISOString(),
+  });
+  await reviewRepository.refreshProductRating(review.product_id);
+  return updated;
+};
+
+export const moderate = async (reviewId, status, actor) => {
+  if (!STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${STATUSES.join(', ')}`, 400);
+  }
+  const review = await reviewRepository.findById(reviewId);
+  if (!review) throw new AppError('Review not found', 404);
+  const updated = await reviewRepository.update(review.id, {
+    status,
+    moderated_by: actor.id,
+    moderated_at: new Date().toISOString(),
+  });
+  await reviewRepository.refreshProductRating(review.product_id);
+  return updated;
+};
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import * as sessionRepository from '../repositories/sessionRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import { AppError } from '../utils/errors.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are only ever stored as hashes.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const isLive = (session) =>
+  Boolean(session) && !session.revoked_at && new Date(session.expires_at) > new Date();
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      username: user.name,
+      role: user.role,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// One session per device; `device` is a free-form label such as the user agent.
+export const startSession = async (user, device) => {
+  const refreshToken = newRefreshToken();
+  const session = await sessionRepository.create({
+    user_id: user.id,
+    device: device ? String(device).slice(0, 200) : null,
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at: refreshExpiry(),
+    last_used_at: new Date().toISOString(),
+  });
+  return { token: signAccessToken(user, session.id), refreshToken };
+};
+
+export const refreshSession = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const session = await sessionRepository.findByTokenHash(hash);
+  if (!session) {
+    // A rotated-out token coming back means it leaked: end that session.
+    const reused = await sessionRepository.findByPreviousTokenHash(hash);
+    if (reused) await sessionRepository.revoke(reused.id);
+    throw new AppError('Invalid refresh token', 401);
+  }
+  if (!isLive(session)) throw new AppError('Refresh token expired or revoked', 401);
+  const user = await userRepository.findById(session.user_id);
+  if (!user || user.deleted_at) throw new AppError('Invalid refresh token', 401);
+  if (user.suspended_at) throw new AppError('This account has been suspended', 403);
+  const nextToken = newRefreshToken();
+  const rotated = await sessionRepository.rotate(session.id, hash, hashToken(nextToken), refreshExpiry());
+  if (!rotated) throw new AppError('Invalid refresh token', 401);
+  return { token: signAccessToken(user, session.id), refreshToken: nextToken };
+};
+
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return isLive(await sessionRepository.findById(sessionId));
+};
+
+export const endSession = (sessionId) => sessionRepository.revoke(sessionId);
+
+export const endAllSessions = (userId) => sessionRepository.revokeAllForUser(userId);
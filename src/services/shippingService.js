@@ -0,0 +1,123 @@
+import * as shippingZoneRepository from '../repositories/shippingZoneRepository.js';
+import * as addressService from './addressService.js';
+import { AppError } from '../utils/errors.js';
+
+export const RATE_TYPES = ['flat', 'weight'];
+export const DELIVERY_METHODS = ['delivery', 'pickup'];
+
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const listParam = (value) => {
+  if (value === undefined) return undefined;
+  const list = [].concat(value ?? []).flatMap((entry) => String(entry).split(',')).map((entry) => entry.trim()).filter(Boolean);
+  return list.length ? list : null;
+};
+
+const optionalAmount = (value, name) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) throw new AppError(`${name} must be zero or more`, 400);
+  return amount;
+};
+
+const parseZone = (input, current = {}) => {
+  const values = {
+    name: input.name?.trim(),
+    states: listParam(input.states),
+    cities: listParam(input.cities),
+    rate_type: input.rate_type,
+    flat_fee: optionalAmount(input.flat_fee, 'Flat fee'),
+    per_kg_fee: optionalAmount(input.per_kg_fee, 'Per-kg fee'),
+    free_over: optionalAmount(input.free_over, 'Free shipping threshold'),
+    active: input.active === undefined ? undefined : [true, 'true', '1'].includes(input.active),
+  };
+  const given = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+  const merged = { ...current, ...given };
+  if (!merged.name) throw new AppError('Name is required', 400);
+  if (!RATE_TYPES.includes(merged.rate_type)) throw new AppError(`Rate type must be one of: ${RATE_TYPES.join(', ')}`, 400);
+  if (merged.rate_type === 'weight' && !(merged.per_kg_fee > 0)) {
+    throw new AppError('Weight-based zones need a per-kg fee', 400);
+  }
+  return given;
+};
+
+// How specifically a zone covers an address: 2 for a listed city, 1 for a
+// listed state, 0 for the catch-all zone, null when it doesn't cover it.
+const coverage = (zone, address) => {
+  const inState = !zone.states?.length || zone.states.map(normalize).includes(normalize(address.state));
+  if (!inState) return null;
+  if (zone.cities?.length) return zone.cities.map(normalize).includes(normalize(address.city)) ? 2 : null;
+  return zone.states?.length ? 1 : 0;
+};
+
+export const zoneFor = async (address) => {
+  let best = null;
+  for (const zone of await shippingZoneRepository.list({ activeOnly: true })) {
+    const score = coverage(zone, address);
+    if (score !== null && (!best || score > best.score)) best = { zone, score };
+  }
+  return best?.zone || null;
+};
+
+// Weight of a cart's items in kg. Variants share their product's weight, and
+// products without one count as weightless.
+const cartWeight = (items) =>
+  items.reduce((sum, item) => sum + Number(item.products.weight_kg || 0) * item.quantity, 0);
+
+// Weight-based zones charge the flat fee plus the per-kg fee for every started kg.
+export const feeFor = (zone, { items, merchandiseTotal }) => {
+  if (zone.free_over != null && toKobo(merchandiseTotal) >= toKobo(zone.free_over)) return 0;
+  const base = Number(zone.flat_fee || 0);
+  if (zone.rate_type === 'flat') return base;
+  return (toKobo(base) + toKobo(zone.per_kg_fee) * Math.ceil(cartWeight(items))) / 100;
+};
+
+export const pickupOption = () => ({ method: 'pickup', fee: 0, location: process.env.PICKUP_LOCATION || null });
+
+export const deliveryOption = async (address, cart) => {
+  const zone = await zoneFor(address);
+  if (!zone) throw new AppError(`We don't deliver to ${address.city}, ${address.state} yet`, 400);
+  return { method: 'delivery', address_id: address.id, zone: { id: zone.id, name: zone.name }, fee: feeFor(zone, cart) };
+};
+
+// The delivery columns for a new order. `choice` is the checkout body:
+// { delivery_method: 'pickup' } or { address_id }; with neither, the customer's
+// default address is used. `cart` is { items, merchandiseTotal }.
+export const forCheckout = async (userId, { delivery_method, address_id }, cart) => {
+  if (delivery_method && !DELIVERY_METHODS.includes(delivery_method)) {
+    throw new AppError(`Delivery method must be one of: ${DELIVERY_METHODS.join(', ')}`, 400);
+  }
+  if (delivery_method === 'pickup') {
+    return { delivery_method: 'pickup', shipping_address: null, shipping_zone_id: null, shipping_fee: 0 };
+  }
+  const address = address_id
+    ? await addressService.findForUser(userId, address_id)
+    : await addressService.findDefault(userId);
+  if (!address) throw new AppError('Choose a delivery address or store pickup', 400);
+  const option = await deliveryOption(address, cart);
+  return {
+    delivery_method: 'delivery',
+    shipping_address: addressService.snapshot(address),
+    shipping_zone_id: option.zone.id,
+    shipping_fee: option.fee,
+  };
+};
+
+export const listZones = (range) => shippingZoneRepository.listPage(range);
+
+export const createZone = (input) => shippingZoneRepository.create({ active: true, ...parseZone(input) });
+
+export const updateZone = async (id, input) => {
+  const zone = await shippingZoneRepository.findById(id);
+  if (!zone) throw new AppError('Shipping zone not found', 404);
+  return shippingZoneRepository.update(zone.id, { ...parseZone(input, zone), updated_at: new Date().toISOString() });
+};
+
+export const removeZone = async (id) => {
+  const zone = await shippingZoneRepository.remove(id);
+  if (!zone) throw new AppError('Shipping zone not found', 404);
+  return zone;
+};
@@ -0,0 +1,55 @@
+import * as stockAlertRepository from '../repositories/stockAlertRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import { availableStock } from './inventoryService.js';
+import { sendMail } from '../utils/mailer.js';
+import { backInStockEmail } from '../utils/emailTemplates.js';
+import { AppError } from '../utils/errors.js';
+
+const BATCH_SIZE = Number(process.env.STOCK_ALERT_BATCH_SIZE) || 50;
+
+// "Notify me" is only offered while a product can't be bought. Asking again
+// after an earlier alert was sent waits for the next restock.
+export const subscribe = async (userId, productId) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  if (product.archived_at) throw new AppError(`${product.name} is no longer available`, 400);
+  if (availableStock(product) > 0) throw new AppError(`${product.name} is in stock`, 409);
+  const existing = await stockAlertRepository.find(userId, product.id);
+  if (!existing) return { alert: await stockAlertRepository.create(userId, product.id), created: true };
+  if (!existing.notified_at) return { alert: existing, created: false };
+  return { alert: await stockAlertRepository.reopen(existing.id), created: true };
+};
+
+export const unsubscribe = async (userId, productId) => {
+  const alert = await stockAlertRepository.remove(userId, productId);
+  if (!alert) throw new AppError('You have not asked to be notified about this product', 404);
+  return alert;
+};
+
+export const isRestock = (before, after) => availableStock(before) <= 0 && availableStock(after) > 0;
+
+// Emails everyone waiting on the product, BATCH_SIZE at a time. Alerts are
+// claimed before sending, so each one goes out at most once per restock;
+// those whose email fails wait for the next one. Resolves to the number sent.
+export const notifyRestock = async (product) => {
+  const alerts = await stockAlertRepository.claimPending(product.id, new Date().toISOString());
+  if (!alerts.length) return 0;
+  const users = await userRepository.findByIds(alerts.map((alert) => alert.user_id));
+  const emails = new Map(users.map((user) => [String(user.id), user.email]));
+  const recipients = alerts.filter((alert) => emails.has(String(alert.user_id)));
+  const email = backInStockEmail(product);
+  const failed = [];
+  for (let start = 0; start < recipients.length; start += BATCH_SIZE) {
+    const batch = recipients.slice(start, start + BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map((alert) => sendMail(emails.get(String(alert.user_id)), email)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Error sending back-in-stock alert ${batch[index].id}:`, result.reason);
+        failed.push(batch[index].id);
+      }
+    });
+  }
+  await stockAlertRepository.release(failed);
+  return recipients.length - failed.length;
+};
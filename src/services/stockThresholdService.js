@@ -0,0 +1,44 @@
+import * as stockThresholdRepository from '../repositories/stockThresholdRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import { withAvailability } from './inventoryService.js';
+import { AppError } from '../utils/errors.js';
+
+// Used when neither the product nor its category has a threshold of its own.
+export const defaultThreshold = () => {
+  const configured = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isInteger(configured) && configured >= 0 ? configured : 5;
+};
+
+// Thresholds are whole numbers of items; null or '' clears a product's own one.
+export const parseThreshold = (value, { nullable = false } = {}) => {
+  if (nullable && (value === null || value === '')) return null;
+  const threshold = Number(value);
+  if (value === null || value === '' || !Number.isInteger(threshold) || threshold < 0) {
+    throw new AppError('Low-stock threshold must be a whole number of items', 400);
+  }
+  return threshold;
+};
+
+export const getSettings = async () => ({
+  default_threshold: defaultThreshold(),
+  categories: await stockThresholdRepository.listCategories(),
+});
+
+export const setCategoryThreshold = (category, threshold) =>
+  stockThresholdRepository.saveCategory(category, parseThreshold(threshold));
+
+export const removeCategoryThreshold = async (category) => {
+  const removed = await stockThresholdRepository.removeCategory(category);
+  if (!removed) throw new AppError('No threshold is set for this category', 404);
+  return removed;
+};
+
+// Products whose available stock is below their threshold: the product's own,
+// else its category's, else the default. Each row says which one applied.
+export const listLowStock = async (range) => {
+  const { items, total } = await productRepository.listLowStock(defaultThreshold(), range);
+  return {
+    items: items.map(({ threshold, threshold_source, ...product }) => ({ ...withAvailability(product), threshold, threshold_source })),
+    total,
+  };
+};
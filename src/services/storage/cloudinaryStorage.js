@@ -0,0 +1,22 @@
+import cloudinary from '../../utils/cloudinaryConfig.js';
+
+export const name = 'cloudinary';
+
+export const upload = async (filePath, { folder }) => {
+  const result = await cloudinary.uploader.upload(filePath, { folder });
+  return { url: result.secure_url, key: result.public_id };
+};
+
+export const remove = async (key) => {
+  await cloudinary.uploader.destroy(key);
+};
+
+// Older rows only kept the delivery URL; the public id is the path after the
+// version segment without its extension, e.g. forge_and_bolt/abc123. URLs from
+// other Cloudinary accounts are never ours to delete.
+export const keyFromUrl = (url) => {
+  const cloud = cloudinary.config().cloud_name;
+  if (!cloud || !url?.startsWith(`https://res.cloudinary.com/${cloud}/`)) return null;
+  const match = /\/upload\/(?:[^/]+\/)*?v\d+\/(.+)\.[a-z0-9]+$/i.exec(url);
+  return match ? match[1] : null;
+};
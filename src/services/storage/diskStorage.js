@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Files live under MEDIA_ROOT and are served by app.js at MEDIA_PUBLIC_PATH.
+const root = () => path.resolve(process.env.MEDIA_ROOT || 'uploads');
+const publicPath = () => (process.env.MEDIA_PUBLIC_PATH || '/media').replace(/\/+$/, '');
+
+export const name = 'local';
+
+export const directory = root;
+
+export const mountPath = publicPath;
+
+export const upload = async (filePath, { folder, extension }) => {
+  const key = `${folder}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+  const target = path.join(root(), key);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.copyFile(filePath, target);
+  return { url: `${publicPath()}/${key}`, key };
+};
+
+export const remove = async (key) => {
+  const target = path.resolve(root(), key);
+  // Keys come from our own rows, but never let one point outside the media root.
+  if (!target.startsWith(root() + path.sep)) return;
+  await fs.promises.rm(target, { force: true });
+};
+
+export const keyFromUrl = (url) => {
+  const prefix = `${publicPath()}/`;
+  return url?.startsWith(prefix) ? url.slice(prefix.length) : null;
+};
@@ -0,0 +1,60 @@
+import * as taxSettingsRepository from '../repositories/taxSettingsRepository.js';
+import * as userRepository from '../repositories/userRepository.js';
+import { unitPrice } from './variantService.js';
+import { AppError } from '../utils/errors.js';
+
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+
+const DEFAULTS = { standard_rate: 0, exempt_categories: [] };
+
+export const getSettings = async () => ({ ...DEFAULTS, ...(await taxSettingsRepository.get()) });
+
+export const updateSettings = async ({ standard_rate, exempt_categories }) => {
+  const changes = { updated_at: new Date().toISOString() };
+  if (standard_rate !== undefined) {
+    const rate = Number(standard_rate);
+    if (standard_rate === null || standard_rate === '' || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+      throw new AppError('Standard rate must be a percentage from 0 to 100', 400);
+    }
+    changes.standard_rate = rate;
+  }
+  if (exempt_categories !== undefined) {
+    changes.exempt_categories = [].concat(exempt_categories ?? [])
+      .flatMap((entry) => String(entry).split(','))
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+  return { ...DEFAULTS, ...(await taxSettingsRepository.save(changes)) };
+};
+
+export const setCustomerExemption = async (userId, { tax_exempt, tax_exempt_reason }) => {
+  if (typeof tax_exempt !== 'boolean') throw new AppError('tax_exempt must be true or false', 400);
+  if (tax_exempt && !tax_exempt_reason?.trim()) {
+    throw new AppError('Give a reason, such as the exemption certificate number', 400);
+  }
+  const user = await userRepository.update(userId, {
+    tax_exempt,
+    tax_exempt_reason: tax_exempt ? tax_exempt_reason.trim() : null,
+  });
+  if (!user) throw new AppError('User not found', 404);
+  return { id: user.id, email: user.email, tax_exempt: user.tax_exempt, tax_exempt_reason: user.tax_exempt_reason };
+};
+
+// Tax on each cart item after its share of any discount. `discountLines` are
+// the { cart_item_id, amount } lines of a promotion quote. Resolves to
+// { amount, lines }, lines keyed by cart item id as { rate, amount }.
+export const quote = async (items, { userId, discountLines = [] }) => {
+  const [settings, user] = await Promise.all([getSettings(), userId ? userRepository.findById(userId) : null]);
+  const discounts = new Map(discountLines.map((line) => [String(line.cart_item_id), toKobo(line.amount)]));
+  const lines = new Map();
+  let total = 0;
+  for (const item of items) {
+    const exempt = user?.tax_exempt || settings.exempt_categories.includes(item.products.category);
+    const rate = exempt ? 0 : Number(settings.standard_rate);
+    const base = toKobo(unitPrice(item) * item.quantity) - (discounts.get(String(item.id)) || 0);
+    const kobo = Math.round((base * rate) / 100);
+    lines.set(String(item.id), { rate, amount: kobo / 100 });
+    total += kobo;
+  }
+  return { amount: total / 100, lines };
+};
@@ -0,0 +1,136 @@
+import * as variantRepository from '../repositories/variantRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import * as cartRepository from '../repositories/cartRepository.js';
+import * as orderRepository from '../repositories/orderRepository.js';
+import * as inventoryService from './inventoryService.js';
+import * as mediaService from './mediaService.js';
+import * as stockAlertService from './stockAlertService.js';
+import { AppError } from '../utils/errors.js';
+
+// Price of one unit of a cart or order line embedding `products` and `variant`.
+export const unitPrice = (line) => Number(line.variant?.price ?? line.products.price);
+
+// "Red / 10mm" style label used in stock messages and emails.
+export const variantLabel = (variant) => Object.values(variant?.attributes || {}).join(' / ');
+
+// Every attribute with the values offered for it, e.g. { size: ['10mm', '20mm'] },
+// so a storefront can draw one picker per attribute.
+export const optionsOf = (variants) => {
+  const options = {};
+  for (const { attributes } of variants) {
+    for (const [name, value] of Object.entries(attributes || {})) {
+      options[name] ??= [];
+      if (!options[name].includes(value)) options[name].push(value);
+    }
+  }
+  return options;
+};
+
+export const withVariants = async (product) => {
+  const variants = (await variantRepository.listForProduct(product.id)).map(inventoryService.withAvailability);
+  return { ...product, variants, options: optionsOf(variants) };
+};
+
+// What a customer is asking to buy. Products sold in variants must name one.
+export const resolvePurchase = async (productId, variantId) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  if (product.archived_at) throw new AppError(`${product.name} is no longer available`, 400);
+  if (variantId) {
+    const variant = await variantRepository.findForProduct(product.id, variantId);
+    if (!variant) throw new AppError('Variant not found', 404);
+    return { product, variant };
+  }
+  if ((await variantRepository.listForProduct(product.id)).length) {
+    throw new AppError('Choose a variant of this product', 400);
+  }
+  return { product, variant: null };
+};
+
+// A product's stock is the sum of its variants', so a variant change can be
+// what brings it back in stock.
+const syncProductStock = async (productId) => {
+  const before = await productRepository.findById(productId);
+  await inventoryService.syncProductStock(productId);
+  const after = await productRepository.findById(productId);
+  if (before && after && stockAlertService.isRestock(before, after)) {
+    stockAlertService.notifyRestock(after)
+      .catch(err => console.error(`Error sending back-in-stock alerts for product ${productId}:`, err));
+  }
+};
+
+const parseAttributes = (attributes) => {
+  if (attributes === undefined) return undefined;
+  let parsed = attributes;
+  if (typeof attributes === 'string') {
+    try {
+      parsed = JSON.parse(attributes);
+    } catch {
+      throw new AppError('Attributes must be a JSON object', 400);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new AppError('Attributes must be an object such as {"size": "10mm"}', 400);
+  }
+  return Object.fromEntries(Object.entries(parsed).map(([name, value]) => [name.trim().toLowerCase(), String(value)]));
+};
+
+const assertSkuFree = async (sku, variantId) => {
+  const existing = await variantRepository.findBySku(sku);
+  if (existing && String(existing.id) !== String(variantId)) {
+    throw new AppError(`SKU ${sku} is already in use`, 409);
+  }
+};
+
+export const addVariant = async (productId, { sku, attributes, price, stock_count, image_url }) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  if (!sku) throw new AppError('SKU is required', 400);
+  await assertSkuFree(sku);
+  const variant = await variantRepository.create({
+    product_id: product.id,
+    sku,
+    attributes: parseAttributes(attributes) || {},
+    price: price ?? product.price,
+    stock_count: Number(stock_count) || 0,
+    reserved_count: 0,
+    image_url: image_url ?? null,
+  });
+  await syncProductStock(product.id);
+  return variant;
+};
+
+export const updateVariant = async (productId, variantId, { sku, attributes, price, stock_count, image_url }) => {
+  const variant = await variantRepository.findForProduct(productId, variantId);
+  if (!variant) throw new AppError('Variant not found', 404);
+  if (sku) await assertSkuFree(sku, variant.id);
+  if (stock_count !== undefined && Number(stock_count) < (variant.reserved_count || 0)) {
+    throw new AppError(`${variant.reserved_count} units are held by pending orders`, 409);
+  }
+  const updated = await variantRepository.update(variant.id, {
+    sku: sku || undefined,
+    attributes: parseAttributes(attributes),
+    price,
+    stock_count: stock_count === undefined ? undefined : Number(stock_count),
+    image_url,
+  });
+  await syncProductStock(variant.product_id);
+  if (image_url && variant.image_url && image_url !== variant.image_url) {
+    await mediaService.discard({ url: variant.image_url });
+  }
+  return updated;
+};
+
+// Variants that were ordered stay, so order history keeps pointing at them.
+export const removeVariant = async (productId, variantId) => {
+  const variant = await variantRepository.findForProduct(productId, variantId);
+  if (!variant) throw new AppError('Variant not found', 404);
+  if (await orderRepository.countForVariant(variant.id)) {
+    throw new AppError('This variant has been ordered and cannot be deleted', 409);
+  }
+  await cartRepository.removeVariant(variant.id);
+  await variantRepository.remove(variant.id);
+  await inventoryService.syncProductStock(variant.product_id);
+  if (variant.image_url) await mediaService.discard({ url: variant.image_url });
+  return variant;
+};
@@ -0,0 +1,29 @@
+import * as wishlistRepository from '../repositories/wishlistRepository.js';
+import * as productRepository from '../repositories/productRepository.js';
+import { withAvailability } from './inventoryService.js';
+import { AppError } from '../utils/errors.js';
+
+// Saved products with their current availability. Archived products stay on
+// the list, flagged, so customers can see what went away.
+export const list = async (userId) => {
+  const items = await wishlistRepository.listForUser(userId);
+  return items
+    .filter((item) => item.products)
+    .map((item) => ({ ...item, products: withAvailability(item.products), available: !item.products.archived_at }));
+};
+
+// Resolves to { item, created }; saving a product twice keeps the first entry.
+export const add = async (userId, productId) => {
+  const product = await productRepository.findById(productId);
+  if (!product) throw new AppError('Product not found', 404);
+  if (product.archived_at) throw new AppError(`${product.name} is no longer available`, 400);
+  const existing = await wishlistRepository.find(userId, product.id);
+  if (existing) return { item: existing, created: false };
+  return { item: await wishlistRepository.add(userId, product.id), created: true };
+};
+
+export const remove = async (userId, productId) => {
+  const item = await wishlistRepository.remove(userId, productId);
+  if (!item) throw new AppError('Product is not on your wishlist', 404);
+  return item;
+};
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 reader/writer: quoted fields, doubled quotes, and commas or
+// line breaks inside quotes. Enough for spreadsheet exports without a dependency.
+
+// Returns { headers, rows } where each row is an object keyed by the
+// lower-cased header and carries its 1-based `line` in the file.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((value) => value !== '')) records.push({ values: record, line: recordLine });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length) endRecord();
+
+  const [header, ...body] = records;
+  const headers = header ? header.values.map((name) => name.trim().toLowerCase()) : [];
+  const rows = body.map(({ values, line: number }) => ({
+    line: number,
+    ...Object.fromEntries(headers.map((name, index) => [name, (values[index] ?? '').trim()])),
+  }));
+  return { headers, rows };
+};
+
+// Spreadsheets run text cells starting with these as formulas.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value, { formulaSafe }) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (formulaSafe && typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `formulaSafe` prefixes text that a spreadsheet would evaluate with a quote.
+// Leave it off for files meant to be imported again, such as the product export.
+export const toCsvLine = (values, { formulaSafe = false } = {}) =>
+  `${values.map((value) => escapeField(value, { formulaSafe })).join(',')}\r\n`;
@@ -0,0 +1,103 @@
+import { frontendUrl } from './frontend.js';
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; color: #333">
+    ${body}
+    <p>Thank you for shopping with <strong>Forge & Bolt</strong>!</p>
+  </div>
+`;
+
+const paymentDetails = (order, payment) => payment ? `
+    <ul>
+      <li><strong>Order ID:</strong> ${order.id}</li>
+      <li><strong>Payment Reference:</strong> ${payment.reference}</li>
+      <li><strong>Channel:</strong> ${payment.channel}</li>
+      <li><strong>Status:</strong> ${payment.status}</li>
+      <li><strong>Date:</strong> ${new Date(payment.paid_at).toLocaleString()}</li>
+    </ul>` : `
+    <ul>
+      <li><strong>Order ID:</strong> ${order.id}</li>
+    </ul>`;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// For text staff or customers typed, such as a status note, a cancel reason,
+// a product name or a customer's name.
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const noteLine = (note) => (note ? `<p><em>${escapeHtml(note)}</em></p>` : '');
+
+const ORDER_STATUS_TEMPLATES = {
+  paid: ({ order, payment, note }) => ({
+    subject: 'Your Order Payment Was Successful',
+    html: layout(`
+    <h2 style="color: #4CAF50;">✅ Payment Confirmed</h2>
+    <p>Hi there,</p>
+    <p>We've successfully received your payment of <strong>₦${payment?.amount ?? order.total_amount}</strong>.</p>
+    <h3>Order Summary</h3>
+    ${paymentDetails(order, payment)}
+    ${order.invoice_number ? `<p>Your invoice ${order.invoice_number} is attached.</p>` : ''}
+    ${noteLine(note)}`),
+  }),
+  failed: ({ order, payment, note }) => ({
+    subject: 'Payment Failed - Please Try Again',
+    html: layout(`
+    <h2 style="color: #d9534f;">❌ Payment Failed</h2>
+    <p>Hi there,</p>
+    <p>Your payment of <strong>₦${payment?.amount ?? order.total_amount}</strong> was not successful.</p>
+    <p>Please try again or contact support if you need help.</p>
+    <h3>Payment Details</h3>
+    ${paymentDetails(order, payment)}
+    ${noteLine(note)}`),
+  }),
+  processing: ({ order, note }) => ({
+    subject: `Order #${order.id} Is Being Prepared`,
+    html: layout(`
+    <h2>📦 We're preparing your order</h2>
+    <p>Order <strong>#${order.id}</strong> is being picked and packed.</p>
+    ${noteLine(note)}`),
+  }),
+  shipped: ({ order, note }) => ({
+    subject: `Order #${order.id} Has Shipped`,
+    html: layout(`
+    <h2>🚚 Your order is on its way</h2>
+    <p>Order <strong>#${order.id}</strong> has left our warehouse.</p>
+    ${noteLine(note)}`),
+  }),
+  delivered: ({ order, note }) => ({
+    subject: `Order #${order.id} Was Delivered`,
+    html: layout(`
+    <h2 style="color: #4CAF50;">🏠 Delivered</h2>
+    <p>Order <strong>#${order.id}</strong> has been delivered.</p>
+    ${noteLine(note)}`),
+  }),
+  cancelled: ({ order, note }) => ({
+    subject: `Order #${order.id} Was Cancelled`,
+    html: layout(`
+    <h2 style="color: #d9534f;">Order Cancelled</h2>
+    <p>Order <strong>#${order.id}</strong> has been cancelled.</p>
+    ${noteLine(note)}`),
+  }),
+  refunded: ({ order, note }) => ({
+    subject: `Order #${order.id} Was Refunded`,
+    html: layout(`
+    <h2>💸 Refund Issued</h2>
+    <p>We've refunded order <strong>#${order.id}</strong>.</p>
+    ${noteLine(note)}`),
+  }),
+};
+
+export const orderStatusEmail = (status, context) => ORDER_STATUS_TEMPLATES[status]?.(context) || null;
+
+export const backInStockEmail = (product) => {
+  const productUrl = escapeHtml(frontendUrl(`/products/${product.id}`));
+  return {
+    subject: `${product.name} Is Back in Stock`,
+    html: layout(`
+    <h2>🔔 Back in stock</h2>
+    <p>Hi there,</p>
+    <p>You asked us to let you know: <strong>${escapeHtml(product.name)}</strong> is available again.</p>
+    <p><a href="${productUrl}">${productUrl}</a></p>
+    <p>Stock is limited, so it may sell out again.</p>`),
+  };
+};
@@ -0,0 +1,9 @@
+// Errors thrown by services that should reach the client with a specific status.
+// Controllers answer with `err.status || 500`.
+export class AppError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+  }
+}
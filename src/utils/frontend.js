@@ -0,0 +1,8 @@
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://forge-bolt-neon.vercel.app').replace(/\/+$/, '');
+
+// Absolute link into the storefront, e.g. frontendUrl('/reset-password', { token }).
+export const frontendUrl = (path, params) => {
+  const url = new URL(`${FRONTEND_URL}${path}`);
+  for (const [key, value] of Object.entries(params || {})) url.searchParams.set(key, value);
+  return url.toString();
+};
@@ -0,0 +1,90 @@
+import PDFDocument from 'pdfkit';
+
+// The built-in PDF fonts have no naira sign, so amounts are written as NGN.
+const money = (amount) =>
+  `NGN ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const COLUMNS = [
+  { label: 'Item', x: 50, width: 190 },
+  { label: 'Qty', x: 240, width: 35, align: 'right' },
+  { label: 'Unit price', x: 280, width: 80, align: 'right' },
+  { label: 'VAT', x: 365, width: 80, align: 'right' },
+  { label: 'Amount', x: 450, width: 95, align: 'right' },
+];
+
+const row = (doc, values, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  let height = 0;
+  COLUMNS.forEach((column, index) => {
+    doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+    height = Math.max(height, doc.y - y);
+  });
+  doc.x = 50;
+  doc.y = y + height + 6;
+};
+
+const totalLine = (doc, label, amount, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 300, y, { width: 140, align: 'right' });
+  doc.text(money(amount), 450, y, { width: 95, align: 'right' });
+  doc.x = 50;
+};
+
+// Renders the invoice built by invoiceService.buildInvoice. Resolves to a Buffer.
+export const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Forge & Bolt');
+  doc.font('Helvetica').fontSize(10);
+  if (invoice.seller.vat_number) doc.text(`VAT registration: ${invoice.seller.vat_number}`);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice number: ${invoice.number}`)
+    .text(`Invoice date: ${new Date(invoice.issued_at).toLocaleDateString('en-NG')}`)
+    .text(`Order: #${invoice.order_id}`);
+  if (invoice.payment_reference) doc.text(`Payment reference: ${invoice.payment_reference}`);
+  doc.moveDown();
+
+  const top = doc.y;
+  doc.font('Helvetica-Bold').text('Bill to', 50, top);
+  doc.font('Helvetica');
+  for (const line of invoice.bill_to) doc.text(line, 50);
+  const billed = doc.y;
+  doc.font('Helvetica-Bold').text(invoice.ship_to ? 'Deliver to' : 'Collection', 300, top);
+  doc.font('Helvetica');
+  for (const line of invoice.ship_to || ['Store pickup']) doc.text(line, 300);
+  doc.x = 50;
+  doc.y = Math.max(billed, doc.y) + 20;
+
+  row(doc, COLUMNS.map((column) => column.label), { bold: true });
+  doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).stroke();
+  for (const line of invoice.lines) {
+    row(doc, [
+      line.description,
+      String(line.quantity),
+      money(line.unit_price),
+      `${money(line.tax_amount)} (${line.tax_rate}%)`,
+      money(line.amount),
+    ]);
+  }
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown();
+
+  totalLine(doc, 'Subtotal', invoice.subtotal);
+  if (invoice.discount) totalLine(doc, `Discount (${invoice.discount_code})`, -invoice.discount);
+  totalLine(doc, 'VAT', invoice.tax);
+  totalLine(doc, 'Shipping', invoice.shipping);
+  totalLine(doc, 'Total', invoice.total, { bold: true });
+
+  doc.end();
+  return done;
+};
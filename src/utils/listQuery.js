@@ -0,0 +1,43 @@
+import { AppError } from './errors.js';
+
+// Query-string helpers shared by the admin list endpoints.
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const wholeNumber = (value, name, { min, max }) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new AppError(`${name} must be a whole number from ${min} to ${max}`, 400);
+  }
+  return number;
+};
+
+// `?page=2&limit=50`, pages counted from 1. Resolves to { page, limit, from, to }
+// where from/to are the inclusive row range for the store.
+export const parsePage = ({ page = 1, limit = DEFAULT_LIMIT } = {}) => {
+  const pageNum = wholeNumber(page, 'Page', { min: 1, max: Number.MAX_SAFE_INTEGER });
+  const limitNum = wholeNumber(limit, 'Limit', { min: 1, max: MAX_LIMIT });
+  const from = (pageNum - 1) * limitNum;
+  return { page: pageNum, limit: limitNum, from, to: from + limitNum - 1 };
+};
+
+// Same envelope as the product catalogue: { items, page, limit, total, totalPages }.
+export const pageOf = (items, total, { page, limit }) => ({
+  items,
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// A calendar day such as 2025-01-31, as midnight UTC.
+export const parseDay = (value, name) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || isoDate(date) !== value) {
+    throw new AppError(`${name} must be a date like 2025-01-31`, 400);
+  }
+  return date;
+};
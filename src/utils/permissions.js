@@ -0,0 +1,22 @@
+export const ROLES = ['customer', 'staff', 'inventory_manager', 'admin'];
+
+// Which roles may perform each protected action. Routes refer to these names
+// through `permit()` rather than hardcoding roles.
+export const PERMISSIONS = {
+  'products:write': ['admin', 'inventory_manager'],
+  'products:delete': ['admin'],
+  'inventory:read': ['admin', 'inventory_manager', 'staff'],
+  'orders:read': ['admin', 'staff'],
+  'orders:fulfil': ['admin', 'staff'],
+  'payments:review': ['admin'],
+  'payments:refund': ['admin'],
+  'reviews:moderate': ['admin'],
+  'promotions:manage': ['admin'],
+  'reports:read': ['admin'],
+  'shipping:manage': ['admin'],
+  'tax:manage': ['admin'],
+  'users:read': ['admin'],
+  'users:manage': ['admin'],
+};
+
+export const can = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
@@ -0,0 +1,141 @@
+-- Stock reservations: checkout holds stock for a limited time, payment commits
+-- the hold and a failed payment or expiry gives it back.
+
+alter table products
+  add column if not exists reserved_count integer not null default 0 check (reserved_count >= 0);
+
+create table if not exists stock_reservations (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references orders (id) on delete cascade,
+  product_id bigint not null references products (id),
+  quantity integer not null check (quantity > 0),
+  status text not null default 'active' check (status in ('active', 'committed', 'released', 'expired')),
+  expires_at timestamptz not null,
+  committed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_reservations_order_id_idx on stock_reservations (order_id);
+create index if not exists stock_reservations_active_expiry_idx
+  on stock_reservations (expires_at) where status = 'active';
+
+create or replace function release_expired_stock_reservations(p_now timestamptz)
+returns void
+language plpgsql
+as $$
+begin
+  with expired as (
+    update stock_reservations
+       set status = 'expired'
+     where status = 'active' and expires_at <= p_now
+    returning product_id, quantity
+  ), totals as (
+    select product_id, sum(quantity) as quantity from expired group by product_id
+  )
+  update products p
+     set reserved_count = p.reserved_count - t.quantity
+    from totals t
+   where p.id = t.product_id;
+end;
+$$;
+
+-- Returns {"ok": bool, "shortages": [...]}. Product rows are locked in id order
+-- before anything is checked, so concurrent checkouts queue instead of overselling.
+create or replace function reserve_stock(p_order_id bigint, p_items jsonb, p_expires_at timestamptz)
+returns jsonb
+language plpgsql
+as $$
+declare
+  line record;
+  shortages jsonb := '[]'::jsonb;
+begin
+  perform release_expired_stock_reservations(now());
+
+  for line in
+    select p.id, p.stock_count - p.reserved_count as available, i.quantity
+      from jsonb_to_recordset(p_items) as i (product_id bigint, quantity integer)
+      join products p on p.id = i.product_id
+     order by p.id
+       for update of p
+  loop
+    if line.available < line.quantity then
+      shortages := shortages || jsonb_build_object(
+        'product_id', line.id,
+        'requested', line.quantity,
+        'available', greatest(line.available, 0)
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(shortages) > 0 then
+    return jsonb_build_object('ok', false, 'shortages', shortages);
+  end if;
+
+  update products p
+     set reserved_count = p.reserved_count + i.quantity
+    from jsonb_to_recordset(p_items) as i (product_id bigint, quantity integer)
+   where p.id = i.product_id;
+
+  insert into stock_reservations (order_id, product_id, quantity, status, expires_at)
+  select p_order_id, i.product_id, i.quantity, 'active', p_expires_at
+    from jsonb_to_recordset(p_items) as i (product_id bigint, quantity integer)
+    join products p on p.id = i.product_id;
+
+  return jsonb_build_object('ok', true, 'shortages', shortages);
+end;
+$$;
+
+-- Turns an order's holds into real stock movements. Holds that already expired
+-- are only honoured if the stock is still free; anything else is reported back.
+create or replace function commit_stock_reservation(p_order_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  r record;
+  shortages jsonb := '[]'::jsonb;
+begin
+  for r in
+    select * from stock_reservations
+     where order_id = p_order_id and status in ('active', 'expired')
+     order by product_id
+       for update
+  loop
+    if r.status = 'active' then
+      update products
+         set stock_count = stock_count - r.quantity,
+             reserved_count = reserved_count - r.quantity
+       where id = r.product_id;
+    else
+      update products
+         set stock_count = stock_count - r.quantity
+       where id = r.product_id and stock_count - reserved_count >= r.quantity;
+      if not found then
+        shortages := shortages || jsonb_build_object('product_id', r.product_id, 'requested', r.quantity);
+        continue;
+      end if;
+    end if;
+    update stock_reservations set status = 'committed', committed_at = now() where id = r.id;
+  end loop;
+
+  return jsonb_build_object('ok', jsonb_array_length(shortages) = 0, 'shortages', shortages);
+end;
+$$;
+
+create or replace function release_stock_reservation(p_order_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  with released_rows as (
+    update stock_reservations
+       set status = 'released'
+     where order_id = p_order_id and status = 'active'
+    returning product_id, quantity
+  )
+  update products p
+     set reserved_count = p.reserved_count - r.quantity
+    from released_rows r
+   where p.id = r.product_id;
+end;
+$$;
@@ -0,0 +1,24 @@
+-- Order lifecycle: every status change is validated in orderStatusService and
+-- recorded here together with who made it.
+
+alter table orders
+  add column if not exists updated_at timestamptz;
+
+alter table orders
+  drop constraint if exists orders_status_check,
+  add constraint orders_status_check check (
+    status in ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'failed', 'refunded')
+  );
+
+create table if not exists order_status_history (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references orders (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id bigint references users (id) on delete set null,
+  actor_role text not null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx on order_status_history (order_id, created_at);
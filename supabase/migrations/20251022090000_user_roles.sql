@@ -0,0 +1,5 @@
+-- Roles recognised by the permission model in src/utils/permissions.js.
+alter table users
+  alter column role set default 'customer',
+  drop constraint if exists users_role_check,
+  add constraint users_role_check check (role in ('customer', 'staff', 'inventory_manager', 'admin'));
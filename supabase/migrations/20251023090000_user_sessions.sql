@@ -0,0 +1,16 @@
+-- One row per signed-in device. Access tokens carry the session id and are
+-- rejected as soon as the session is revoked.
+create table if not exists user_sessions (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  device text,
+  refresh_token_hash text not null unique,
+  previous_token_hash text,
+  expires_at timestamptz not null,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_sessions_user_id_idx on user_sessions (user_id) where revoked_at is null;
+create index if not exists user_sessions_previous_token_hash_idx on user_sessions (previous_token_hash);
@@ -0,0 +1,23 @@
+-- Password reset tokens are stored hashed and can be redeemed once.
+create table if not exists password_reset_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  invalidated_at timestamptz,
+  requested_ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_id_idx on password_reset_tokens (user_id);
+
+-- Generic sliding-window throttle log used by rateLimitService.
+create table if not exists rate_limit_events (
+  id bigint generated by default as identity primary key,
+  bucket text not null,
+  key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_events_lookup_idx on rate_limit_events (bucket, key, created_at);
@@ -0,0 +1,20 @@
+-- Email verification. Accounts that existed before this migration are treated
+-- as verified so nobody is locked out of checkout.
+alter table users
+  add column if not exists email_verified boolean not null default false,
+  add column if not exists pending_email text;
+
+update users set email_verified = true;
+
+create table if not exists email_verification_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  email text not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  invalidated_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_verification_tokens_user_id_idx on email_verification_tokens (user_id);
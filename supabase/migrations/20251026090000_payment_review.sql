@@ -0,0 +1,8 @@
+-- Webhook payments whose amount or currency don't match the order are kept
+-- here for an admin to look at instead of marking the order paid.
+alter table payment_references
+  add column if not exists review_status text check (review_status in ('needs_review', 'resolved')),
+  add column if not exists review_reason text;
+
+create index if not exists payment_references_review_idx
+  on payment_references (review_status) where review_status is not null;
@@ -0,0 +1,51 @@
+-- Every payment webhook is recorded before it is processed so retries and
+-- replays are acknowledged without being applied twice.
+create table if not exists webhook_events (
+  id bigint generated by default as identity primary key,
+  provider text not null,
+  event_key text not null,
+  event_type text not null,
+  reference text,
+  payload jsonb not null,
+  status text not null check (status in ('processing', 'processed', 'ignored', 'failed')),
+  attempts integer not null default 1,
+  last_error text,
+  processed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (provider, event_key)
+);
+
+create index if not exists webhook_events_status_idx on webhook_events (status, created_at);
+
+-- Returns {"id": ..., "claimed": bool}. A new event, or one whose previous
+-- attempt failed, is claimed; anything else is a duplicate.
+create or replace function claim_webhook_event(
+  p_provider text,
+  p_event_key text,
+  p_event_type text,
+  p_reference text,
+  p_payload jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  claimed_id bigint;
+begin
+  insert into webhook_events (provider, event_key, event_type, reference, payload, status, attempts)
+  values (p_provider, p_event_key, p_event_type, p_reference, p_payload, 'processing', 1)
+  on conflict (provider, event_key) do update
+     set status = 'processing',
+         attempts = webhook_events.attempts + 1,
+         last_error = null
+   where webhook_events.status = 'failed'
+  returning id into claimed_id;
+
+  if claimed_id is not null then
+    return jsonb_build_object('id', claimed_id, 'claimed', true);
+  end if;
+
+  select id into claimed_id from webhook_events where provider = p_provider and event_key = p_event_key;
+  return jsonb_build_object('id', claimed_id, 'claimed', false);
+end;
+$$;
@@ -0,0 +1,41 @@
+-- Refunds issued through Paystack, tied to the payment they return money from.
+create table if not exists refunds (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references orders (id),
+  payment_reference_id bigint not null references payment_references (id),
+  provider_refund_id text unique,
+  amount numeric(12, 2) not null check (amount > 0),
+  currency text not null,
+  status text not null default 'pending' check (status in ('pending', 'processed', 'failed')),
+  reason text,
+  failure_reason text,
+  initiated_by bigint references users (id) on delete set null,
+  processed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refunds_order_id_idx on refunds (order_id);
+
+alter table stock_reservations
+  drop constraint if exists stock_reservations_status_check,
+  add constraint stock_reservations_status_check
+    check (status in ('active', 'committed', 'released', 'expired', 'restocked'));
+
+-- Cancelling a paid order returns the stock its payment committed.
+create or replace function restock_order(p_order_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  with restocked as (
+    update stock_reservations
+       set status = 'restocked'
+     where order_id = p_order_id and status = 'committed'
+    returning product_id, quantity
+  )
+  update products p
+     set stock_count = p.stock_count + r.quantity
+    from restocked r
+   where p.id = r.product_id;
+end;
+$$;
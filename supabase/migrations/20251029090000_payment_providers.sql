@@ -0,0 +1,13 @@
+-- Payments can go through more than one gateway; remember which one handled what.
+alter table orders
+  add column if not exists payment_provider text;
+
+alter table payment_references
+  add column if not exists provider text not null default 'paystack',
+  add column if not exists provider_transaction_id text;
+
+alter table refunds
+  add column if not exists provider text not null default 'paystack';
+
+alter table refunds drop constraint if exists refunds_provider_refund_id_key;
+create unique index if not exists refunds_provider_refund_id_key on refunds (provider, provider_refund_id);
@@ -0,0 +1,208 @@
+-- Product variants: each SKU carries its own attributes, price, stock and image.
+-- A product with variants keeps stock_count/reserved_count as the sum of theirs.
+create table if not exists product_variants (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null references products (id) on delete cascade,
+  sku text not null unique,
+  attributes jsonb not null default '{}'::jsonb,
+  price numeric(12, 2) not null check (price >= 0),
+  stock_count integer not null default 0,
+  reserved_count integer not null default 0 check (reserved_count >= 0),
+  image_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_variants_product_id_idx on product_variants (product_id);
+
+alter table cart_items add column if not exists variant_id bigint references product_variants (id) on delete cascade;
+alter table order_items
+  add column if not exists variant_id bigint references product_variants (id),
+  add column if not exists sku text;
+alter table stock_reservations add column if not exists variant_id bigint references product_variants (id);
+
+create or replace function sync_product_stock(p_product_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  update products p
+     set stock_count = v.stock_count,
+         reserved_count = v.reserved_count
+    from (
+      select sum(stock_count) as stock_count, sum(reserved_count) as reserved_count
+        from product_variants
+       where product_id = p_product_id
+      having count(*) > 0
+    ) v
+   where p.id = p_product_id;
+end;
+$$;
+
+-- Moves a product's counters and, for variant lines, the variant's too.
+create or replace function move_stock(p_product_id bigint, p_variant_id bigint, p_stock integer, p_reserved integer)
+returns void
+language plpgsql
+as $$
+begin
+  update products
+     set stock_count = stock_count + p_stock,
+         reserved_count = reserved_count + p_reserved
+   where id = p_product_id;
+  if p_variant_id is not null then
+    update product_variants
+       set stock_count = stock_count + p_stock,
+           reserved_count = reserved_count + p_reserved
+     where id = p_variant_id;
+  end if;
+end;
+$$;
+
+create or replace function release_expired_stock_reservations(p_now timestamptz)
+returns void
+language plpgsql
+as $$
+declare
+  r record;
+begin
+  for r in
+    update stock_reservations
+       set status = 'expired'
+     where status = 'active' and expires_at <= p_now
+    returning product_id, variant_id, quantity
+  loop
+    perform move_stock(r.product_id, r.variant_id, 0, -r.quantity);
+  end loop;
+end;
+$$;
+
+-- Variant lines are limited by the variant's availability, other lines by the
+-- product's. Rows are locked in id order so concurrent checkouts queue.
+create or replace function reserve_stock(p_order_id bigint, p_items jsonb, p_expires_at timestamptz)
+returns jsonb
+language plpgsql
+as $$
+declare
+  line record;
+  shortages jsonb := '[]'::jsonb;
+begin
+  perform release_expired_stock_reservations(now());
+
+  perform 1
+     from products p
+    where p.id in (select (i ->> 'product_id')::bigint from jsonb_array_elements(p_items) i)
+    order by p.id
+      for update;
+
+  for line in
+    select i.product_id, i.variant_id, i.quantity,
+           case when i.variant_id is null then p.stock_count - p.reserved_count
+                else v.stock_count - v.reserved_count end as available
+      from jsonb_to_recordset(p_items) as i (product_id bigint, variant_id bigint, quantity integer)
+      join products p on p.id = i.product_id
+      left join product_variants v on v.id = i.variant_id and v.product_id = p.id
+     where i.variant_id is null or v.id is not null
+     order by i.product_id, i.variant_id
+  loop
+    if line.available < line.quantity then
+      shortages := shortages || jsonb_build_object(
+        'product_id', line.product_id,
+        'variant_id', line.variant_id,
+        'requested', line.quantity,
+        'available', greatest(line.available, 0)
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(shortages) > 0 then
+    return jsonb_build_object('ok', false, 'shortages', shortages);
+  end if;
+
+  for line in
+    select i.product_id, i.variant_id, i.quantity
+      from jsonb_to_recordset(p_items) as i (product_id bigint, variant_id bigint, quantity integer)
+      join products p on p.id = i.product_id
+  loop
+    perform move_stock(line.product_id, line.variant_id, 0, line.quantity);
+    insert into stock_reservations (order_id, product_id, variant_id, quantity, status, expires_at)
+    values (p_order_id, line.product_id, line.variant_id, line.quantity, 'active', p_expires_at);
+  end loop;
+
+  return jsonb_build_object('ok', true, 'shortages', shortages);
+end;
+$$;
+
+create or replace function commit_stock_reservation(p_order_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  r record;
+  available integer;
+  shortages jsonb := '[]'::jsonb;
+begin
+  for r in
+    select * from stock_reservations
+     where order_id = p_order_id and status in ('active', 'expired')
+     order by product_id, variant_id
+       for update
+  loop
+    if r.status = 'active' then
+      perform move_stock(r.product_id, r.variant_id, -r.quantity, -r.quantity);
+    else
+      if r.variant_id is null then
+        select stock_count - reserved_count into available from products where id = r.product_id for update;
+      else
+        select stock_count - reserved_count into available from product_variants where id = r.variant_id for update;
+      end if;
+      if coalesce(available, 0) < r.quantity then
+        shortages := shortages || jsonb_build_object(
+          'product_id', r.product_id,
+          'variant_id', r.variant_id,
+          'requested', r.quantity
+        );
+        continue;
+      end if;
+      perform move_stock(r.product_id, r.variant_id, -r.quantity, 0);
+    end if;
+    update stock_reservations set status = 'committed', committed_at = now() where id = r.id;
+  end loop;
+
+  return jsonb_build_object('ok', jsonb_array_length(shortages) = 0, 'shortages', shortages);
+end;
+$$;
+
+create or replace function release_stock_reservation(p_order_id bigint)
+returns void
+language plpgsql
+as $$
+declare
+  r record;
+begin
+  for r in
+    update stock_reservations
+       set status = 'released'
+     where order_id = p_order_id and status = 'active'
+    returning product_id, variant_id, quantity
+  loop
+    perform move_stock(r.product_id, r.variant_id, 0, -r.quantity);
+  end loop;
+end;
+$$;
+
+create or replace function restock_order(p_order_id bigint)
+returns void
+language plpgsql
+as $$
+declare
+  r record;
+begin
+  for r in
+    update stock_reservations
+       set status = 'restocked'
+     where order_id = p_order_id and status = 'committed'
+    returning product_id, variant_id, quantity
+  loop
+    perform move_stock(r.product_id, r.variant_id, r.quantity, 0);
+  end loop;
+end;
+$$;
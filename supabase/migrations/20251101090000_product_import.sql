@@ -0,0 +1,18 @@
+-- CSV catalogue import/export: products are matched on SKU, and large files
+-- are imported by a background job whose progress admins can poll.
+alter table products add column if not exists sku text unique;
+
+create table if not exists import_jobs (
+  id bigint generated by default as identity primary key,
+  type text not null,
+  status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed')),
+  total_rows integer not null default 0,
+  processed_rows integer not null default 0,
+  created_count integer not null default 0,
+  updated_count integer not null default 0,
+  errors jsonb not null default '[]'::jsonb,
+  created_by bigint references users (id) on delete set null,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,18 @@
+-- Ordered images per product. products.image_url stays as a copy of the first
+-- one so listings don't need a join.
+create table if not exists product_images (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null references products (id) on delete cascade,
+  url text not null,
+  storage_key text,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_images_product_position_idx on product_images (product_id, position);
+
+insert into product_images (product_id, url, position)
+select p.id, p.image_url, 0
+  from products p
+ where p.image_url is not null
+   and not exists (select 1 from product_images i where i.product_id = p.id);
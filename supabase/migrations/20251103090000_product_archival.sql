@@ -0,0 +1,115 @@
+-- Products are archived instead of deleted so order history keeps its rows.
+-- Archived products leave the catalogue search; carts get a notice when an
+-- archived product is taken out of them.
+alter table products
+  add column if not exists archived_at timestamptz;
+
+alter table carts
+  add column if not exists notices jsonb not null default '[]'::jsonb;
+
+create or replace function search_products(
+  p_query text,
+  p_categories text[],
+  p_brands text[],
+  p_min_price numeric,
+  p_max_price numeric,
+  p_in_stock boolean,
+  p_sort text,
+  p_limit int,
+  p_offset int
+)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  q text := nullif(lower(trim(p_query)), '');
+  tsq tsquery;
+  sort_by text;
+  result jsonb;
+begin
+  if q is not null then
+    -- Any word may match, as a prefix; relevance puts products matching all of them first.
+    select to_tsquery('simple', string_agg(quote_literal(w) || ':*', ' | '))
+      into tsq
+      from regexp_split_to_table(q, '[^a-z0-9]+') as w
+     where w <> '';
+  end if;
+  sort_by := coalesce(p_sort, case when tsq is null then 'newest' else 'relevance' end);
+
+  with sold as (
+    select oi.product_id, sum(oi.quantity) as units
+      from order_items oi
+      join orders o on o.id = oi.order_id
+     where o.status in ('paid', 'processing', 'shipped', 'delivered')
+     group by oi.product_id
+  ),
+  hits as (
+    select p.*,
+           coalesce(s.units, 0) as units_sold,
+           case when tsq is null then 0
+                else ts_rank(p.search_document, tsq) + word_similarity(q, p.search_text)
+           end as relevance
+      from products p
+      left join sold s on s.product_id = p.id
+     where p.archived_at is null
+       and (p_min_price is null or p.price >= p_min_price)
+       and (p_max_price is null or p.price <= p_max_price)
+       and (not p_in_stock or p.stock_count - coalesce(p.reserved_count, 0) > 0)
+       and (tsq is null or p.search_document @@ tsq or word_similarity(q, p.search_text) >= 0.4)
+  ),
+  selected as (
+    select *
+      from hits
+     where (p_categories is null or category = any (p_categories))
+       and (p_brands is null or brand = any (p_brands))
+  ),
+  ranked as (
+    select sel.*,
+           row_number() over (
+             order by
+               case when sort_by = 'price_asc' then sel.price end asc,
+               case when sort_by = 'price_desc' then sel.price end desc,
+               case when sort_by = 'popularity' then sel.units_sold end desc,
+               case when sort_by = 'rating' then sel.average_rating end desc nulls last,
+               case when sort_by = 'relevance' then sel.relevance end desc,
+               sel.created_at desc,
+               sel.id desc
+           ) as ordinal
+      from selected sel
+  )
+  select jsonb_build_object(
+    'items', coalesce((
+      select jsonb_agg(
+               to_jsonb(r) - 'search_text' - 'search_document' - 'units_sold' - 'relevance' - 'ordinal'
+               order by r.ordinal
+             )
+        from ranked r
+       where r.ordinal > p_offset and r.ordinal <= p_offset + p_limit
+    ), '[]'::jsonb),
+    'total', (select count(*) from selected),
+    'facets', jsonb_build_object(
+      'categories', coalesce((
+        select jsonb_agg(jsonb_build_object('value', category, 'count', n) order by n desc, category)
+          from (
+            select category, count(*) as n
+              from hits
+             where category is not null and (p_brands is null or brand = any (p_brands))
+             group by category
+          ) c
+      ), '[]'::jsonb),
+      'brands', coalesce((
+        select jsonb_agg(jsonb_build_object('value', brand, 'count', n) order by n desc, brand)
+          from (
+            select brand, count(*) as n
+              from hits
+             where brand is not null and (p_categories is null or category = any (p_categories))
+             group by brand
+          ) b
+      ), '[]'::jsonb)
+    )
+  )
+  into result;
+  return result;
+end;
+$$;
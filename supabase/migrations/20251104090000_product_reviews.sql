@@ -0,0 +1,39 @@
+-- Ratings and reviews from customers who bought the product. Hidden reviews
+-- stay in the table for moderators but don't count towards the product's
+-- average_rating or review_count.
+create table if not exists product_reviews (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null references products (id) on delete cascade,
+  user_id bigint not null references users (id) on delete cascade,
+  rating smallint not null check (rating between 1 and 5),
+  title text,
+  body text,
+  status text not null default 'approved' check (status in ('approved', 'hidden')),
+  moderated_by bigint references users (id),
+  moderated_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (product_id, user_id)
+);
+
+create index if not exists product_reviews_product_status_idx on product_reviews (product_id, status, created_at desc);
+
+alter table products
+  add column if not exists review_count integer not null default 0;
+
+create or replace function refresh_product_rating(p_product_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  update products p
+     set average_rating = r.average_rating,
+         review_count = r.review_count
+    from (
+      select round(avg(rating), 2) as average_rating, count(*) as review_count
+        from product_reviews
+       where product_id = p_product_id and status = 'approved'
+    ) r
+   where p.id = p_product_id;
+end;
+$$;
@@ -0,0 +1,87 @@
+-- Discount codes. A code applied to a cart is re-checked when the order is
+-- placed; the order then keeps a redemption and one discount line per order
+-- item it reduced. Cancelling the order releases the redemption.
+create table if not exists promotions (
+  id bigint generated by default as identity primary key,
+  code text not null unique,
+  description text,
+  type text not null check (type in ('percentage', 'fixed')),
+  value numeric(12, 2) not null check (value > 0),
+  min_spend numeric(12, 2),
+  categories text[],
+  brands text[],
+  max_redemptions integer check (max_redemptions > 0),
+  max_redemptions_per_user integer check (max_redemptions_per_user > 0),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  check (type <> 'percentage' or value <= 100),
+  check (ends_at is null or starts_at is null or ends_at > starts_at)
+);
+
+create table if not exists promotion_redemptions (
+  id bigint generated by default as identity primary key,
+  promotion_id bigint not null references promotions (id),
+  user_id bigint not null references users (id),
+  order_id bigint not null references orders (id) on delete cascade,
+  amount numeric(12, 2) not null,
+  status text not null default 'active' check (status in ('active', 'released')),
+  created_at timestamptz not null default now(),
+  unique (promotion_id, order_id)
+);
+
+create index if not exists promotion_redemptions_promotion_user_idx
+  on promotion_redemptions (promotion_id, user_id) where status = 'active';
+
+create table if not exists order_discounts (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references orders (id) on delete cascade,
+  order_item_id bigint not null references order_items (id) on delete cascade,
+  promotion_id bigint not null references promotions (id),
+  code text not null,
+  amount numeric(12, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_discounts_order_idx on order_discounts (order_id);
+
+alter table carts
+  add column if not exists promotion_code text;
+
+alter table orders
+  add column if not exists subtotal_amount numeric(12, 2),
+  add column if not exists discount_amount numeric(12, 2) not null default 0,
+  add column if not exists promotion_code text;
+
+-- Checks both usage limits and records the redemption under a row lock, so two
+-- checkouts can't both take the last use of a code.
+create or replace function redeem_promotion(p_promotion_id bigint, p_user_id bigint, p_order_id bigint, p_amount numeric)
+returns jsonb
+language plpgsql
+as $$
+declare
+  promo promotions%rowtype;
+  used integer;
+  used_by_user integer;
+begin
+  select * into promo from promotions where id = p_promotion_id for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'Discount code not found');
+  end if;
+  select count(*), count(*) filter (where user_id = p_user_id)
+    into used, used_by_user
+    from promotion_redemptions
+   where promotion_id = p_promotion_id and status = 'active';
+  if promo.max_redemptions is not null and used >= promo.max_redemptions then
+    return jsonb_build_object('ok', false, 'reason', format('%s has been fully redeemed', promo.code));
+  end if;
+  if promo.max_redemptions_per_user is not null and used_by_user >= promo.max_redemptions_per_user then
+    return jsonb_build_object('ok', false, 'reason', format('You have already used %s', promo.code));
+  end if;
+  insert into promotion_redemptions (promotion_id, user_id, order_id, amount)
+  values (p_promotion_id, p_user_id, p_order_id, p_amount);
+  return jsonb_build_object('ok', true);
+end;
+$$;
@@ -0,0 +1,47 @@
+-- Saved delivery addresses, admin-configured shipping zones and the delivery
+-- choice made at checkout. Orders keep a copy of the address so later edits to
+-- the address book don't rewrite where an order went.
+create table if not exists addresses (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  label text,
+  recipient_name text not null,
+  phone text not null,
+  line1 text not null,
+  line2 text,
+  city text not null,
+  state text not null,
+  postal_code text,
+  country text not null default 'NG',
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists addresses_user_idx on addresses (user_id);
+create unique index if not exists addresses_one_default_idx on addresses (user_id) where is_default;
+
+-- A zone covers the listed cities, or whole states when it lists no cities.
+-- A zone with neither is the fallback for everywhere else.
+create table if not exists shipping_zones (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  states text[],
+  cities text[],
+  rate_type text not null check (rate_type in ('flat', 'weight')),
+  flat_fee numeric(12, 2) not null default 0,
+  per_kg_fee numeric(12, 2) not null default 0,
+  free_over numeric(12, 2),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table products
+  add column if not exists weight_kg numeric(10, 3);
+
+alter table orders
+  add column if not exists delivery_method text check (delivery_method in ('delivery', 'pickup')),
+  add column if not exists shipping_address jsonb,
+  add column if not exists shipping_zone_id bigint references shipping_zones (id) on delete set null,
+  add column if not exists shipping_fee numeric(12, 2) not null default 0;
@@ -0,0 +1,48 @@
+-- VAT on goods and sequential invoice numbers for paid orders. Tax is charged
+-- on top of catalogue prices, after discounts; shipping isn't taxed.
+create table if not exists tax_settings (
+  id smallint primary key default 1 check (id = 1),
+  standard_rate numeric(5, 2) not null default 0 check (standard_rate >= 0 and standard_rate <= 100),
+  exempt_categories text[] not null default '{}',
+  updated_at timestamptz
+);
+
+-- Nigerian VAT.
+insert into tax_settings (id, standard_rate) values (1, 7.5) on conflict (id) do nothing;
+
+alter table users
+  add column if not exists tax_exempt boolean not null default false,
+  add column if not exists tax_exempt_reason text,
+  add column if not exists company_name text,
+  add column if not exists tax_id text;
+
+alter table order_items
+  add column if not exists tax_rate numeric(5, 2) not null default 0,
+  add column if not exists tax_amount numeric(12, 2) not null default 0;
+
+alter table orders
+  add column if not exists tax_amount numeric(12, 2) not null default 0,
+  add column if not exists invoice_number text unique,
+  add column if not exists invoiced_at timestamptz;
+
+create sequence if not exists invoice_number_seq;
+
+-- Numbers are handed out once, in payment order, and never reused.
+create or replace function assign_invoice_number(p_order_id bigint)
+returns text
+language plpgsql
+as $$
+declare
+  result text;
+begin
+  update orders
+     set invoice_number = 'FB-' || lpad(nextval('invoice_number_seq')::text, 6, '0'),
+         invoiced_at = now()
+   where id = p_order_id and invoice_number is null
+  returning invoice_number into result;
+  if result is null then
+    select invoice_number into result from orders where id = p_order_id;
+  end if;
+  return result;
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Visitors get a cart before they have an account. A guest cart has no user,
+-- is found by the hash of its cart token and is deleted once it expires.
+alter table carts
+  alter column user_id drop not null;
+
+alter table carts
+  add column if not exists guest_token_hash text unique,
+  add column if not exists expires_at timestamptz;
+
+create index if not exists carts_guest_expires_at_idx on carts (expires_at) where user_id is null;
@@ -0,0 +1,21 @@
+-- Products a customer saved for later, and "notify me" requests on products
+-- that are out of stock. An alert is emailed once, when notified_at is set;
+-- asking again clears it for the next restock.
+create table if not exists wishlist_items (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  product_id bigint not null references products (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (user_id, product_id)
+);
+
+create table if not exists stock_alerts (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  product_id bigint not null references products (id) on delete cascade,
+  notified_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (user_id, product_id)
+);
+
+create index if not exists stock_alerts_pending_idx on stock_alerts (product_id) where notified_at is null;
@@ -0,0 +1,41 @@
+-- Low-stock thresholds per product, falling back to one per category and
+-- then to the LOW_STOCK_THRESHOLD setting; and user search for the admin list.
+alter table products
+  add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+
+create table if not exists category_stock_thresholds (
+  category text primary key,
+  threshold integer not null check (threshold >= 0),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists orders_created_at_idx on orders (created_at desc);
+
+-- Users whose name or email contains p_query (case-insensitive), newest first.
+-- Returns { items, total }; items never carry the password hash.
+create or replace function search_users(p_query text, p_role text, p_limit int, p_offset int)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  q text := nullif(lower(trim(p_query)), '');
+  result jsonb;
+begin
+  with selected as (
+    select u.id, u.email, u.name, u.role, u.profile_image_url, u.created_at
+      from users u
+     where (q is null or position(q in lower(u.name)) > 0 or position(q in lower(u.email)) > 0)
+       and (p_role is null or u.role = p_role)
+  )
+  select jsonb_build_object(
+           'items', coalesce((
+             select jsonb_agg(to_jsonb(page) order by page.created_at desc, page.id desc)
+               from (select * from selected order by created_at desc, id desc limit p_limit offset p_offset) page
+           ), '[]'::jsonb),
+           'total', (select count(*) from selected)
+         )
+    into result;
+  return result;
+end;
+$$;
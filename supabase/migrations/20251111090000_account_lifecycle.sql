@@ -0,0 +1,35 @@
+-- Suspended accounts can't sign in or use existing tokens. Deleted accounts
+-- keep their row, anonymised, so orders and invoices still have a customer.
+alter table users
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspended_reason text,
+  add column if not exists suspended_by bigint references users (id) on delete set null,
+  add column if not exists deleted_at timestamptz;
+
+-- The admin user list now shows whether an account is suspended or deleted.
+create or replace function search_users(p_query text, p_role text, p_limit int, p_offset int)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  q text := nullif(lower(trim(p_query)), '');
+  result jsonb;
+begin
+  with selected as (
+    select u.id, u.email, u.name, u.role, u.profile_image_url, u.created_at, u.suspended_at, u.deleted_at
+      from users u
+     where (q is null or position(q in lower(u.name)) > 0 or position(q in lower(u.email)) > 0)
+       and (p_role is null or u.role = p_role)
+  )
+  select jsonb_build_object(
+           'items', coalesce((
+             select jsonb_agg(to_jsonb(page) order by page.created_at desc, page.id desc)
+               from (select * from selected order by created_at desc, id desc limit p_limit offset p_offset) page
+           ), '[]'::jsonb),
+           'total', (select count(*) from selected)
+         )
+    into result;
+  return result;
+end;
+$$;
@@ -0,0 +1,42 @@
+-- A failed charge releases the order's hold, but the customer may still pay
+-- on a later attempt. Released holds are then committed like expired ones:
+-- from whatever stock is still free.
+create or replace function commit_stock_reservation(p_order_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  r record;
+  available integer;
+  shortages jsonb := '[]'::jsonb;
+begin
+  for r in
+    select * from stock_reservations
+     where order_id = p_order_id and status in ('active', 'expired', 'released')
+     order by product_id, variant_id
+       for update
+  loop
+    if r.status = 'active' then
+      perform move_stock(r.product_id, r.variant_id, -r.quantity, -r.quantity);
+    else
+      if r.variant_id is null then
+        select stock_count - reserved_count into available from products where id = r.product_id for update;
+      else
+        select stock_count - reserved_count into available from product_variants where id = r.variant_id for update;
+      end if;
+      if coalesce(available, 0) < r.quantity then
+        shortages := shortages || jsonb_build_object(
+          'product_id', r.product_id,
+          'variant_id', r.variant_id,
+          'requested', r.quantity
+        );
+        continue;
+      end if;
+      perform move_stock(r.product_id, r.variant_id, -r.quantity, 0);
+    end if;
+    update stock_reservations set status = 'committed', committed_at = now() where id = r.id;
+  end loop;
+
+  return jsonb_build_object('ok', jsonb_array_length(shortages) = 0, 'shortages', shortages);
+end;
+$$;
@@ -0,0 +1,38 @@
+-- The admin low-stock list, filtered and paged in the database. Each product's
+-- threshold is its own, else its category's, else p_default_threshold (the
+-- LOW_STOCK_THRESHOLD setting). Returns { items, total }; items carry
+-- `threshold` and `threshold_source`.
+create or replace function list_low_stock(p_default_threshold int, p_limit int, p_offset int)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  result jsonb;
+begin
+  with resolved as (
+    select p.*,
+           coalesce(p.low_stock_threshold, c.threshold, p_default_threshold) as threshold,
+           case
+             when p.low_stock_threshold is not null then 'product'
+             when c.threshold is not null then 'category'
+             else 'default'
+           end as threshold_source
+      from products p
+      left join category_stock_thresholds c on c.category = p.category
+     where p.archived_at is null
+  ),
+  selected as (
+    select * from resolved where stock_count - reserved_count < threshold
+  )
+  select jsonb_build_object(
+           'items', coalesce((
+             select jsonb_agg(to_jsonb(page) - 'search_text' - 'search_document' order by page.stock_count, page.id)
+               from (select * from selected order by stock_count, id limit p_limit offset p_offset) page
+           ), '[]'::jsonb),
+           'total', (select count(*) from selected)
+         )
+    into result;
+  return result;
+end;
+$$;
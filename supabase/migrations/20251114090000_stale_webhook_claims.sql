@@ -0,0 +1,44 @@
+-- An event left in 'processing' by a worker that died before recording the
+-- outcome is claimable again once its claim is older than p_stale_before.
+alter table webhook_events add column if not exists claimed_at timestamptz;
+update webhook_events set claimed_at = created_at where claimed_at is null;
+alter table webhook_events alter column claimed_at set default now(), alter column claimed_at set not null;
+
+drop function if exists claim_webhook_event(text, text, text, text, jsonb);
+
+-- Returns {"id": ..., "claimed": bool}. A new event, one whose previous
+-- attempt failed, or one whose claim went stale is claimed; anything else is
+-- a duplicate.
+create or replace function claim_webhook_event(
+  p_provider text,
+  p_event_key text,
+  p_event_type text,
+  p_reference text,
+  p_payload jsonb,
+  p_stale_before timestamptz
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  claimed_id bigint;
+begin
+  insert into webhook_events (provider, event_key, event_type, reference, payload, status, attempts, claimed_at)
+  values (p_provider, p_event_key, p_event_type, p_reference, p_payload, 'processing', 1, now())
+  on conflict (provider, event_key) do update
+     set status = 'processing',
+         attempts = webhook_events.attempts + 1,
+         last_error = null,
+         claimed_at = now()
+   where webhook_events.status = 'failed'
+      or (webhook_events.status = 'processing' and webhook_events.claimed_at < p_stale_before)
+  returning id into claimed_id;
+
+  if claimed_id is not null then
+    return jsonb_build_object('id', claimed_id, 'claimed', true);
+  end if;
+
+  select id into claimed_id from webhook_events where provider = p_provider and event_key = p_event_key;
+  return jsonb_build_object('id', claimed_id, 'claimed', false);
+end;
+$$;
@@ -0,0 +1,29 @@
+-- An unpaid order whose stock hold lapses gives back its use of a discount
+-- code, as cancelled and failed orders do; paying later claims it again.
+create or replace function release_expired_stock_reservations(p_now timestamptz)
+returns void
+language plpgsql
+as $$
+declare
+  r record;
+  expired_orders bigint[] := '{}';
+begin
+  for r in
+    update stock_reservations
+       set status = 'expired'
+     where status = 'active' and expires_at <= p_now
+    returning order_id, product_id, variant_id, quantity
+  loop
+    perform move_stock(r.product_id, r.variant_id, 0, -r.quantity);
+    expired_orders := array_append(expired_orders, r.order_id);
+  end loop;
+
+  update promotion_redemptions pr
+     set status = 'released'
+    from orders o
+   where o.id = pr.order_id
+     and pr.order_id = any(expired_orders)
+     and pr.status = 'active'
+     and o.status in ('pending', 'failed');
+end;
+$$;
@@ -0,0 +1,20 @@
+-- Stored webhook payloads keep the provider's raw copy of each event, which
+-- carries the customer's email, name and phone. When an account is deleted the
+-- raw copy of events about its orders or payments is dropped; the normalised
+-- event stays so it can still be replayed.
+create or replace function redact_webhook_events(p_order_ids bigint[], p_references text[])
+returns integer
+language plpgsql
+as $$
+declare
+  redacted integer;
+begin
+  update webhook_events
+     set payload = payload - 'raw'
+   where payload ? 'raw'
+     and ((payload -> 'data' ->> 'order_id') = any(p_order_ids::text[])
+          or reference = any(p_references));
+  get diagnostics redacted = row_count;
+  return redacted;
+end;
+$$;
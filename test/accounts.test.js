@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('account management', () => {
+  let api;
+  let admin;
+  let customer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'kemi@example.com', name: 'Kemi Ade' });
+  });
+
+  const login = (email = 'kemi@example.com') =>
+    api.request('POST', '/auth/login', { body: { email, password: 'secret123' } });
+
+  it('lets admins suspend and reactivate accounts', async () => {
+    const path = `/admin/users/${customer.user.id}`;
+    assert.equal((await api.request('POST', `${path}/suspend`, { token: customer.token, body: { reason: 'x' } })).status, 403);
+    assert.equal((await api.request('POST', `${path}/suspend`, { token: admin.token, body: {} })).status, 400);
+    assert.equal((await api.request('POST', `/admin/users/${admin.user.id}/suspend`, { token: admin.token, body: { reason: 'x' } })).status, 400);
+
+    const suspended = await api.request('POST', `${path}/suspend`, { token: admin.token, body: { reason: 'Chargeback fraud' } });
+    assert.equal(suspended.status, 200);
+    assert.ok(suspended.body.suspended_at);
+    assert.equal(suspended.body.suspended_by, admin.user.id);
+    assert.equal(suspended.body.password, undefined);
+    assert.equal((await api.request('POST', `${path}/suspend`, { token: admin.token, body: { reason: 'again' } })).status, 409);
+
+    assert.equal((await api.request('GET', '/auth/profile', { token: customer.token })).status, 401);
+    const refused = await login();
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'This account has been suspended');
+    const listed = await api.request('GET', '/admin/users?q=kemi', { token: admin.token });
+    assert.ok(listed.body.items[0].suspended_at);
+
+    assert.equal((await api.request('POST', `${path}/reactivate`, { token: admin.token })).status, 200);
+    assert.equal((await api.request('POST', `${path}/reactivate`, { token: admin.token })).status, 409);
+    assert.equal((await login()).status, 200);
+  });
+
+  it('refuses tokens and refresh tokens of suspended users', async () => {
+    const { body: session } = await login();
+    await db.table('users').update({ id: customer.user.id }, { suspended_at: new Date().toISOString() });
+    const res = await api.request('GET', '/auth/profile', { token: session.token });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'This account has been suspended');
+    assert.equal((await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 403);
+  });
+
+  it('exports the customer profile, addresses, orders and payments', async () => {
+    await api.request('POST', '/auth/profile/addresses', {
+      token: customer.token,
+      body: { recipient_name: 'Kemi Ade', phone: '08030000000', line1: '1 Marina', city: 'Lagos', state: 'Lagos' },
+    });
+    const product = await createProduct();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 1 } });
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await db.table('payment_references').insert({ user_id: customer.user.id, order_id: order.order_id, reference: 'ref_1', status: 'failed' });
+
+    const res = await api.request('GET', '/auth/profile/export', { token: customer.token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment/);
+    assert.equal(res.body.profile.email, 'kemi@example.com');
+    assert.equal(res.body.profile.password, undefined);
+    assert.deepEqual(res.body.addresses.map((address) => address.line1), ['1 Marina']);
+    assert.deepEqual(res.body.orders.map((entry) => entry.id), [order.order_id]);
+    assert.equal(res.body.orders[0].order_items.length, 1);
+    assert.deepEqual(res.body.payments.map((payment) => payment.reference), ['ref_1']);
+  });
+
+  it('anonymises a deleted account but keeps its orders', async () => {
+    const product = await createProduct({ stock_count: 5 });
+    const delivered = await db.table('orders').insert({
+      user_id: customer.user.id,
+      status: 'delivered',
+      total_amount: 2500,
+      delivery_method: 'delivery',
+      shipping_address: { recipient_name: 'Kemi Ade', phone: '08030000000', line1: '1 Marina', city: 'Lagos', state: 'Lagos' },
+    });
+    await api.request('POST', '/auth/profile/addresses', {
+      token: customer.token,
+      body: { recipient_name: 'Kemi Ade', phone: '08030000000', line1: '1 Marina', city: 'Lagos', state: 'Lagos' },
+    });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    const { body: pending } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    const kemi = { email: 'kemi@example.com', first_name: 'Kemi', last_name: 'Ade', phone: '08030000000' };
+    await db.table('payment_references').insert({ user_id: customer.user.id, order_id: delivered.id, provider: 'paystack', reference: 'ref_101', status: 'success' });
+    const deliver = (event, data) => api.request('POST', '/payments/webhook', signWebhook({ event, data }));
+    await deliver('charge.success', { reference: 'ref_101', amount: 250000, currency: 'NGN', status: 'success', customer: kemi, metadata: { order_id: delivered.id } });
+    await deliver('refund.processed', { id: 42, transaction_reference: 'ref_101', status: 'processed', customer: kemi });
+    await api.request('POST', '/payments/webhook/flutterwave', signWebhook({
+      event: 'subscription.cancelled',
+      data: { id: 77, tx_ref: `fb_${delivered.id}_a1b2c3`, status: 'cancelled', customer: { email: 'kemi@example.com', name: 'Kemi Ade', phone_number: '08030000000' } },
+    }, 'flutterwave'));
+    await deliver('charge.success', { reference: 'ref_other', amount: 100, currency: 'NGN', status: 'success', customer: { email: 'other@example.com' }, metadata: {} });
+
+    const wrong = await api.request('DELETE', '/auth/profile', { token: customer.token, body: { password: 'nope' } });
+    assert.equal(wrong.status, 401);
+    const res = await api.request('DELETE', '/auth/profile', { token: customer.token, body: { password: 'secret123' } });
+    assert.equal(res.status, 200);
+
+    const user = await db.table('users').findOne({ id: customer.user.id });
+    assert.equal(user.name, 'Deleted user');
+    assert.equal(user.email, `deleted-user-${customer.user.id}@deleted.invalid`);
+    assert.ok(user.deleted_at);
+    assert.equal((await db.table('addresses').find({ user_id: user.id })).length, 0);
+    assert.equal((await db.table('carts').find({ user_id: user.id })).length, 0);
+    assert.deepEqual((await db.table('orders').findOne({ id: delivered.id })).shipping_address, { city: 'Lagos', state: 'Lagos' });
+    assert.equal((await db.table('orders').findOne({ id: pending.order_id })).status, 'cancelled');
+    assert.equal((await db.table('products').findOne({ id: product.id })).reserved_count, 0);
+    const events = await db.table('webhook_events').find({}, { order: { column: 'id' } });
+    assert.equal(events.length, 4);
+    assert.doesNotMatch(JSON.stringify(events.slice(0, 3)), /kemi|Ade|08030000000/i);
+    assert.equal(events[0].payload.data.order_id, delivered.id);
+    assert.equal(events[2].payload.data.reference, `fb_${delivered.id}_a1b2c3`);
+    assert.match(JSON.stringify(events[3].payload), /other@example.com/);
+
+    assert.equal((await api.request('GET', '/auth/profile', { token: customer.token })).status, 401);
+    assert.equal((await login()).status, 400);
+    const again = await api.request('POST', '/register', { body: { email: 'kemi@example.com', password: 'secret123', name: 'Kemi' } });
+    assert.equal(again.status, 201);
+  });
+
+  it('keeps accounts with orders still being fulfilled', async () => {
+    await db.table('orders').insert({ user_id: customer.user.id, status: 'shipped', total_amount: 2500 });
+    const res = await api.request('DELETE', '/auth/profile', { token: customer.token, body: { password: 'secret123' } });
+    assert.equal(res.status, 409);
+    assert.equal((await db.table('users').findOne({ id: customer.user.id })).deleted_at, undefined);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('admin routes', () => {
+  let api;
+  let admin;
+  let customer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api);
+  });
+
+  it('restricts every admin endpoint to admins', async () => {
+    for (const path of ['/admin/users', '/admin/orders', '/admin/products/low-stock']) {
+      assert.equal((await api.request('GET', path, { token: customer.token })).status, 403, path);
+      assert.equal((await api.request('GET', path)).status, 401, path);
+    }
+  });
+
+  it('lists users without their password hashes', async () => {
+    const res = await api.request('GET', '/admin/users', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.items.length, 2);
+    assert.ok(res.body.items.every((user) => !('password' in user)));
+  });
+
+  it('pages, searches and filters users', async () => {
+    await createUser(api, { name: 'Ada Obi', email: 'ada@forge.test' });
+    await createUser(api, { name: 'Tunde Ade', email: 'tunde@example.com', role: 'staff' });
+    const list = (query) => api.request('GET', `/admin/users${query}`, { token: admin.token });
+
+    const firstPage = await list('?limit=3');
+    assert.deepEqual([firstPage.body.total, firstPage.body.totalPages, firstPage.body.items.length], [4, 2, 3]);
+    assert.equal((await list('?limit=3&page=2')).body.items.length, 1);
+    assert.deepEqual((await list('?q=ADE')).body.items.map((user) => user.name).sort(), ['Tunde Ade']);
+    assert.deepEqual((await list('?q=forge.test')).body.items.map((user) => user.email), ['ada@forge.test']);
+    assert.deepEqual((await list('?role=staff')).body.items.map((user) => user.name), ['Tunde Ade']);
+    assert.equal((await list('?role=owner')).status, 400);
+    assert.equal((await list('?limit=500')).status, 400);
+  });
+
+  it('shows one user with their addresses and orders', async () => {
+    const product = await createProduct();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 1 } });
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+
+    const res = await api.request('GET', `/admin/users/${customer.user.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, customer.user.email);
+    assert.ok(!('password' in res.body));
+    assert.deepEqual(res.body.addresses, []);
+    assert.equal(res.body.orders.length, 1);
+    assert.equal(res.body.orders[0].order_items.length, 1);
+    assert.equal((await api.request('GET', '/admin/users/999', { token: admin.token })).status, 404);
+  });
+
+  it('filters orders by status, date, customer and amount', async () => {
+    const other = await createUser(api, { email: 'other@example.com' });
+    const seed = (user, status, total, day) =>
+      db.table('orders').insert({ user_id: user.user.id, status, total_amount: total, created_at: `${day}T12:00:00.000Z` });
+    await seed(customer, 'paid', 5000, '2025-06-01');
+    await seed(customer, 'pending', 20000, '2025-06-03');
+    await seed(other, 'shipped', 15000, '2025-06-05');
+    await seed(other, 'paid', 1000, '2025-07-01');
+    const list = async (query) => (await api.request('GET', `/admin/orders${query}`, { token: admin.token })).body;
+
+    const all = await list('');
+    assert.equal(all.total, 4);
+    assert.deepEqual(all.items.map((order) => order.created_at.slice(0, 10)), ['2025-07-01', '2025-06-05', '2025-06-03', '2025-06-01']);
+    assert.deepEqual((await list('?status=paid,shipped')).items.map((order) => order.total_amount), [1000, 15000, 5000]);
+    assert.deepEqual((await list('?from=2025-06-03&to=2025-06-05')).items.map((order) => order.total_amount), [15000, 20000]);
+    assert.deepEqual((await list('?email=other@example.com')).items.map((order) => order.total_amount), [1000, 15000]);
+    assert.deepEqual((await list(`?user_id=${customer.user.id}&min_total=10000`)).items.map((order) => order.total_amount), [20000]);
+    assert.equal((await list('?email=nobody@example.com')).total, 0);
+    assert.deepEqual([(await list('?limit=1&page=2')).items[0].total_amount], [15000]);
+
+    const bad = (query) => api.request('GET', `/admin/orders${query}`, { token: admin.token });
+    assert.equal((await bad('?status=lost')).status, 400);
+    assert.equal((await bad('?from=2025-06-31')).status, 400);
+    assert.equal((await bad('?min_total=lots')).status, 400);
+  });
+
+  it('shows one order with items, history and payments', async () => {
+    const product = await createProduct({ name: 'Spirit Level' });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    const { body: placed } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await db.table('payment_references').insert({ order_id: placed.order_id, user_id: customer.user.id, reference: 'ref_1', status: 'failed' });
+
+    const res = await api.request('GET', `/admin/orders/${placed.order_id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order_items[0].products.name, 'Spirit Level');
+    assert.equal(res.body.customer.email, customer.user.email);
+    assert.deepEqual(res.body.status_history.map((entry) => entry.to_status), ['pending']);
+    assert.deepEqual(res.body.payment_references.map((payment) => payment.reference), ['ref_1']);
+    assert.deepEqual(res.body.refunds, []);
+    assert.equal((await api.request('GET', '/admin/orders/999', { token: admin.token })).status, 404);
+  });
+
+  it('lists products below the low-stock threshold', async () => {
+    await createProduct({ name: 'Nails', stock_count: 2 });
+    await createProduct({ name: 'Screws', stock_count: 50 });
+    const res = await api.request('GET', '/admin/products/low-stock', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map((p) => p.name), ['Nails']);
+    assert.equal(res.body.items[0].threshold_source, 'default');
+  });
+
+  it('pages the low-stock list in the store', async () => {
+    await createProduct({ name: 'Nails', stock_count: 2 });
+    await createProduct({ name: 'Screws', stock_count: 50 });
+    await createProduct({ name: 'Bolts', stock_count: 1 });
+    await createProduct({ name: 'Washers', stock_count: 4 });
+    const page = async (n) => (await api.request('GET', `/admin/products/low-stock?limit=2&page=${n}`, { token: admin.token })).body;
+
+    const first = await page(1);
+    assert.deepEqual(first.items.map((p) => p.name), ['Bolts', 'Nails']);
+    assert.equal(first.total, 3);
+    assert.equal(first.totalPages, 2);
+    assert.deepEqual((await page(2)).items.map((p) => [p.name, p.available_count]), [['Washers', 4]]);
+  });
+
+  it('uses per-product and per-category low-stock thresholds', async () => {
+    await createProduct({ name: 'Screws', category: 'fixings', stock_count: 40 });
+    const drill = await createProduct({ name: 'Drill', category: 'power-tools', stock_count: 3 });
+    const nails = await createProduct({ name: 'Nails', category: 'fixings', stock_count: 8 });
+    const lowStock = async () => (await api.request('GET', '/admin/products/low-stock', { token: admin.token })).body.items;
+
+    const set = await api.request('PUT', '/admin/stock-thresholds/categories/fixings', { token: admin.token, body: { threshold: 50 } });
+    assert.equal(set.status, 200);
+    assert.equal((await api.request('PUT', '/admin/stock-thresholds/categories/fixings', { token: admin.token, body: { threshold: -1 } })).status, 400);
+    const updated = await api.request('PUT', `/products/${nails.id}`, { token: admin.token, body: { low_stock_threshold: 5 } });
+    assert.equal(updated.body.low_stock_threshold, 5);
+    await api.request('PUT', `/products/${drill.id}`, { token: admin.token, body: { low_stock_threshold: 2 } });
+
+    assert.deepEqual((await lowStock()).map((p) => [p.name, p.threshold, p.threshold_source]), [['Screws', 50, 'category']]);
+
+    await api.request('PUT', `/products/${drill.id}`, { token: admin.token, body: { low_stock_threshold: null } });
+    assert.equal((await api.request('DELETE', '/admin/stock-thresholds/categories/fixings', { token: admin.token })).status, 200);
+    assert.equal((await api.request('DELETE', '/admin/stock-thresholds/categories/fixings', { token: admin.token })).status, 404);
+    assert.deepEqual((await lowStock()).map((p) => p.id), [drill.id]);
+
+    const settings = await api.request('GET', '/admin/stock-thresholds', { token: admin.token });
+    assert.deepEqual(settings.body, { default_threshold: 5, categories: [] });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('role-based authorization', () => {
+  let api;
+  let users;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    users = {};
+    for (const role of ['customer', 'staff', 'inventory_manager', 'admin']) {
+      users[role] = await createUser(api, { role });
+    }
+    product = await createProduct();
+  });
+
+  const statusFor = async (role, method, path, body) =>
+    (await api.request(method, path, { token: users[role].token, body })).status;
+
+  it('lets inventory managers and admins edit products, but only admins delete them', async () => {
+    assert.equal(await statusFor('customer', 'PUT', `/products/${product.id}`, { price: 1 }), 403);
+    assert.equal(await statusFor('staff', 'PUT', `/products/${product.id}`, { price: 1 }), 403);
+    assert.equal(await statusFor('inventory_manager', 'PUT', `/products/${product.id}`, { price: 1 }), 200);
+    assert.equal(await statusFor('inventory_manager', 'POST', '/products', { name: 'Level', price: 900 }), 201);
+    assert.equal(await statusFor('staff', 'DELETE', `/products/${product.id}`), 403);
+    assert.equal(await statusFor('inventory_manager', 'DELETE', `/products/${product.id}`), 403);
+    assert.equal(await statusFor('admin', 'DELETE', `/products/${product.id}`), 200);
+  });
+
+  it('lets staff fulfil orders', async () => {
+    await api.request('POST', '/cart', { token: users.customer.token, body: { productId: product.id, quantity: 1 } });
+    const { body: order } = await api.request('POST', '/orders', { token: users.customer.token, body: { delivery_method: 'pickup' } });
+
+    assert.equal(await statusFor('inventory_manager', 'PUT', `/orders/${order.order_id}/status`, { status: 'cancelled' }), 403);
+    assert.equal(await statusFor('staff', 'GET', '/admin/orders'), 200);
+    assert.equal(await statusFor('staff', 'PUT', `/orders/${order.order_id}/status`, { status: 'cancelled' }), 200);
+    const [entry] = await db.table('order_status_history').find({ order_id: order.order_id, to_status: 'cancelled' });
+    assert.equal(entry.actor_role, 'staff');
+  });
+
+  it('shares the low-stock report with inventory managers and staff only', async () => {
+    assert.equal(await statusFor('customer', 'GET', '/admin/products/low-stock'), 403);
+    assert.equal(await statusFor('staff', 'GET', '/admin/products/low-stock'), 200);
+    assert.equal(await statusFor('inventory_manager', 'GET', '/admin/products/low-stock'), 200);
+    assert.equal(await statusFor('inventory_manager', 'GET', '/admin/users'), 403);
+  });
+
+  it('ignores a role supplied at registration', async () => {
+    const res = await api.request('POST', '/register', {
+      body: { email: 'sneaky@example.com', password: 'secret123', name: 'Sneaky', role: 'admin' },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.role, 'customer');
+  });
+
+  it('lets only admins assign roles', async () => {
+    const target = users.customer.user;
+    assert.equal(await statusFor('staff', 'PUT', `/admin/users/${target.id}/role`, { role: 'admin' }), 403);
+
+    const res = await api.request('PUT', `/admin/users/${target.id}/role`, {
+      token: users.admin.token,
+      body: { role: 'staff' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, 'staff');
+    assert.equal(res.body.password, undefined);
+    assert.equal((await db.table('users').findOne({ id: target.id })).role, 'staff');
+  });
+
+  it('validates role assignments', async () => {
+    const { token, user } = users.admin;
+    const target = users.customer.user;
+    assert.equal((await api.request('PUT', `/admin/users/${target.id}/role`, { token, body: { role: 'owner' } })).status, 400);
+    assert.equal((await api.request('PUT', `/admin/users/${user.id}/role`, { token, body: { role: 'customer' } })).status, 400);
+    assert.equal((await api.request('PUT', '/admin/users/999/role', { token, body: { role: 'staff' } })).status, 404);
+  });
+});
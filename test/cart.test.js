@@ -0,0 +1,169 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+const { deleteExpiredGuestCarts } = await import('../src/services/cartService.js');
+
+describe('cart routes', () => {
+  let api;
+  let token;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    ({ token } = await createUser(api));
+    product = await createProduct({ price: 2500, stock_count: 5 });
+  });
+
+  it('rejects invalid tokens instead of treating the caller as a guest', async () => {
+    assert.equal((await api.request('GET', '/cart', { token: 'not-a-token' })).status, 403);
+  });
+
+  it('adds items and reports totals', async () => {
+    const added = await api.request('POST', '/cart', { token, body: { productId: product.id, quantity: 2 } });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.total_price, 5000);
+    assert.equal(added.body.grand_total, 5000);
+
+    const cart = await api.request('GET', '/cart', { token });
+    assert.equal(cart.status, 200);
+    assert.equal(cart.body.items.length, 1);
+    assert.equal(cart.body.items[0].products.id, product.id);
+    assert.equal(cart.body.grand_total, 5000);
+  });
+
+  it('validates input and stock when adding', async () => {
+    assert.equal((await api.request('POST', '/cart', { token, body: {} })).status, 400);
+    assert.equal((await api.request('POST', '/cart', { token, body: { productId: 999, quantity: 1 } })).status, 404);
+    const tooMany = await api.request('POST', '/cart', { token, body: { productId: product.id, quantity: 6 } });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.error, 'Only 5 items in stock');
+  });
+
+  it('updates item quantities within stock', async () => {
+    const added = await api.request('POST', '/cart', { token, body: { productId: product.id, quantity: 1 } });
+    const updated = await api.request('PUT', `/cart/${added.body.id}`, { token, body: { quantity: 3 } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.quantity, 3);
+    assert.equal(updated.body.grand_total, 7500);
+
+    const tooMany = await api.request('PUT', `/cart/${added.body.id}`, { token, body: { quantity: 9 } });
+    assert.equal(tooMany.status, 400);
+    assert.equal((await api.request('PUT', '/cart/999', { token, body: { quantity: 1 } })).status, 404);
+  });
+
+  it('removes items', async () => {
+    const added = await api.request('POST', '/cart', { token, body: { productId: product.id, quantity: 1 } });
+    const removed = await api.request('DELETE', `/cart/${added.body.id}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.grand_total, 0);
+    assert.equal((await api.request('DELETE', `/cart/${added.body.id}`, { token })).status, 404);
+  });
+
+  it('keeps carts private to their owner', async () => {
+    const added = await api.request('POST', '/cart', { token, body: { productId: product.id, quantity: 1 } });
+    const other = await createUser(api);
+    const res = await api.request('PUT', `/cart/${added.body.id}`, { token: other.token, body: { quantity: 2 } });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('guest carts', () => {
+  let api;
+  let hammer;
+  let saw;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    hammer = await createProduct({ name: 'Claw Hammer', price: 2500, stock_count: 5 });
+    saw = await createProduct({ name: 'Hand Saw', price: 4000, stock_count: 3 });
+  });
+
+  const asGuest = (cartToken) => ({ 'X-Cart-Token': cartToken });
+
+  const startGuestCart = async (productId, quantity) => {
+    const res = await api.request('POST', '/cart', { body: { productId, quantity } });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.cart_token);
+    return res.body.cart_token;
+  };
+
+  it('lets visitors build a cart identified by a cart token', async () => {
+    assert.deepEqual((await api.request('GET', '/cart')).body.items, []);
+    const cartToken = await startGuestCart(hammer.id, 2);
+
+    const added = await api.request('POST', '/cart', { headers: asGuest(cartToken), body: { productId: saw.id, quantity: 1 } });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.cart_token, undefined);
+    assert.equal(added.body.grand_total, 9000);
+
+    const tooMany = await api.request('PUT', `/cart/${added.body.id}`, { headers: asGuest(cartToken), body: { quantity: 4 } });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.error, 'Only 3 items in stock');
+    const updated = await api.request('PUT', `/cart/${added.body.id}`, { headers: asGuest(cartToken), body: { quantity: 2 } });
+    assert.equal(updated.body.grand_total, 13000);
+
+    const otherToken = await startGuestCart(hammer.id, 1);
+    assert.equal((await api.request('DELETE', `/cart/${added.body.id}`, { headers: asGuest(otherToken) })).status, 404);
+    assert.equal((await api.request('DELETE', `/cart/${added.body.id}`)).status, 404);
+
+    const cart = await api.request('GET', '/cart', { headers: asGuest(cartToken) });
+    assert.deepEqual(cart.body.items.map((item) => [item.product_id, item.quantity]), [[hammer.id, 2], [saw.id, 2]]);
+    assert.equal(cart.body.grand_total, 13000);
+  });
+
+  it('merges the guest cart into the account on login, capped at stock', async () => {
+    const customer = await createUser(api, { email: 'guest@example.com' });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: hammer.id, quantity: 2 } });
+    const cartToken = await startGuestCart(hammer.id, 4);
+    await api.request('POST', '/cart', { headers: asGuest(cartToken), body: { productId: saw.id, quantity: 1 } });
+
+    const login = await api.request('POST', '/auth/login', {
+      body: { email: 'guest@example.com', password: 'secret123', cart_token: cartToken },
+    });
+    assert.equal(login.status, 200);
+
+    const cart = await api.request('GET', '/cart', { token: login.body.token });
+    assert.deepEqual(cart.body.items.map((item) => [item.product_id, item.quantity]), [[hammer.id, 5], [saw.id, 1]]);
+    assert.equal(cart.body.grand_total, 16500);
+    assert.deepEqual(cart.body.notices, ['Only 5 of Claw Hammer in stock, so your cart has 5']);
+
+    assert.deepEqual((await api.request('GET', '/cart', { headers: asGuest(cartToken) })).body.items, []);
+    assert.equal((await db.table('carts').find({ user_id: null })).length, 0);
+  });
+
+  it('merges the guest cart into a new account on registration', async () => {
+    const cartToken = await startGuestCart(saw.id, 2);
+    const registered = await api.request('POST', '/register', {
+      headers: asGuest(cartToken),
+      body: { email: 'new@example.com', password: 'secret123', name: 'New Customer' },
+    });
+    assert.equal(registered.status, 201);
+    const cart = await api.request('GET', '/cart', { token: registered.body.token });
+    assert.deepEqual(cart.body.items.map((item) => [item.product_id, item.quantity]), [[saw.id, 2]]);
+  });
+
+  it('deletes guest carts once they expire', async () => {
+    const staleToken = await startGuestCart(hammer.id, 1);
+    const freshToken = await startGuestCart(saw.id, 1);
+    const [stale] = await db.table('carts').find({ user_id: null });
+    await db.table('carts').update({ id: stale.id }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    assert.deepEqual((await api.request('GET', '/cart', { headers: asGuest(staleToken) })).body.items, []);
+    assert.equal(await deleteExpiredGuestCarts(), 1);
+    assert.equal((await db.table('cart_items').find({ cart_id: stale.id })).length, 0);
+    assert.equal((await api.request('GET', '/cart', { headers: asGuest(freshToken) })).body.items.length, 1);
+  });
+});
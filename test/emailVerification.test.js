@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, createProduct, linkTokenFrom } from './helpers.js';
+
+describe('email verification', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(resetState);
+
+  const register = () =>
+    api.request('POST', '/register', { body: { email: 'ada@example.com', password: 'secret123', name: 'Ada' } });
+
+  const verify = (token) => api.request('POST', '/auth/verify-email', { body: { token } });
+
+  it('escapes the name in the verification email', async () => {
+    await api.request('POST', '/register', {
+      body: { email: 'ada@example.com', password: 'secret123', name: '<a href="https://evil.test">Ada</a>' },
+    });
+    assert.doesNotMatch(outbox[0].html, /evil\.test"/);
+    assert.match(outbox[0].html, /Hi &lt;a href=&quot;https:\/\/evil.test&quot;&gt;Ada&lt;\/a&gt;,/);
+  });
+
+  it('registers accounts unverified and emails a verification link', async () => {
+    const res = await register();
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email_verified, false);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'ada@example.com');
+    assert.match(outbox[0].html, /\/verify-email\?token=/);
+  });
+
+  it('verifies the account from the link, once', async () => {
+    const { body } = await register();
+    const token = linkTokenFrom(outbox[0]);
+    const res = await verify(token);
+    assert.equal(res.status, 200);
+    assert.equal((await db.table('users').findOne({ id: body.user.id })).email_verified, true);
+    assert.equal((await verify(token)).status, 400);
+    assert.equal((await verify('bogus')).status, 400);
+  });
+
+  it('lets unverified accounts build a cart but not check out or pay', async () => {
+    const { body } = await register();
+    const product = await createProduct();
+    const added = await api.request('POST', '/cart', { token: body.token, body: { productId: product.id, quantity: 1 } });
+    assert.equal(added.status, 201);
+
+    const order = await api.request('POST', '/orders', { token: body.token, body: { delivery_method: 'pickup' } });
+    assert.equal(order.status, 403);
+    const payment = await api.request('POST', '/payments/initiate', { token: body.token, body: { order_id: 1 } });
+    assert.equal(payment.status, 403);
+
+    await verify(linkTokenFrom(outbox[0]));
+    assert.equal((await api.request('POST', '/orders', { token: body.token, body: { delivery_method: 'pickup' } })).status, 201);
+  });
+
+  it('resends a fresh link and retires the previous one', async () => {
+    const { body } = await register();
+    const res = await api.request('POST', '/auth/resend-verification', { token: body.token });
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 2);
+    assert.equal((await verify(linkTokenFrom(outbox[0]))).status, 400);
+    assert.equal((await verify(linkTokenFrom(outbox[1]))).status, 200);
+
+    const again = await api.request('POST', '/auth/resend-verification', { token: body.token });
+    assert.equal(again.status, 400);
+  });
+
+  it('limits how often verification emails can be resent', async () => {
+    const { body } = await register();
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await api.request('POST', '/auth/resend-verification', { token: body.token })).status, 200);
+    }
+    assert.equal((await api.request('POST', '/auth/resend-verification', { token: body.token })).status, 429);
+  });
+
+  it('requires the new address to be verified before an email change applies', async () => {
+    const { user, token } = await createUser(api, { email: 'ada@example.com' });
+    const res = await api.request('PUT', '/auth/profile', { token, body: { email: 'ada@newmail.com' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, 'ada@example.com');
+    assert.equal(res.body.pending_email, 'ada@newmail.com');
+    assert.equal(outbox.at(-1).to, 'ada@newmail.com');
+
+    assert.equal((await verify(linkTokenFrom(outbox.at(-1)))).status, 200);
+    const stored = await db.table('users').findOne({ id: user.id });
+    assert.equal(stored.email, 'ada@newmail.com');
+    assert.equal(stored.pending_email, null);
+    assert.equal(stored.email_verified, true);
+  });
+
+  it('refuses to change to an address that is already registered', async () => {
+    await createUser(api, { email: 'taken@example.com' });
+    const { token } = await createUser(api, { email: 'ada@example.com' });
+    const res = await api.request('PUT', '/auth/profile', { token, body: { email: 'taken@example.com' } });
+    assert.equal(res.status, 400);
+  });
+});
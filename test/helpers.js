@@ -0,0 +1,169 @@
+// Shared setup for the end-to-end suites: the API runs against the in-memory
+// store and the JSON mail transport, so no network or Supabase project is needed.
+import { once } from 'node:events';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import bcrypt from 'bcrypt';
+
+// Local stand-in for the Paystack API, and for Flutterwave's whose paths don't
+// overlap with it. Tests read `paystack.requests` and can override a route with
+// `paystack.handlers.set('POST /refund', handler)`.
+export const paystack = { requests: [], handlers: new Map() };
+
+const paystackDefaults = {
+  'POST /transaction/initialize': ({ body }) => ({
+    body: {
+      status: true,
+      message: 'Authorization URL created',
+      data: {
+        authorization_url: `https://checkout.paystack.test/${body.metadata.order_id}`,
+        access_code: 'access_local',
+        reference: `ref_local_${paystack.requests.length}`,
+      },
+    },
+  }),
+  'POST /payments': ({ body }) => ({
+    body: {
+      status: 'success',
+      message: 'Hosted Link',
+      data: { link: `https://checkout.flutterwave.test/${body.tx_ref}` },
+    },
+  }),
+  'POST /refund': ({ body }) => ({
+    body: {
+      status: true,
+      message: 'Refund has been queued for processing',
+      data: { id: 7000 + paystack.requests.length, amount: body.amount, currency: body.currency, status: 'pending' },
+    },
+  }),
+};
+
+const paystackServer = http.createServer(async (req, res) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const request = { method: req.method, path: pathname, headers: req.headers, body: raw ? JSON.parse(raw) : undefined };
+  paystack.requests.push(request);
+  const route = `${req.method} ${pathname}`;
+  const handler = paystack.handlers.get(route) || paystackDefaults[route];
+  const { status = 200, body } = handler
+    ? await handler(request)
+    : { status: 404, body: { status: false, message: `No stub for ${req.method} ${pathname}` } };
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+paystackServer.listen(0);
+await once(paystackServer, 'listening');
+paystackServer.unref();
+
+process.env.DATA_STORE = 'memory';
+process.env.MAIL_TRANSPORT = 'json';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_local';
+process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${paystackServer.address().port}`;
+process.env.FLUTTERWAVE_SECRET_KEY = 'FLWSECK_TEST-local';
+process.env.FLUTTERWAVE_WEBHOOK_HASH = 'flw-local-hash';
+process.env.FLUTTERWAVE_BASE_URL = process.env.PAYSTACK_BASE_URL;
+process.env.MEDIA_STORAGE = 'local';
+process.env.MEDIA_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-media-'));
+process.on('exit', () => fs.rmSync(process.env.MEDIA_ROOT, { recursive: true, force: true }));
+
+const { default: app } = await import('../src/app.js');
+const { default: db } = await import('../src/repositories/db.js');
+const { default: transporter } = await import('../src/utils/mailer.js');
+
+export { db };
+
+// Every message handed to the transporter, newest last.
+export const outbox = [];
+const sendMail = transporter.sendMail.bind(transporter);
+transporter.sendMail = (message) => {
+  outbox.push(message);
+  return sendMail(message);
+};
+
+export const resetState = () => {
+  db.reset();
+  outbox.length = 0;
+  paystack.requests.length = 0;
+  paystack.handlers.clear();
+};
+
+export const startServer = async () => {
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+      // fetch sets the multipart boundary itself.
+      init.body = body;
+    } else if (body !== undefined) {
+      init.body = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+      init.headers['Content-Type'] ??= 'application/json';
+    }
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Plain-text responses (e.g. webhook acknowledgements) are returned as-is.
+    }
+    return { status: response.status, body: data, headers: response.headers };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close, baseUrl };
+};
+
+export const createUser = async (api, {
+  email,
+  password = 'secret123',
+  name = 'Test User',
+  role = 'customer',
+  verified = true,
+} = {}) => {
+  const user = await db.table('users').insert({
+    email: email || `user${crypto.randomUUID()}@example.com`,
+    password: await bcrypt.hash(password, 4),
+    name,
+    role,
+    email_verified: verified,
+  });
+  await db.table('carts').insert({ user_id: user.id, grand_total: 0 });
+  const { body } = await api.request('POST', '/auth/login', { body: { email: user.email, password } });
+  return { user, token: body.token };
+};
+
+export const createProduct = (values = {}) =>
+  db.table('products').insert({
+    name: 'Claw Hammer',
+    description: '16oz steel claw hammer',
+    price: 2500,
+    category: 'tools',
+    brand: 'Stanley',
+    stock_count: 10,
+    ...values,
+  });
+
+export const signWebhook = (payload, provider = 'paystack') => {
+  const body = JSON.stringify(payload);
+  if (provider === 'flutterwave') {
+    return { body, headers: { 'verif-hash': process.env.FLUTTERWAVE_WEBHOOK_HASH, 'Content-Type': 'application/json' } };
+  }
+  const signature = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(body).digest('hex');
+  return { body, headers: { 'x-paystack-signature': signature, 'Content-Type': 'application/json' } };
+};
+
+// Pulls the `token` query parameter out of the first link in an email.
+export const linkTokenFrom = (message) => {
+  const [, href] = message.html.match(/href="([^"]+)"/);
+  return new URL(href).searchParams.get('token');
+};
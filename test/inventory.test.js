@@ -0,0 +1,165 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+const inventoryService = await import('../src/services/inventoryService.js');
+
+describe('stock reservations', () => {
+  let api;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    product = await createProduct({ name: 'Angle Grinder', price: 30000, stock_count: 5 });
+  });
+
+  const fillCart = async (quantity) => {
+    const customer = await createUser(api);
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity } });
+    return customer;
+  };
+
+  const stored = () => db.table('products').findOne({ id: product.id });
+
+  it('reserves stock for each order line at checkout', async () => {
+    const customer = await fillCart(3);
+    const res = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.reservation_expires_at);
+
+    const current = await stored();
+    assert.equal(current.stock_count, 5);
+    assert.equal(current.reserved_count, 3);
+    const [reservation] = await db.table('stock_reservations').find({ order_id: res.body.order_id });
+    assert.equal(reservation.status, 'active');
+    assert.equal(reservation.quantity, 3);
+  });
+
+  it('never oversells across concurrent checkouts', async () => {
+    const first = await fillCart(3);
+    const second = await fillCart(3);
+    const results = await Promise.all([
+      api.request('POST', '/orders', { token: first.token, body: { delivery_method: 'pickup' } }),
+      api.request('POST', '/orders', { token: second.token, body: { delivery_method: 'pickup' } }),
+    ]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    const rejected = results.find((r) => r.status === 409);
+    assert.equal(rejected.body.error, 'Only 2 of Angle Grinder available');
+    assert.equal((await stored()).reserved_count, 3);
+    assert.equal(await db.table('orders').count(), 1);
+  });
+
+  it('counts reserved stock as unavailable when filling a cart', async () => {
+    const customer = await fillCart(4);
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    const other = await createUser(api);
+    const res = await api.request('POST', '/cart', { token: other.token, body: { productId: product.id, quantity: 2 } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Only 1 items in stock');
+  });
+
+  it('commits the reservation when payment succeeds', async () => {
+    const customer = await fillCart(2);
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await api.request('POST', '/payments/webhook', signWebhook({
+      event: 'charge.success',
+      data: { reference: 'ref_1', amount: 6000000, currency: 'NGN', customer: { email: customer.user.email }, metadata: { order_id: order.order_id } },
+    }));
+
+    const current = await stored();
+    assert.equal(current.stock_count, 3);
+    assert.equal(current.reserved_count, 0);
+    const [reservation] = await db.table('stock_reservations').find({ order_id: order.order_id });
+    assert.equal(reservation.status, 'committed');
+  });
+
+  it('refuses to set stock below what pending orders hold', async () => {
+    const customer = await fillCart(3);
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    const admin = await createUser(api, { role: 'admin' });
+
+    const below = await api.request('PUT', `/products/${product.id}`, { token: admin.token, body: { stock_count: 2 } });
+    assert.equal(below.status, 409);
+    assert.equal(below.body.error, '3 units are held by pending orders');
+    assert.equal((await stored()).stock_count, 5);
+    assert.equal((await api.request('PUT', `/products/${product.id}`, { token: admin.token, body: { stock_count: 3 } })).status, 200);
+  });
+
+  it('releases the reservation when payment fails', async () => {
+    const customer = await fillCart(2);
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await api.request('POST', '/payments/webhook', signWebhook({
+      event: 'charge.failed',
+      data: { reference: 'ref_1', amount: 6000000, currency: 'NGN', customer: { email: customer.user.email }, metadata: { order_id: order.order_id } },
+    }));
+
+    const current = await stored();
+    assert.equal(current.stock_count, 5);
+    assert.equal(current.reserved_count, 0);
+    const [reservation] = await db.table('stock_reservations').find({ order_id: order.order_id });
+    assert.equal(reservation.status, 'released');
+  });
+
+  it('takes the stock when a failed order is paid on a later attempt', async () => {
+    const customer = await fillCart(2);
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    const charge = (event, reference) => signWebhook({
+      event,
+      data: { reference, amount: 6000000, currency: 'NGN', customer: { email: customer.user.email }, metadata: { order_id: order.order_id } },
+    });
+    await api.request('POST', '/payments/webhook', charge('charge.failed', 'ref_1'));
+    await api.request('POST', '/payments/webhook', charge('charge.success', 'ref_2'));
+
+    assert.equal((await db.table('orders').findOne({ id: order.order_id })).status, 'paid');
+    const current = await stored();
+    assert.equal(current.stock_count, 3);
+    assert.equal(current.reserved_count, 0);
+    const [reservation] = await db.table('stock_reservations').find({ order_id: order.order_id });
+    assert.equal(reservation.status, 'committed');
+  });
+
+  it('releases expired reservations', async () => {
+    const customer = await fillCart(4);
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await db.table('stock_reservations').update({ order_id: order.order_id }, {
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    await inventoryService.releaseExpired();
+    assert.equal((await stored()).reserved_count, 0);
+    const [reservation] = await db.table('stock_reservations').find({ order_id: order.order_id });
+    assert.equal(reservation.status, 'expired');
+  });
+
+  it('honours a lapsed reservation on late payment only while stock is free', async () => {
+    const late = await fillCart(4);
+    const { body: order } = await api.request('POST', '/orders', { token: late.token, body: { delivery_method: 'pickup' } });
+    await db.table('stock_reservations').update({ order_id: order.order_id }, {
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+    });
+    await inventoryService.releaseExpired();
+
+    const result = await inventoryService.commitForOrder(order.order_id);
+    assert.equal(result.ok, true);
+    assert.equal((await stored()).stock_count, 1);
+  });
+
+  it('reports reserved and available quantities for low-stock products', async () => {
+    const admin = await createUser(api, { role: 'admin' });
+    const customer = await fillCart(2);
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+
+    const res = await api.request('GET', '/admin/products/low-stock', { token: admin.token });
+    assert.equal(res.status, 200);
+    const [row] = res.body.items;
+    assert.equal(row.stock_count, 5);
+    assert.equal(row.reserved_count, 2);
+    assert.equal(row.available_count, 3);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('tax and invoices', () => {
+  let api;
+  let admin;
+  let customer;
+  let drill;
+  let manual;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    drill = await createProduct({ name: 'Drill', category: 'power-tools', price: 20000, stock_count: 10 });
+    manual = await createProduct({ name: 'Safety manual', category: 'books', price: 2000, stock_count: 10 });
+    await api.request('PUT', '/admin/tax-settings', { token: admin.token, body: { standard_rate: 7.5, exempt_categories: ['books'] } });
+  });
+
+  const placeOrder = async (user = customer) => {
+    await api.request('POST', '/cart', { token: user.token, body: { productId: drill.id, quantity: 1 } });
+    await api.request('POST', '/cart', { token: user.token, body: { productId: manual.id, quantity: 2 } });
+    const res = await api.request('POST', '/orders', { token: user.token, body: { delivery_method: 'pickup' } });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  const pay = (order, reference) =>
+    api.request('POST', '/payments/webhook/paystack', signWebhook({
+      event: 'charge.success',
+      data: {
+        reference,
+        amount: Math.round(order.total_amount * 100),
+        currency: 'NGN',
+        channel: 'card',
+        status: 'success',
+        paid_at: new Date().toISOString(),
+        metadata: { order_id: order.order_id },
+      },
+    }));
+
+  const download = (path, token) => fetch(`${api.baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it('adds VAT per line, skipping exempt categories and discounted value', async () => {
+    await api.request('POST', '/admin/promotions', { token: admin.token, body: { code: 'DRILL10', type: 'fixed', value: 2000, categories: ['power-tools'] } });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: drill.id, quantity: 1 } });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: manual.id, quantity: 2 } });
+    const cart = await api.request('POST', '/cart/promotion', { token: customer.token, body: { code: 'DRILL10' } });
+    assert.equal(cart.body.tax_amount, 1350);
+    assert.equal(cart.body.grand_total, 24000 - 2000 + 1350);
+
+    const order = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(order.body.tax_amount, 1350);
+    assert.equal(order.body.total_amount, 23350);
+    const lines = await db.table('order_items').find({ order_id: order.body.order_id });
+    assert.deepEqual(lines.map((line) => [line.product_id, line.tax_rate, line.tax_amount]), [[drill.id, 7.5, 1350], [manual.id, 0, 0]]);
+  });
+
+  it('charges no VAT to exempt customers', async () => {
+    const missingReason = await api.request('PUT', `/admin/users/${customer.user.id}/tax-exemption`, { token: admin.token, body: { tax_exempt: true } });
+    assert.equal(missingReason.status, 400);
+    const exempt = await api.request('PUT', `/admin/users/${customer.user.id}/tax-exemption`, {
+      token: admin.token,
+      body: { tax_exempt: true, tax_exempt_reason: 'Embassy certificate 42' },
+    });
+    assert.equal(exempt.status, 200);
+    const order = await placeOrder();
+    assert.equal(order.tax_amount, 0);
+    assert.equal(order.total_amount, 24000);
+  });
+
+  it('numbers invoices in payment order and attaches them to the payment email', async () => {
+    const other = await createUser(api, { email: 'second@example.com' });
+    const first = await placeOrder();
+    const second = await placeOrder(other);
+
+    const early = await api.request('GET', `/orders/${first.order_id}/invoice`, { token: customer.token });
+    assert.equal(early.status, 409);
+
+    await pay(second, 'ref_second');
+    await pay(first, 'ref_first');
+    assert.equal((await db.table('orders').findOne({ id: second.order_id })).invoice_number, 'FB-000001');
+    assert.equal((await db.table('orders').findOne({ id: first.order_id })).invoice_number, 'FB-000002');
+
+    for (let tries = 0; tries < 50 && !outbox.some((mail) => mail.to === 'buyer@example.com'); tries++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const email = outbox.find((mail) => mail.to === 'buyer@example.com');
+    assert.match(email.html, /FB-000002/);
+    const [attachment] = email.attachments;
+    assert.equal(attachment.filename, 'invoice-FB-000002.pdf');
+    assert.equal(attachment.content.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('lets the customer and staff download the invoice', async () => {
+    const order = await placeOrder();
+    await pay(order, 'ref_download');
+
+    const res = await download(`/orders/${order.order_id}/invoice`, customer.token);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.match(res.headers.get('content-disposition'), /invoice-FB-000001\.pdf/);
+    assert.equal(Buffer.from(await res.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    const stranger = await createUser(api);
+    assert.equal((await download(`/orders/${order.order_id}/invoice`, stranger.token)).status, 404);
+    const staff = await createUser(api, { role: 'staff' });
+    assert.equal((await download(`/admin/orders/${order.order_id}/invoice`, staff.token)).status, 200);
+  });
+
+  it('validates tax settings and restricts them to admins', async () => {
+    const staff = await createUser(api, { role: 'staff' });
+    assert.equal((await api.request('GET', '/admin/tax-settings', { token: staff.token })).status, 403);
+    assert.equal((await api.request('PUT', '/admin/tax-settings', { token: admin.token, body: { standard_rate: 120 } })).status, 400);
+    const settings = await api.request('GET', '/admin/tax-settings', { token: admin.token });
+    assert.equal(settings.body.standard_rate, 7.5);
+    assert.deepEqual(settings.body.exempt_categories, ['books']);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5f1d2d40000000049454e44ae426082', 'hex');
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(60)]);
+
+const fileOnDisk = (url) => path.join(process.env.MEDIA_ROOT, url.replace(/^\/media\//, ''));
+
+describe('media uploads', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    fs.rmSync(path.join(process.env.MEDIA_ROOT, 'forge_and_bolt'), { recursive: true, force: true });
+    admin = await createUser(api, { role: 'admin' });
+    product = await createProduct();
+  });
+
+  const form = (field, files) => {
+    const body = new FormData();
+    for (const { bytes, type = 'image/png', name = 'photo.png' } of files) {
+      body.append(field, new Blob([bytes], { type }), name);
+    }
+    return body;
+  };
+
+  const addImages = (files) =>
+    api.request('POST', `/products/${product.id}/images`, { token: admin.token, body: form('images', files) });
+
+  it('stores several ordered images and serves them from disk', async () => {
+    const res = await addImages([{ bytes: PNG }, { bytes: JPEG, type: 'image/jpeg', name: 'side.jpg' }]);
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.map((image) => image.position), [0, 1]);
+    assert.match(res.body[1].url, /^\/media\/forge_and_bolt\/[0-9a-f]+\.jpg$/);
+
+    const fetched = await api.request('GET', `/products/${product.id}`);
+    assert.equal(fetched.body.image_url, res.body[0].url);
+    assert.equal(fetched.body.images.length, 2);
+
+    const served = await fetch(`${api.baseUrl}${res.body[0].url}`);
+    assert.equal(served.status, 200);
+    assert.deepEqual(Buffer.from(await served.arrayBuffer()), PNG);
+  });
+
+  it('reorders images and keeps the first one as the product image', async () => {
+    const [first, second] = (await addImages([{ bytes: PNG }, { bytes: PNG }])).body;
+    const bad = await api.request('PUT', `/products/${product.id}/images/order`, {
+      token: admin.token,
+      body: { image_ids: [second.id] },
+    });
+    assert.equal(bad.status, 400);
+
+    const res = await api.request('PUT', `/products/${product.id}/images/order`, {
+      token: admin.token,
+      body: { image_ids: [second.id, first.id] },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((image) => image.id), [second.id, first.id]);
+    assert.equal((await db.table('products').findOne({ id: product.id })).image_url, second.url);
+  });
+
+  it('deletes images and their files', async () => {
+    const [first, second] = (await addImages([{ bytes: PNG }, { bytes: PNG }])).body;
+    const res = await api.request('DELETE', `/products/${product.id}/images/${first.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(fs.existsSync(fileOnDisk(first.url)), false);
+    assert.equal(fs.existsSync(fileOnDisk(second.url)), true);
+    assert.equal((await db.table('products').findOne({ id: product.id })).image_url, second.url);
+    const missing = await api.request('DELETE', `/products/${product.id}/images/${first.id}`, { token: admin.token });
+    assert.equal(missing.status, 404);
+  });
+
+  it('deletes the old file when the main image is replaced', async () => {
+    const [first] = (await addImages([{ bytes: PNG }])).body;
+    const res = await api.request('PUT', `/products/${product.id}`, { token: admin.token, body: form('image', [{ bytes: JPEG, type: 'image/jpeg' }]) });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.image_url, first.url);
+    assert.equal(fs.existsSync(fileOnDisk(first.url)), false);
+    assert.equal(fs.existsSync(fileOnDisk(res.body.image_url)), true);
+    assert.equal(await db.table('product_images').count({ product_id: product.id }), 1);
+  });
+
+  it('rejects files that are not images or are too large', async () => {
+    const text = await addImages([{ bytes: Buffer.from('hello'), type: 'text/plain', name: 'notes.txt' }]);
+    assert.equal(text.status, 415);
+
+    const disguised = await addImages([{ bytes: Buffer.from('#!/bin/sh\necho hi\n'), name: 'shell.png' }]);
+    assert.equal(disguised.status, 415);
+
+    const huge = await addImages([{ bytes: Buffer.concat([PNG, Buffer.alloc(6 * 1024 * 1024)]) }]);
+    assert.equal(huge.status, 413);
+
+    assert.equal(await db.table('product_images').count({}), 0);
+    assert.equal(fs.existsSync(path.join(process.env.MEDIA_ROOT, 'forge_and_bolt')), false);
+  });
+
+  it('replaces profile pictures without leaving the old file behind', async () => {
+    const customer = await createUser(api);
+    const first = await api.request('PUT', '/auth/profile', { token: customer.token, body: form('image', [{ bytes: PNG }]) });
+    assert.equal(first.status, 200);
+    const second = await api.request('PUT', '/auth/profile', { token: customer.token, body: form('image', [{ bytes: PNG }]) });
+    assert.notEqual(second.body.profile_image_url, first.body.profile_image_url);
+    assert.equal(fs.existsSync(fileOnDisk(first.body.profile_image_url)), false);
+    assert.equal(fs.existsSync(fileOnDisk(second.body.profile_image_url)), true);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('order status lifecycle', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+  let orderId;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ price: 1000, stock_count: 10 });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    ({ body: { order_id: orderId } } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } }));
+  });
+
+  const setStatus = (status, note) =>
+    api.request('PUT', `/orders/${orderId}/status`, { token: admin.token, body: { status, note } });
+
+  const pay = () =>
+    api.request('POST', '/payments/webhook', signWebhook({
+      event: 'charge.success',
+      data: {
+        reference: 'ref_1',
+        amount: 200000,
+        currency: 'NGN',
+        channel: 'card',
+        status: 'success',
+        paid_at: new Date().toISOString(),
+        customer: { email: 'buyer@example.com' },
+        metadata: { order_id: orderId },
+      },
+    }));
+
+  it('walks an order through the full lifecycle', async () => {
+    await pay();
+    for (const status of ['processing', 'shipped', 'delivered']) {
+      const res = await setStatus(status);
+      assert.equal(res.status, 200, status);
+      assert.equal(res.body.status, status);
+    }
+  });
+
+  it('rejects invalid and unknown transitions', async () => {
+    const skip = await setStatus('shipped');
+    assert.equal(skip.status, 409);
+    assert.equal(skip.body.error, 'Cannot change order status from pending to shipped');
+
+    const unknown = await setStatus('teleported');
+    assert.equal(unknown.status, 400);
+
+    const missing = await api.request('PUT', '/orders/999/status', { token: admin.token, body: { status: 'cancelled' } });
+    assert.equal(missing.status, 404);
+
+    assert.equal((await db.table('orders').findOne({ id: orderId })).status, 'pending');
+  });
+
+  it('leaves paid and failed to the payment provider', async () => {
+    for (const status of ['paid', 'failed']) {
+      const res = await setStatus(status);
+      assert.equal(res.status, 400, status);
+      assert.equal(res.body.error, `Orders only become ${status} through the payment provider`);
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+    const order = await db.table('orders').findOne({ id: orderId });
+    assert.equal(order.status, 'pending');
+    assert.equal(order.invoice_number ?? null, null);
+    assert.equal(outbox.filter((m) => m.to === 'buyer@example.com').length, 0);
+  });
+
+  it('records each transition with its actor and note', async () => {
+    await pay();
+    await setStatus('processing', 'Picked by warehouse');
+
+    const history = await db.table('order_status_history').find({ order_id: orderId }, { order: { column: 'id' } });
+    assert.deepEqual(
+      history.map((h) => [h.from_status, h.to_status, h.actor_role]),
+      [[null, 'pending', 'customer'], ['pending', 'paid', 'system'], ['paid', 'processing', 'admin']]
+    );
+    assert.equal(history[2].actor_id, admin.user.id);
+    assert.equal(history[2].note, 'Picked by warehouse');
+  });
+
+  it('returns the timeline with the order', async () => {
+    await pay();
+    const res = await api.request('GET', `/orders/${orderId}`, { token: customer.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.timeline.map((h) => h.to_status), ['pending', 'paid']);
+  });
+
+  it('emails the customer on every transition', async () => {
+    await pay();
+    await setStatus('processing');
+    await setStatus('shipped', 'Tracking: GIG-123');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const subjects = outbox.filter((m) => m.to === 'buyer@example.com').map((m) => m.subject);
+    assert.deepEqual(subjects, [
+      'Your Order Payment Was Successful',
+      `Order #${orderId} Is Being Prepared`,
+      `Order #${orderId} Has Shipped`,
+    ]);
+    assert.match(outbox.at(-1).html, /Tracking: GIG-123/);
+  });
+
+  it('escapes notes in status emails', async () => {
+    await api.request('POST', `/orders/${orderId}/cancel`, {
+      token: customer.token,
+      body: { reason: '<a href="https://evil.test">Claim your refund</a>' },
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    const mail = outbox.findLast((m) => m.to === 'buyer@example.com');
+    assert.doesNotMatch(mail.html, /<a href/);
+    assert.match(mail.html, /&lt;a href=&quot;https:\/\/evil.test&quot;&gt;Claim your refund&lt;\/a&gt;/);
+  });
+
+  it('acknowledges a repeated payment webhook without a second transition', async () => {
+    await pay();
+    const again = await pay();
+    assert.equal(again.status, 200);
+    const history = await db.table('order_status_history').find({ order_id: orderId, to_status: 'paid' });
+    assert.equal(history.length, 1);
+  });
+
+  it('releases reserved stock when an admin cancels a pending order', async () => {
+    await setStatus('cancelled');
+    const stored = await db.table('products').findOne({ id: product.id });
+    assert.equal(stored.reserved_count, 0);
+  });
+
+  it('keeps processed orders in the purchase history', async () => {
+    await pay();
+    await setStatus('processing');
+    const res = await api.request('GET', '/orders/history', { token: customer.token });
+    assert.equal(res.body.length, 1);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('order routes', () => {
+  let api;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    customer = await createUser(api);
+    product = await createProduct({ price: 1000, stock_count: 10 });
+  });
+
+  const checkout = async (quantity = 2) => {
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity } });
+    return api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+  };
+
+  it('refuses to create an order from an empty cart', async () => {
+    const res = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('creates an order from the cart', async () => {
+    const res = await checkout(3);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.total_amount, 3000);
+    assert.equal(res.body.status, 'pending');
+
+    const items = await db.table('order_items').find({ order_id: res.body.order_id });
+    assert.equal(items.length, 1);
+    assert.equal(items[0].price_at_order, 1000);
+  });
+
+  it('lists and fetches the orders of the caller with their items', async () => {
+    const { body: created } = await checkout();
+    const list = await api.request('GET', '/orders', { token: customer.token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].order_items[0].products.id, product.id);
+
+    const one = await api.request('GET', `/orders/${created.order_id}`, { token: customer.token });
+    assert.equal(one.status, 200);
+    assert.equal(one.body.id, created.order_id);
+
+    const stranger = await createUser(api);
+    assert.equal((await api.request('GET', `/orders/${created.order_id}`, { token: stranger.token })).status, 404);
+  });
+
+  it('returns only paid orders in the history', async () => {
+    const { body: created } = await checkout();
+    let history = await api.request('GET', '/orders/history', { token: customer.token });
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body, []);
+
+    await db.table('orders').update({ id: created.order_id }, { status: 'paid' });
+    history = await api.request('GET', '/orders/history', { token: customer.token });
+    assert.equal(history.body.length, 1);
+  });
+
+  it('lets admins update the order status', async () => {
+    const { body: created } = await checkout();
+    const admin = await createUser(api, { role: 'admin' });
+
+    const forbidden = await api.request('PUT', `/orders/${created.order_id}/status`, {
+      token: customer.token,
+      body: { status: 'paid' },
+    });
+    assert.equal(forbidden.status, 403);
+
+    const missing = await api.request('PUT', `/orders/${created.order_id}/status`, { token: admin.token, body: {} });
+    assert.equal(missing.status, 400);
+
+    const updated = await api.request('PUT', `/orders/${created.order_id}/status`, {
+      token: admin.token,
+      body: { status: 'cancelled' },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.status, 'cancelled');
+  });
+});
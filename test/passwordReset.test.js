@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, linkTokenFrom } from './helpers.js';
+
+describe('password reset', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    await createUser(api, { email: 'ada@example.com', password: 'old-pass' });
+  });
+
+  const forgot = (email, headers) => api.request('POST', '/auth/forgot-password', { body: { email }, headers });
+  const reset = (token, newPassword = 'new-pass') =>
+    api.request('POST', '/auth/reset-password', { body: { token, newPassword } });
+
+  it('answers the same whether or not the account exists', async () => {
+    const known = await forgot('ada@example.com');
+    const unknown = await forgot('nobody@example.com');
+    assert.equal(known.status, 200);
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(known.body, unknown.body);
+    assert.equal(outbox.length, 1);
+  });
+
+  it('stores only a hash of the token and links to the configured frontend', async () => {
+    await forgot('ada@example.com');
+    const token = linkTokenFrom(outbox[0]);
+    assert.match(outbox[0].html, /https:\/\/forge-bolt-neon\.vercel\.app\/reset-password\?token=/);
+    const [stored] = await db.table('password_reset_tokens').find();
+    assert.ok(stored.token_hash);
+    assert.notEqual(stored.token_hash, token);
+    assert.equal(await db.table('password_reset_tokens').findOne({ token_hash: token }), null);
+  });
+
+  it('redeems a token only once', async () => {
+    await forgot('ada@example.com');
+    const token = linkTokenFrom(outbox[0]);
+    assert.equal((await reset(token)).status, 200);
+    const replay = await reset(token, 'another-pass');
+    assert.equal(replay.status, 400);
+    const login = await api.request('POST', '/auth/login', { body: { email: 'ada@example.com', password: 'new-pass' } });
+    assert.equal(login.status, 200);
+  });
+
+  it('invalidates older tokens when a new one is issued', async () => {
+    await forgot('ada@example.com');
+    await forgot('ada@example.com');
+    const [older, newer] = outbox.map(linkTokenFrom);
+    assert.equal((await reset(older)).status, 400);
+    assert.equal((await reset(newer)).status, 200);
+  });
+
+  it('rejects expired tokens', async () => {
+    await forgot('ada@example.com');
+    await db.table('password_reset_tokens').update({}, { expires_at: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await reset(linkTokenFrom(outbox[0]))).status, 400);
+  });
+
+  it('throttles requests per email, including unknown emails', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await forgot('nobody@example.com')).status, 200);
+    }
+    const throttled = await forgot('NOBODY@example.com');
+    assert.equal(throttled.status, 429);
+    assert.equal((await forgot('ada@example.com')).status, 200);
+  });
+
+  it('throttles requests per IP address', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal((await forgot(`user${i}@example.com`)).status, 200);
+    }
+    assert.equal((await forgot('ada@example.com')).status, 429);
+    assert.equal(outbox.length, 0);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, paystack, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('payment providers', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+  let orderId;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => {
+    delete process.env.PAYMENT_PROVIDER;
+    return api.close();
+  });
+
+  beforeEach(async () => {
+    resetState();
+    delete process.env.PAYMENT_PROVIDER;
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ price: 1000, stock_count: 10 });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    orderId = (await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } })).body.order_id;
+  });
+
+  const flutterwaveCharge = (overrides = {}) => ({
+    id: 5501,
+    tx_ref: `fb_${orderId}_abc123`,
+    flw_ref: 'FLW-MOCK-1',
+    amount: 2000,
+    currency: 'NGN',
+    status: 'successful',
+    payment_type: 'card',
+    created_at: new Date().toISOString(),
+    customer: { email: 'buyer@example.com' },
+    ...overrides,
+  });
+
+  const deliverFlutterwave = (event, data) =>
+    api.request('POST', '/payments/webhook/flutterwave', signWebhook({ event, data }, 'flutterwave'));
+
+  const orderStatus = async () => (await db.table('orders').findOne({ id: orderId })).status;
+
+  it('initiates checkout with the provider chosen for the order', async () => {
+    const res = await api.request('POST', '/payments/initiate', {
+      token: customer.token,
+      body: { order_id: orderId, provider: 'flutterwave' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'flutterwave');
+    assert.match(res.body.authorization_url, /checkout\.flutterwave\.test/);
+
+    const [sent] = paystack.requests;
+    assert.equal(sent.path, '/payments');
+    assert.equal(sent.headers.authorization, 'Bearer FLWSECK_TEST-local');
+    assert.equal(sent.body.amount, 2000);
+    assert.equal(sent.body.meta.order_id, orderId);
+    assert.equal(sent.body.tx_ref, res.body.reference);
+    assert.equal((await db.table('orders').findOne({ id: orderId })).payment_provider, 'flutterwave');
+  });
+
+  it('falls back to the configured provider', async () => {
+    process.env.PAYMENT_PROVIDER = 'flutterwave';
+    const res = await api.request('POST', '/payments/initiate', { token: customer.token, body: { order_id: orderId } });
+    assert.equal(res.body.provider, 'flutterwave');
+    assert.equal(paystack.requests[0].path, '/payments');
+  });
+
+  it('rejects unknown providers', async () => {
+    const res = await api.request('POST', '/payments/initiate', {
+      token: customer.token,
+      body: { order_id: orderId, provider: 'stripe' },
+    });
+    assert.equal(res.status, 400);
+    const webhook = await api.request('POST', '/payments/webhook/stripe', signWebhook({ event: 'x', data: {} }));
+    assert.equal(webhook.status, 404);
+  });
+
+  it('marks the order paid from a Flutterwave webhook, once', async () => {
+    assert.equal((await deliverFlutterwave('charge.completed', flutterwaveCharge())).status, 200);
+    assert.equal((await deliverFlutterwave('charge.completed', flutterwaveCharge())).body, 'Duplicate event');
+    assert.equal(await orderStatus(), 'paid');
+
+    const [payment] = await db.table('payment_references').find({ order_id: orderId });
+    assert.equal(payment.provider, 'flutterwave');
+    assert.equal(payment.provider_transaction_id, '5501');
+    assert.equal(payment.status, 'success');
+    const [event] = await db.table('webhook_events').find();
+    assert.equal(event.provider, 'flutterwave');
+    assert.equal(event.event_type, 'charge.success');
+  });
+
+  it('rejects Flutterwave webhooks with the wrong hash', async () => {
+    const { body } = signWebhook({ event: 'charge.completed', data: flutterwaveCharge() }, 'flutterwave');
+    const res = await api.request('POST', '/payments/webhook/flutterwave', {
+      body,
+      headers: { 'Content-Type': 'application/json', 'verif-hash': 'nope' },
+    });
+    assert.equal(res.status, 401);
+    // A Paystack signature is no good on the Flutterwave route either.
+    const paystackSigned = await api.request('POST', '/payments/webhook/flutterwave', signWebhook({
+      event: 'charge.completed',
+      data: flutterwaveCharge(),
+    }));
+    assert.equal(paystackSigned.status, 400);
+    assert.equal(await orderStatus(), 'pending');
+  });
+
+  it('verifies a Flutterwave transaction by reference', async () => {
+    paystack.handlers.set('GET /transactions/verify_by_reference', () => ({
+      body: { status: 'success', data: { ...flutterwaveCharge(), meta: { order_id: orderId } } },
+    }));
+    const res = await api.request('GET', `/payments/verify/fb_${orderId}_abc123?provider=flutterwave`, {
+      token: customer.token,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transaction_status, 'success');
+    assert.equal(res.body.order_status, 'paid');
+  });
+
+  it('refunds through the provider that took the payment', async () => {
+    await deliverFlutterwave('charge.completed', flutterwaveCharge());
+    paystack.handlers.set('POST /transactions/5501/refund', ({ body }) => ({
+      body: { status: 'success', data: { id: 88, amount_refunded: body.amount, status: 'completed' } },
+    }));
+    const refund = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.equal(refund.status, 201);
+    assert.equal(refund.body.provider, 'flutterwave');
+    assert.equal(refund.body.provider_refund_id, '88');
+    assert.equal(paystack.requests.at(-1).body.amount, 2000);
+
+    await deliverFlutterwave('refund.completed', { id: 88, status: 'completed', tx_ref: `fb_${orderId}_abc123` });
+    assert.equal(await orderStatus(), 'refunded');
+  });
+});
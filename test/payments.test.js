@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, paystack, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('payment routes', () => {
+  let api;
+  let customer;
+  let product;
+  let order;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ price: 1000, stock_count: 10 });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    ({ body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } }));
+  });
+
+  const chargeEvent = (event, overrides = {}) => ({
+    event,
+    data: {
+      reference: 'ref_123',
+      amount: 200000,
+      currency: 'NGN',
+      channel: 'card',
+      status: event === 'charge.success' ? 'success' : 'failed',
+      paid_at: new Date().toISOString(),
+      customer: { email: 'buyer@example.com' },
+      metadata: { order_id: order.order_id },
+      ...overrides,
+    },
+  });
+
+  it('validates payment initiation input', async () => {
+    const res = await api.request('POST', '/payments/initiate', { token: customer.token, body: {} });
+    assert.equal(res.status, 400);
+    assert.equal((await api.request('POST', '/payments/initiate', { body: {} })).status, 401);
+  });
+
+  it('charges the stored order total to the caller, ignoring client amounts', async () => {
+    const res = await api.request('POST', '/payments/initiate', {
+      token: customer.token,
+      body: { order_id: order.order_id, amount: 1, email: 'attacker@example.com' },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.authorization_url);
+
+    const [sent] = paystack.requests;
+    assert.equal(sent.path, '/transaction/initialize');
+    assert.equal(sent.headers.authorization, 'Bearer sk_test_local');
+    assert.equal(sent.body.amount, 200000);
+    assert.equal(sent.body.currency, 'NGN');
+    assert.equal(sent.body.email, 'buyer@example.com');
+    assert.equal(sent.body.metadata.order_id, order.order_id);
+  });
+
+  it('refuses to initiate payment for other customers or non-pending orders', async () => {
+    const stranger = await createUser(api);
+    const foreign = await api.request('POST', '/payments/initiate', {
+      token: stranger.token,
+      body: { order_id: order.order_id },
+    });
+    assert.equal(foreign.status, 404);
+
+    await db.table('orders').update({ id: order.order_id }, { status: 'paid' });
+    const paid = await api.request('POST', '/payments/initiate', {
+      token: customer.token,
+      body: { order_id: order.order_id },
+    });
+    assert.equal(paid.status, 409);
+    assert.equal(paystack.requests.length, 0);
+  });
+
+  it('flags underpaid or wrong-currency charges for review instead of marking the order paid', async () => {
+    const admin = await createUser(api, { role: 'admin' });
+    const underpaid = await api.request('POST', '/payments/webhook', signWebhook(chargeEvent('charge.success', { amount: 100 })));
+    assert.equal(underpaid.status, 200);
+    const wrongCurrency = await api.request('POST', '/payments/webhook', signWebhook(
+      chargeEvent('charge.success', { reference: 'ref_usd', currency: 'USD' })
+    ));
+    assert.equal(wrongCurrency.status, 200);
+
+    assert.equal((await db.table('orders').findOne({ id: order.order_id })).status, 'pending');
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 10);
+
+    const flagged = await api.request('GET', '/admin/payments/flagged', { token: admin.token });
+    assert.equal(flagged.status, 200);
+    assert.deepEqual(flagged.body.items.map((p) => p.reference).sort(), ['ref_123', 'ref_usd']);
+    assert.ok(flagged.body.items.every((p) => p.review_status === 'needs_review' && p.review_reason));
+    assert.equal((await api.request('GET', '/admin/payments/flagged', { token: customer.token })).status, 403);
+  });
+
+  it('rejects webhooks without a valid signature', async () => {
+    const { body } = signWebhook(chargeEvent('charge.success'));
+    const missing = await api.request('POST', '/payments/webhook', {
+      body,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    assert.equal(missing.status, 400);
+
+    const forged = await api.request('POST', '/payments/webhook', {
+      body,
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': 'forged' },
+    });
+    assert.equal(forged.status, 401);
+  });
+
+  it('marks the order paid, clears the cart and records the payment on charge.success', async () => {
+    const res = await api.request('POST', '/payments/webhook', signWebhook(chargeEvent('charge.success')));
+    assert.equal(res.status, 200);
+
+    const stored = await db.table('orders').findOne({ id: order.order_id });
+    assert.equal(stored.status, 'paid');
+    assert.equal((await api.request('GET', '/cart', { token: customer.token })).body.items.length, 0);
+
+    const [reference] = await db.table('payment_references').find({ order_id: order.order_id });
+    assert.equal(reference.reference, 'ref_123');
+    assert.equal(reference.amount, 2000);
+
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 8);
+    assert.equal(outbox.at(-1).to, 'buyer@example.com');
+  });
+
+  it('marks the order failed on charge.failed', async () => {
+    const res = await api.request('POST', '/payments/webhook', signWebhook(chargeEvent('charge.failed')));
+    assert.equal(res.status, 200);
+    assert.equal((await db.table('orders').findOne({ id: order.order_id })).status, 'failed');
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 10);
+  });
+});
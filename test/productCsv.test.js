@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('product CSV import and export', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => {
+    delete process.env.PRODUCT_IMPORT_SYNC_ROWS;
+    return api.close();
+  });
+
+  beforeEach(async () => {
+    resetState();
+    delete process.env.PRODUCT_IMPORT_SYNC_ROWS;
+    admin = await createUser(api, { role: 'admin' });
+  });
+
+  const upload = (csv, { query = '', token = admin.token } = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'products.csv');
+    return api.request('POST', `/admin/products/import${query}`, { token, body: form });
+  };
+
+  const HEADER = 'sku,name,description,price,category,brand,stock_count,image_url\n';
+
+  it('reports row-level errors on a dry run without writing', async () => {
+    await createProduct({ sku: 'HAM-16', name: 'Claw Hammer' });
+    const csv = HEADER +
+      'HAM-16,,,2700,,,,\n' +
+      'DRL-1,"Drill, cordless","18V, ""brushless""",85000,power-tools,DeWalt,4,https://img.example.com/drl.jpg\n' +
+      ',Nameless,,100,,,,\n' +
+      'SAW-1,Saw,,cheap,,,,\n' +
+      'SAW-2,Saw,,100,,,-3,ftp://example.com/saw.jpg\n' +
+      'DRL-1,Duplicate,,1,,,,\n';
+    const res = await upload(csv, { query: '?dry_run=true' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.equal(res.body.total_rows, 6);
+    assert.equal(res.body.to_create, 1);
+    assert.equal(res.body.to_update, 1);
+    assert.deepEqual(res.body.errors.map((e) => [e.line, e.field]), [
+      [4, 'sku'], [5, 'price'], [6, 'stock_count'], [6, 'image_url'], [7, 'sku'],
+    ]);
+    assert.equal(await db.table('products').count({}), 1);
+  });
+
+  it('refuses to import a file with errors', async () => {
+    const res = await upload(HEADER + 'A-1,Thing,,abc,,,,\n');
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors.length, 1);
+    assert.equal(await db.table('products').count({}), 0);
+  });
+
+  it('upserts products by SKU', async () => {
+    const existing = await createProduct({ sku: 'HAM-16', name: 'Claw Hammer', price: 2500, stock_count: 3 });
+    const res = await upload(HEADER +
+      'HAM-16,,,2700,,,10,\n' +
+      'DRL-1,Cordless Drill,18V drill,85000,power-tools,DeWalt,4,https://img.example.com/drl.jpg\r\n');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'completed');
+    assert.equal(res.body.created_count, 1);
+    assert.equal(res.body.updated_count, 1);
+
+    const hammer = await db.table('products').findOne({ id: existing.id });
+    assert.equal(hammer.name, 'Claw Hammer');
+    assert.equal(hammer.price, 2700);
+    assert.equal(hammer.stock_count, 10);
+    const drill = await db.table('products').findOne({ sku: 'DRL-1' });
+    assert.equal(drill.image_url, 'https://img.example.com/drl.jpg');
+    assert.equal(drill.stock_count, 4);
+  });
+
+  it('runs large files as a background job with progress', async () => {
+    process.env.PRODUCT_IMPORT_SYNC_ROWS = '2';
+    const rows = Array.from({ length: 150 }, (_, i) => `BULK-${i},Bolt ${i},,${i + 1},fixings,Generic,${i},`).join('\n');
+    const res = await upload(HEADER + rows);
+    assert.equal(res.status, 202);
+    assert.equal(res.body.total_rows, 150);
+
+    let job = res.body;
+    for (let attempt = 0; job.status !== 'completed' && attempt < 50; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      job = (await api.request('GET', `/admin/products/import/${res.body.id}`, { token: admin.token })).body;
+    }
+    assert.equal(job.status, 'completed');
+    assert.equal(job.processed_rows, 150);
+    assert.equal(job.created_count, 150);
+    assert.equal(await db.table('products').count({ category: 'fixings' }), 150);
+  });
+
+  it('validates the upload itself', async () => {
+    const noFile = await api.request('POST', '/admin/products/import', { token: admin.token, body: new FormData() });
+    assert.equal(noFile.status, 400);
+    const badHeader = await upload('name,price\nThing,1\n');
+    assert.equal(badHeader.status, 400);
+    assert.match(badHeader.body.error, /sku/);
+    const { token } = await createUser(api);
+    assert.equal((await upload(HEADER, { token })).status, 403);
+  });
+
+  it('exports the catalogue in the import format', async () => {
+    await createProduct({ sku: 'HAM-16', name: 'Claw Hammer', description: '16oz, steel', price: 2500 });
+    await createProduct({ sku: 'DRL-1', name: 'Drill "Pro"', price: 85000, category: 'power-tools', brand: 'DeWalt' });
+    const res = await api.request('GET', '/admin/products/export', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="products-/);
+    const lines = res.body.trim().split('\r\n');
+    assert.equal(lines[0], HEADER.trim());
+    assert.equal(lines[1], 'HAM-16,Claw Hammer,"16oz, steel",2500,tools,Stanley,10,');
+    assert.equal(lines[2], 'DRL-1,"Drill ""Pro""",16oz steel claw hammer,85000,power-tools,DeWalt,10,');
+
+    const reimport = await upload(res.body, { query: '?dry_run=true' });
+    assert.equal(reimport.body.to_update, 2);
+    assert.deepEqual(reimport.body.errors, []);
+  });
+});
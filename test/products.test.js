@@ -0,0 +1,224 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('product routes', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(resetState);
+
+  it('lists products with filters and pagination', async () => {
+    await createProduct({ name: 'Hammer', category: 'tools', brand: 'Stanley', price: 2500 });
+    await createProduct({ name: 'Drill', category: 'power-tools', brand: 'Bosch', price: 45000 });
+    await createProduct({ name: 'Saw', category: 'tools', brand: 'Bosch', price: 8000 });
+
+    const all = await api.request('GET', '/products?limit=2');
+    assert.equal(all.status, 200);
+    assert.equal(all.body.items.length, 2);
+    assert.equal(all.body.total, 3);
+    assert.equal(all.body.totalPages, 2);
+
+    const tools = await api.request('GET', '/products?category=tools&price=5000');
+    assert.deepEqual(tools.body.items.map((p) => p.name), ['Hammer']);
+
+    const bosch = await api.request('GET', '/products?brand=Bosch');
+    assert.equal(bosch.body.total, 2);
+  });
+
+  describe('search', () => {
+    const seed = async () => {
+      await createProduct({ name: 'HSS Drill Bit Set', description: '13 piece metal drill bits', category: 'accessories', brand: 'Bosch', price: 6500, stock_count: 5 });
+      await createProduct({ name: 'Cordless Drill', description: '18V brushless drill driver', category: 'power-tools', brand: 'DeWalt', price: 85000, stock_count: 2 });
+      await createProduct({ name: 'Masonry Bit', description: 'Tungsten carbide tip for concrete', category: 'accessories', brand: 'Makita', price: 1500, stock_count: 0 });
+      await createProduct({ name: 'Claw Hammer', description: '16oz steel', category: 'tools', brand: 'Stanley', price: 2500 });
+    };
+
+    it('ranks products matching every word first', async () => {
+      await seed();
+      const res = await api.request('GET', '/products?q=drill%20bit');
+      assert.equal(res.status, 200);
+      const names = res.body.items.map((p) => p.name);
+      assert.equal(names[0], 'HSS Drill Bit Set');
+      assert.deepEqual(names.slice(1).sort(), ['Cordless Drill', 'Masonry Bit']);
+    });
+
+    it('tolerates typos and matches brands', async () => {
+      await seed();
+      const typo = await api.request('GET', '/products?q=cordles%20dril');
+      assert.equal(typo.body.items[0].name, 'Cordless Drill');
+      const brand = await api.request('GET', '/products?q=makita');
+      assert.deepEqual(brand.body.items.map((p) => p.name), ['Masonry Bit']);
+      assert.equal((await api.request('GET', '/products?q=xylophone')).body.total, 0);
+    });
+
+    it('filters by price range, several categories and stock', async () => {
+      await seed();
+      const ranged = await api.request('GET', '/products?min_price=2000&max_price=10000&sort=price_asc');
+      assert.deepEqual(ranged.body.items.map((p) => p.name), ['Claw Hammer', 'HSS Drill Bit Set']);
+
+      const multi = await api.request('GET', '/products?category=tools,power-tools&sort=price_desc');
+      assert.deepEqual(multi.body.items.map((p) => p.name), ['Cordless Drill', 'Claw Hammer']);
+
+      const repeated = await api.request('GET', '/products?brand=Bosch&brand=Makita&in_stock=true');
+      assert.deepEqual(repeated.body.items.map((p) => p.name), ['HSS Drill Bit Set']);
+    });
+
+    it('returns facet counts that ignore their own selection', async () => {
+      await seed();
+      const res = await api.request('GET', '/products?q=bit&category=accessories&brand=Bosch');
+      assert.equal(res.body.total, 1);
+      assert.deepEqual(res.body.facets.categories, [{ value: 'accessories', count: 1 }]);
+      assert.deepEqual(res.body.facets.brands, [{ value: 'Bosch', count: 1 }, { value: 'Makita', count: 1 }]);
+    });
+
+    it('sorts by popularity from paid orders', async () => {
+      await seed();
+      const hammer = await db.table('products').findOne({ name: 'Claw Hammer' });
+      const order = await db.table('orders').insert({ user_id: 1, total_amount: 7500, status: 'paid' });
+      await db.table('order_items').insert({ order_id: order.id, product_id: hammer.id, quantity: 3, price_at_order: 2500 });
+      const res = await api.request('GET', '/products?sort=popularity');
+      assert.equal(res.body.items[0].name, 'Claw Hammer');
+    });
+
+    it('rejects unknown sort orders', async () => {
+      assert.equal((await api.request('GET', '/products?sort=cheapest')).status, 400);
+    });
+  });
+
+  it('fetches a single product', async () => {
+    const product = await createProduct();
+    const res = await api.request('GET', `/products/${product.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, product.name);
+    assert.equal((await api.request('GET', '/products/999')).status, 404);
+  });
+
+  it('lets admins create, update and delete products', async () => {
+    const { token } = await createUser(api, { role: 'admin' });
+    const created = await api.request('POST', '/products', {
+      token,
+      body: { name: 'Spanner', description: '10mm', price: 1500, category: 'tools', brand: 'Kingtony', stock_count: 4 },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Spanner');
+
+    const updated = await api.request('PUT', `/products/${created.body.id}`, { token, body: { price: 1800 } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.price, 1800);
+    assert.equal(updated.body.name, 'Spanner');
+
+    const archived = await api.request('DELETE', `/products/${created.body.id}`, { token });
+    assert.equal(archived.status, 200);
+    assert.ok((await db.table('products').findOne({ id: created.body.id })).archived_at);
+
+    const removed = await api.request('DELETE', `/products/${created.body.id}?permanent=true`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal(await db.table('products').findOne({ id: created.body.id }), null);
+  });
+
+  it('forbids customers from managing products', async () => {
+    const product = await createProduct();
+    const { token } = await createUser(api);
+    assert.equal((await api.request('POST', '/products', { token, body: { name: 'x' } })).status, 403);
+    assert.equal((await api.request('PUT', `/products/${product.id}`, { token, body: {} })).status, 403);
+    assert.equal((await api.request('DELETE', `/products/${product.id}`, { token })).status, 403);
+  });
+
+  it('returns 404 when updating or deleting a missing product', async () => {
+    const { token } = await createUser(api, { role: 'admin' });
+    assert.equal((await api.request('PUT', '/products/999', { token, body: { price: 1 } })).status, 404);
+    assert.equal((await api.request('DELETE', '/products/999', { token })).status, 404);
+  });
+});
+
+describe('product archival', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api);
+    product = await createProduct({ name: 'Torque wrench', price: 12000, stock_count: 5 });
+  });
+
+  const addToCart = (productId, quantity = 1) =>
+    api.request('POST', '/cart', { token: customer.token, body: { productId, quantity } });
+
+  it('hides archived products from the catalogue and from carts', async () => {
+    const kept = await createProduct({ name: 'Socket set', price: 8000 });
+    await addToCart(product.id);
+    await addToCart(kept.id, 2);
+
+    const res = await api.request('DELETE', `/products/${product.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.product.archived_at);
+
+    const catalogue = await api.request('GET', '/products');
+    assert.deepEqual(catalogue.body.items.map((p) => p.name), ['Socket set']);
+    assert.equal((await api.request('GET', '/products?q=torque')).body.total, 0);
+
+    const cart = await api.request('GET', '/cart', { token: customer.token });
+    assert.deepEqual(cart.body.items.map((item) => item.product_id), [kept.id]);
+    assert.equal(cart.body.grand_total, 16000);
+    assert.deepEqual(cart.body.notices, ['Torque wrench is no longer available and was removed from your cart']);
+    assert.deepEqual((await api.request('GET', '/cart', { token: customer.token })).body.notices, []);
+
+    const again = await addToCart(product.id);
+    assert.equal(again.status, 400);
+    assert.match(again.body.error, /no longer available/);
+  });
+
+  it('keeps archived products in order history and refuses to delete them for good', async () => {
+    await addToCart(product.id, 2);
+    const { body: order } = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    await api.request('DELETE', `/products/${product.id}`, { token: admin.token });
+
+    const history = await api.request('GET', `/orders/${order.order_id}`, { token: customer.token });
+    assert.equal(history.body.order_items[0].products.name, 'Torque wrench');
+    assert.equal(history.body.order_items[0].quantity, 2);
+
+    const permanent = await api.request('DELETE', `/products/${product.id}?permanent=true`, { token: admin.token });
+    assert.equal(permanent.status, 409);
+    assert.equal(await db.table('order_items').count({ product_id: product.id }), 1);
+  });
+
+  it('lets admins list and restore archived products', async () => {
+    await api.request('DELETE', `/products/${product.id}`, { token: admin.token });
+    const archived = await api.request('GET', '/admin/products/archived', { token: admin.token });
+    assert.deepEqual(archived.body.items.map((p) => p.id), [product.id]);
+
+    assert.equal((await api.request('POST', `/products/${product.id}/restore`, { token: customer.token })).status, 403);
+    const restored = await api.request('POST', `/products/${product.id}/restore`, { token: admin.token });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.archived_at, null);
+    assert.equal((await api.request('GET', '/products')).body.total, 1);
+    assert.equal((await addToCart(product.id)).status, 201);
+  });
+
+  it('pages archived products in the store, newest archive first', async () => {
+    const older = await createProduct({ archived_at: '2025-01-01T00:00:00.000Z' });
+    await createProduct();
+    await api.request('DELETE', `/products/${product.id}`, { token: admin.token });
+
+    const first = await api.request('GET', '/admin/products/archived?limit=1', { token: admin.token });
+    assert.deepEqual(first.body.items.map((p) => p.id), [product.id]);
+    assert.equal(first.body.total, 2);
+    const second = await api.request('GET', '/admin/products/archived?limit=1&page=2', { token: admin.token });
+    assert.deepEqual(second.body.items.map((p) => p.id), [older.id]);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+const inventoryService = await import('../src/services/inventoryService.js');
+
+describe('promotions', () => {
+  let api;
+  let admin;
+  let customer;
+  let drill;
+  let hammer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api);
+    drill = await createProduct({ name: 'Drill', category: 'power-tools', brand: 'Bosch', price: 40000, stock_count: 10 });
+    hammer = await createProduct({ name: 'Hammer', category: 'tools', brand: 'Stanley', price: 5000, stock_count: 10 });
+  });
+
+  const createPromotion = async (body) => {
+    const res = await api.request('POST', '/admin/promotions', { token: admin.token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  const addToCart = (user, product, quantity = 1) =>
+    api.request('POST', '/cart', { token: user.token, body: { productId: product.id, quantity } });
+
+  const applyCode = (user, code) => api.request('POST', '/cart/promotion', { token: user.token, body: { code } });
+
+  it('applies a scoped percentage code and stores the discount lines on the order', async () => {
+    await createPromotion({ code: 'power10', type: 'percentage', value: 10, categories: ['power-tools'], description: '10% off power tools' });
+    await addToCart(customer, drill);
+    await addToCart(customer, hammer, 2);
+
+    const applied = await applyCode(customer, 'POWER10');
+    assert.equal(applied.status, 200);
+    assert.equal(applied.body.subtotal, 50000);
+    assert.equal(applied.body.discount.code, 'POWER10');
+    assert.equal(applied.body.discount.amount, 4000);
+    assert.equal(applied.body.discount.lines.length, 1);
+    assert.equal(applied.body.grand_total, 46000);
+
+    const cart = await api.request('GET', '/cart', { token: customer.token });
+    assert.equal(cart.body.grand_total, 46000);
+
+    const order = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(order.status, 201);
+    assert.equal(order.body.subtotal_amount, 50000);
+    assert.equal(order.body.discount_amount, 4000);
+    assert.equal(order.body.total_amount, 46000);
+
+    const detail = await api.request('GET', `/orders/${order.body.order_id}`, { token: customer.token });
+    const drillLine = detail.body.order_items.find((item) => item.product_id === drill.id);
+    assert.deepEqual(detail.body.discounts.map((line) => [line.order_item_id, line.code, line.amount]), [[drillLine.id, 'POWER10', 4000]]);
+  });
+
+  it('splits a fixed discount across items and caps it at their value', async () => {
+    await createPromotion({ code: 'TAKE7', type: 'fixed', value: 7000, brands: 'Stanley' });
+    await addToCart(customer, hammer);
+    await addToCart(customer, drill);
+    const capped = await applyCode(customer, 'take7');
+    assert.equal(capped.body.discount.amount, 5000);
+
+    await createPromotion({ code: 'THIRDS', type: 'fixed', value: 100 });
+    const split = await applyCode(customer, 'THIRDS');
+    const amounts = split.body.discount.lines.map((line) => line.amount);
+    assert.equal(amounts.reduce((sum, amount) => sum + amount, 0), 100);
+    assert.deepEqual(amounts, [11.11, 88.89]);
+  });
+
+  it('explains why a code cannot be used', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await createPromotion({ code: 'BIGSPEND', type: 'fixed', value: 1000, min_spend: 20000 });
+    await createPromotion({ code: 'OLD', type: 'fixed', value: 1000, ends_at: new Date(Date.now() - day).toISOString() });
+    await createPromotion({ code: 'SOON', type: 'fixed', value: 1000, starts_at: new Date(Date.now() + day).toISOString() });
+    await createPromotion({ code: 'BOSCH', type: 'percentage', value: 5, brands: ['Bosch'] });
+    await createPromotion({ code: 'PAUSED', type: 'fixed', value: 1000, active: false });
+
+    assert.equal((await applyCode(customer, 'BIGSPEND')).body.error, 'Cart is empty');
+    await addToCart(customer, hammer);
+    assert.match((await applyCode(customer, 'BIGSPEND')).body.error, /Spend at least 20000/);
+    assert.match((await applyCode(customer, 'OLD')).body.error, /expired/);
+    assert.match((await applyCode(customer, 'SOON')).body.error, /not active yet/);
+    assert.match((await applyCode(customer, 'BOSCH')).body.error, /does not apply/);
+    assert.equal((await applyCode(customer, 'PAUSED')).status, 400);
+    assert.equal((await applyCode(customer, 'NOPE')).status, 404);
+  });
+
+  it('keeps a code that stopped applying on the cart with the reason', async () => {
+    await createPromotion({ code: 'BIGSPEND', type: 'fixed', value: 1000, min_spend: 8000 });
+    const added = await addToCart(customer, hammer, 2);
+    assert.equal((await applyCode(customer, 'BIGSPEND')).status, 200);
+    await api.request('PUT', `/cart/${added.body.id}`, { token: customer.token, body: { quantity: 1 } });
+
+    const cart = await api.request('GET', '/cart', { token: customer.token });
+    assert.equal(cart.body.promotion_code, 'BIGSPEND');
+    assert.equal(cart.body.discount, null);
+    assert.match(cart.body.promotion_error, /Spend at least/);
+    assert.equal(cart.body.grand_total, 5000);
+
+    const order = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(order.status, 400);
+    assert.equal(await db.table('orders').count({}), 0);
+
+    const removed = await api.request('DELETE', '/cart/promotion', { token: customer.token });
+    assert.equal(removed.body.promotion_code, null);
+    assert.equal((await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } })).status, 201);
+  });
+
+  it('enforces usage limits and gives uses back when orders are cancelled', async () => {
+    await createPromotion({ code: 'ONCE', type: 'fixed', value: 500, max_redemptions: 1 });
+    const other = await createUser(api);
+    for (const user of [customer, other]) {
+      await addToCart(user, hammer);
+      assert.equal((await applyCode(user, 'ONCE')).status, 200);
+    }
+    const first = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(first.status, 201);
+    const second = await api.request('POST', '/orders', { token: other.token, body: { delivery_method: 'pickup' } });
+    assert.equal(second.status, 400);
+    assert.match(second.body.error, /fully redeemed/);
+
+    await api.request('POST', `/orders/${first.body.order_id}/cancel`, { token: customer.token });
+    assert.equal((await api.request('POST', '/orders', { token: other.token, body: { delivery_method: 'pickup' } })).status, 201);
+  });
+
+  it('leaves no order, hold or code use behind when checkout runs out of stock', async () => {
+    await createPromotion({ code: 'ONCE', type: 'fixed', value: 500, max_redemptions: 1 });
+    await addToCart(customer, hammer, 2);
+    await addToCart(customer, drill);
+    await applyCode(customer, 'ONCE');
+    await db.table('products').update({ id: drill.id }, { stock_count: 0 });
+
+    const res = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(res.status, 409);
+    assert.equal(await db.table('orders').count({}), 0);
+    assert.equal(await db.table('stock_reservations').count({ status: 'active' }), 0);
+
+    const other = await createUser(api);
+    await addToCart(other, hammer);
+    await applyCode(other, 'ONCE');
+    assert.equal((await api.request('POST', '/orders', { token: other.token, body: { delivery_method: 'pickup' } })).status, 201);
+  });
+
+  it('gives uses back from failed and lapsed orders and takes them again on payment', async () => {
+    await createPromotion({ code: 'ONCE', type: 'fixed', value: 500, max_redemptions: 1 });
+    await createPromotion({ code: 'LAPSE', type: 'fixed', value: 500, max_redemptions: 1 });
+    const checkout = async (user, code) => {
+      await addToCart(user, hammer);
+      await applyCode(user, code);
+      return (await api.request('POST', '/orders', { token: user.token, body: { delivery_method: 'pickup' } })).body;
+    };
+    const charge = (event, order, reference) => api.request('POST', '/payments/webhook', signWebhook({
+      event,
+      data: { reference, amount: order.total_amount * 100, currency: 'NGN', metadata: { order_id: order.order_id } },
+    }));
+    const redemption = async (order) => (await db.table('promotion_redemptions').findOne({ order_id: order.order_id })).status;
+
+    const failed = await checkout(customer, 'ONCE');
+    await charge('charge.failed', failed, 'ref_failed');
+    assert.equal(await redemption(failed), 'released');
+    await charge('charge.success', failed, 'ref_retry');
+    assert.equal(await redemption(failed), 'active');
+
+    const lapsed = await checkout(await createUser(api), 'LAPSE');
+    await db.table('stock_reservations').update({ order_id: lapsed.order_id }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+    await inventoryService.releaseExpired();
+    assert.equal(await redemption(lapsed), 'released');
+  });
+
+  it('limits uses per customer', async () => {
+    await createPromotion({ code: 'WELCOME', type: 'percentage', value: 5, max_redemptions_per_user: 1 });
+    await addToCart(customer, hammer);
+    await applyCode(customer, 'WELCOME');
+    assert.equal((await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } })).status, 201);
+    const again = await applyCode(customer, 'WELCOME');
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, 'You have already used WELCOME');
+  });
+
+  it('gives admins CRUD and redemption stats', async () => {
+    const staff = await createUser(api, { role: 'staff' });
+    assert.equal((await api.request('GET', '/admin/promotions', { token: staff.token })).status, 403);
+
+    const invalid = [
+      { type: 'percentage', value: 10 },
+      { code: 'X', type: 'percentage', value: 10 },
+      { code: 'HALF', type: 'bogus', value: 10 },
+      { code: 'HALF', type: 'percentage', value: 150 },
+      { code: 'HALF', type: 'fixed', value: -5 },
+      { code: 'HALF', type: 'fixed', value: 5, starts_at: '2030-01-02', ends_at: '2030-01-01' },
+    ];
+    for (const body of invalid) {
+      assert.equal((await api.request('POST', '/admin/promotions', { token: admin.token, body })).status, 400);
+    }
+    const promotion = await createPromotion({ code: 'HALF', type: 'percentage', value: 50 });
+    assert.equal((await api.request('POST', '/admin/promotions', { token: admin.token, body: { code: 'half', type: 'fixed', value: 1 } })).status, 409);
+
+    const updated = await api.request('PUT', `/admin/promotions/${promotion.id}`, { token: admin.token, body: { value: 20 } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.value, 20);
+
+    await addToCart(customer, hammer);
+    await applyCode(customer, 'HALF');
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+
+    const [listed] = (await api.request('GET', '/admin/promotions', { token: admin.token })).body.items;
+    assert.deepEqual(listed.stats, { redemptions: 1, customers: 1, discount_total: 1000, remaining: null });
+    const detail = await api.request('GET', `/admin/promotions/${promotion.id}`, { token: admin.token });
+    assert.equal(detail.body.redemptions.length, 1);
+
+    assert.equal((await api.request('DELETE', `/admin/promotions/${promotion.id}`, { token: admin.token })).status, 409);
+    const unused = await createPromotion({ code: 'UNUSED', type: 'fixed', value: 100 });
+    assert.equal((await api.request('DELETE', `/admin/promotions/${unused.id}`, { token: admin.token })).status, 200);
+  });
+});
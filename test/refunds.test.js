@@ -0,0 +1,162 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, paystack, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('cancellations and refunds', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+  let orderId;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ price: 1000, stock_count: 10 });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    orderId = (await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } })).body.order_id;
+  });
+
+  const deliver = (event, data) => api.request('POST', '/payments/webhook', signWebhook({ event, data }));
+
+  const pay = () => deliver('charge.success', {
+    reference: 'ref_paid',
+    amount: 200000,
+    currency: 'NGN',
+    status: 'success',
+    metadata: { order_id: orderId },
+  });
+
+  const stock = async () => db.table('products').findOne({ id: product.id });
+  const orderStatus = async () => (await db.table('orders').findOne({ id: orderId })).status;
+
+  it('lets a customer cancel a pending order and releases its reservation', async () => {
+    const res = await api.request('POST', `/orders/${orderId}/cancel`, { token: customer.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order.status, 'cancelled');
+    assert.equal(res.body.refund, null);
+    const { stock_count, reserved_count } = await stock();
+    assert.equal(stock_count, 10);
+    assert.equal(reserved_count, 0);
+    assert.equal(paystack.requests.filter(r => r.path === '/refund').length, 0);
+  });
+
+  it('restocks and refunds a paid order cancelled by the customer', async () => {
+    await pay();
+    assert.equal((await stock()).stock_count, 8);
+
+    const res = await api.request('POST', `/orders/${orderId}/cancel`, {
+      token: customer.token,
+      body: { reason: 'Ordered by mistake' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order.status, 'cancelled');
+    assert.equal(res.body.refund.status, 'pending');
+    assert.equal(res.body.refund.amount, 2000);
+    assert.equal((await stock()).stock_count, 10);
+
+    const [request] = paystack.requests.filter(r => r.path === '/refund');
+    assert.equal(request.body.transaction, 'ref_paid');
+    assert.equal(request.body.amount, 200000);
+
+    await deliver('refund.processed', { id: res.body.refund.provider_refund_id, status: 'processed', amount: 200000 });
+    assert.equal(await orderStatus(), 'refunded');
+  });
+
+  it('refunds a paid order that staff cancel by hand', async () => {
+    await pay();
+    const res = await api.request('PUT', `/orders/${orderId}/status`, {
+      token: admin.token,
+      body: { status: 'cancelled', note: 'Out of stock at the warehouse' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'cancelled');
+    assert.equal(res.body.refund.amount, 2000);
+    assert.equal(res.body.refund.reason, 'Out of stock at the warehouse');
+    assert.equal(paystack.requests.filter(r => r.path === '/refund').length, 1);
+    assert.equal((await stock()).stock_count, 10);
+  });
+
+  it('only marks orders refunded once the provider confirms it', async () => {
+    await pay();
+    const res = await api.request('PUT', `/orders/${orderId}/status`, { token: admin.token, body: { status: 'refunded' } });
+    assert.equal(res.status, 400);
+    assert.equal(await orderStatus(), 'paid');
+    assert.equal(await db.table('refunds').count({ order_id: orderId }), 0);
+  });
+
+  it('refuses to cancel orders that have shipped or belong to someone else', async () => {
+    const other = await createUser(api, { email: 'other@example.com' });
+    assert.equal((await api.request('POST', `/orders/${orderId}/cancel`, { token: other.token })).status, 404);
+
+    await pay();
+    for (const status of ['processing', 'shipped']) {
+      await api.request('PUT', `/orders/${orderId}/status`, { token: admin.token, body: { status } });
+    }
+    const res = await api.request('POST', `/orders/${orderId}/cancel`, { token: customer.token });
+    assert.equal(res.status, 409);
+    assert.equal((await stock()).stock_count, 8);
+  });
+
+  it('issues partial refunds up to the amount paid', async () => {
+    await pay();
+    const first = await api.request('POST', `/admin/orders/${orderId}/refunds`, {
+      token: admin.token,
+      body: { amount: 500, reason: 'Damaged packaging' },
+    });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.amount, 500);
+
+    const tooMuch = await api.request('POST', `/admin/orders/${orderId}/refunds`, {
+      token: admin.token,
+      body: { amount: 1600 },
+    });
+    assert.equal(tooMuch.status, 409);
+
+    await deliver('refund.processed', { id: first.body.provider_refund_id, status: 'processed' });
+    assert.equal(await orderStatus(), 'paid');
+
+    const rest = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.equal(rest.body.amount, 1500);
+    await deliver('refund.processed', { id: rest.body.provider_refund_id, status: 'processed' });
+    assert.equal(await orderStatus(), 'refunded');
+
+    const list = await api.request('GET', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.deepEqual(list.body.map(r => r.status), ['processed', 'processed']);
+  });
+
+  it('frees the balance again when a refund fails', async () => {
+    await pay();
+    const refund = (await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token })).body;
+    await deliver('refund.failed', { id: refund.provider_refund_id, status: 'failed' });
+    assert.equal((await db.table('refunds').findOne({ id: refund.id })).status, 'failed');
+
+    const retry = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.body.amount, 2000);
+  });
+
+  it('records a refund Paystack rejects and reports a bad gateway', async () => {
+    await pay();
+    paystack.handlers.set('POST /refund', () => ({ status: 400, body: { status: false, message: 'Transaction is not refundable' } }));
+    const res = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.equal(res.status, 502);
+    assert.match(res.body.error, /not refundable/);
+    const [refund] = await db.table('refunds').find({ order_id: orderId });
+    assert.equal(refund.status, 'failed');
+  });
+
+  it('only lets admins issue refunds and only for paid orders', async () => {
+    const forbidden = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: customer.token });
+    assert.equal(forbidden.status, 403);
+    const unpaid = await api.request('POST', `/admin/orders/${orderId}/refunds`, { token: admin.token });
+    assert.equal(unpaid.status, 409);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('admin reports', () => {
+  let api;
+  let admin;
+  let alice;
+  let bob;
+  let drill;
+  let saw;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const placeOrder = async (user, day, status, lines, { discount } = {}) => {
+    const total = lines.reduce((sum, [product, quantity]) => sum + product.price * quantity, 0) - (discount?.amount || 0);
+    const order = await db.table('orders').insert({
+      user_id: user.user.id,
+      status,
+      total_amount: total,
+      discount_amount: discount?.amount || 0,
+      created_at: `${day}T10:00:00.000Z`,
+    });
+    const items = await db.table('order_items').insert(lines.map(([product, quantity]) => ({
+      order_id: order.id,
+      product_id: product.id,
+      quantity,
+      price_at_order: product.price,
+    })));
+    if (discount) {
+      await db.table('order_discounts').insert({ order_id: order.id, order_item_id: items[0].id, code: 'SAVE', amount: discount.amount });
+    }
+    return order;
+  };
+
+  const report = (name, query = '', token = admin.token) => api.request('GET', `/admin/reports/${name}${query}`, { token });
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    alice = await createUser(api);
+    bob = await createUser(api);
+    drill = await createProduct({ name: 'Drill', category: 'power-tools', price: 20000 });
+    saw = await createProduct({ name: 'Saw', category: 'hand-tools', price: 5000 });
+
+    await placeOrder(alice, '2025-05-20', 'delivered', [[saw, 1]]);
+    await placeOrder(alice, '2025-06-02', 'paid', [[drill, 1], [saw, 2]], { discount: { amount: 2000 } });
+    await placeOrder(bob, '2025-06-02', 'shipped', [[saw, 1]]);
+    await placeOrder(bob, '2025-06-10', 'processing', [[saw, 3]]);
+    await placeOrder(alice, '2025-06-11', 'pending', [[drill, 5]]);
+    await placeOrder(bob, '2025-06-12', 'cancelled', [[drill, 1]]);
+  });
+
+  it('reports revenue and average order value per period', async () => {
+    const daily = await report('revenue', '?from=2025-06-01&to=2025-06-03');
+    assert.equal(daily.status, 200);
+    assert.deepEqual(daily.body.rows, [
+      { period: '2025-06-01', orders: 0, revenue: 0, average_order_value: 0 },
+      { period: '2025-06-02', orders: 2, revenue: 33000, average_order_value: 16500 },
+      { period: '2025-06-03', orders: 0, revenue: 0, average_order_value: 0 },
+    ]);
+
+    const weekly = await report('revenue', '?from=2025-06-01&to=2025-06-14&interval=week');
+    assert.deepEqual(weekly.body.rows.map((row) => [row.period, row.orders, row.revenue]), [
+      ['2025-05-26', 0, 0],
+      ['2025-06-02', 2, 33000],
+      ['2025-06-09', 1, 15000],
+    ]);
+
+    const monthly = await report('average-order-value', '?from=2025-05-01&to=2025-06-30');
+    assert.deepEqual(monthly.body.rows, [{ orders: 4, revenue: 53000, average_order_value: 13250, average_discount: 500 }]);
+  });
+
+  it('counts orders by status', async () => {
+    const { body } = await report('order-statuses', '?from=2025-06-01&to=2025-06-30');
+    const byStatus = Object.fromEntries(body.rows.map((row) => [row.status, row.orders]));
+    assert.equal(byStatus.paid, 1);
+    assert.equal(byStatus.pending, 1);
+    assert.equal(byStatus.cancelled, 1);
+    assert.equal(byStatus.refunded, 0);
+    assert.equal(body.rows.find((row) => row.status === 'pending').share, 20);
+  });
+
+  it('ranks products and categories by net revenue or units', async () => {
+    const products = await report('top-products', '?from=2025-06-01&to=2025-06-30');
+    assert.deepEqual(products.body.rows.map((row) => [row.name, row.units, row.revenue]), [['Saw', 6, 30000], ['Drill', 1, 18000]]);
+    const byUnits = await report('top-products', '?from=2025-06-01&to=2025-06-30&sort=units&limit=1');
+    assert.deepEqual(byUnits.body.rows.map((row) => row.name), ['Saw']);
+
+    const categories = await report('top-categories', '?from=2025-06-01&to=2025-06-30');
+    assert.deepEqual(categories.body.rows, [
+      { category: 'hand-tools', units: 6, revenue: 30000 },
+      { category: 'power-tools', units: 1, revenue: 18000 },
+    ]);
+  });
+
+  it('splits new and returning customers', async () => {
+    const { body } = await report('customers', '?from=2025-06-01&to=2025-06-30&interval=month');
+    assert.deepEqual(body.rows, [{ period: '2025-06-01', new_customers: 1, returning_customers: 1 }]);
+    const weekly = await report('customers', '?from=2025-06-02&to=2025-06-15&interval=week');
+    assert.deepEqual(weekly.body.rows.map((row) => [row.new_customers, row.returning_customers]), [[1, 1], [0, 1]]);
+  });
+
+  it('reports payment success and failure rates per provider', async () => {
+    const payment = (provider, status, day, review_status) =>
+      db.table('payment_references').insert({ provider, status, review_status, reference: `ref_${Math.random()}`, created_at: `${day}T09:00:00.000Z` });
+    await payment('paystack', 'success', '2025-06-02');
+    await payment('paystack', 'failed', '2025-06-02');
+    await payment('paystack', 'success', '2025-06-03', 'needs_review');
+    await payment('flutterwave', 'success', '2025-06-04');
+    await payment('flutterwave', 'success', '2025-07-01');
+
+    const { body } = await report('payments', '?from=2025-06-01&to=2025-06-30');
+    assert.deepEqual(body.rows, [
+      { provider: 'flutterwave', attempts: 1, succeeded: 1, failed: 0, flagged: 0, success_rate: 100, failure_rate: 0 },
+      { provider: 'paystack', attempts: 3, succeeded: 1, failed: 1, flagged: 1, success_rate: 33.33, failure_rate: 33.33 },
+      { provider: 'all', attempts: 4, succeeded: 2, failed: 1, flagged: 1, success_rate: 50, failure_rate: 25 },
+    ]);
+  });
+
+  it('downloads any report as CSV', async () => {
+    const res = await fetch(`${api.baseUrl}/admin/reports/top-categories?from=2025-06-01&to=2025-06-30&format=csv`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /top-categories-2025-06-01-to-2025-06-30\.csv/);
+    assert.equal(await res.text(), 'category,units,revenue\r\nhand-tools,6,30000\r\npower-tools,1,18000\r\n');
+  });
+
+  it('keeps admin-entered text from running as a spreadsheet formula', async () => {
+    await db.table('products').update({ id: drill.id }, { name: '=HYPERLINK("https://evil.test","Drill")', category: '@power' });
+    await db.table('products').update({ id: saw.id }, { name: '-Saw', category: '+hand' });
+    const res = await fetch(`${api.baseUrl}/admin/reports/top-products?from=2025-06-01&to=2025-06-30&format=csv`, {
+      headers: { Authorization: `Bearer ${admin.token}` },
+    });
+    assert.equal(await res.text(), [
+      'product_id,name,category,units,revenue',
+      `${saw.id},'-Saw,'+hand,6,30000`,
+      `${drill.id},"'=HYPERLINK(""https://evil.test"",""Drill"")",'@power,1,18000`,
+      '',
+    ].join('\r\n'));
+  });
+
+  it('validates the report, range and options and is admin only', async () => {
+    assert.deepEqual((await api.request('GET', '/admin/reports', { token: admin.token })).body.length, 7);
+    assert.equal((await report('unknown')).status, 404);
+    assert.equal((await report('revenue', '?from=2025-02-30')).status, 400);
+    assert.equal((await report('revenue', '?from=2025-06-10&to=2025-06-01')).status, 400);
+    assert.equal((await report('revenue', '?interval=year')).status, 400);
+    assert.equal((await report('top-products', '?limit=0')).status, 400);
+    const staff = await createUser(api, { role: 'staff' });
+    assert.equal((await report('revenue', '', staff.token)).status, 403);
+    const recent = await report('revenue');
+    assert.equal(recent.body.rows.length, 30);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+describe('product reviews', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    product = await createProduct({ name: 'Angle grinder', price: 30000 });
+  });
+
+  const buyer = async (status = 'delivered') => {
+    const user = await createUser(api);
+    const order = await db.table('orders').insert({ user_id: user.user.id, status, total_amount: product.price });
+    await db.table('order_items').insert({ order_id: order.id, product_id: product.id, quantity: 1, price_at_order: product.price });
+    return user;
+  };
+
+  const review = (user, body) => api.request('POST', `/products/${product.id}/reviews`, { token: user.token, body });
+
+  it('accepts one review per verified buyer and keeps the average up to date', async () => {
+    const first = await buyer();
+    const second = await buyer('paid');
+    assert.equal((await review(first, { rating: 5, title: 'Solid', body: 'Cuts clean' })).status, 201);
+    assert.equal((await review(second, { rating: 2 })).status, 201);
+
+    const duplicate = await review(first, { rating: 1 });
+    assert.equal(duplicate.status, 409);
+
+    const fetched = await api.request('GET', `/products/${product.id}`);
+    assert.equal(fetched.body.average_rating, 3.5);
+    assert.equal(fetched.body.review_count, 2);
+
+    const reviews = await api.request('GET', `/products/${product.id}/reviews`);
+    assert.deepEqual(reviews.body.map((r) => r.rating).sort(), [2, 5]);
+    assert.ok(reviews.body.every((r) => r.reviewer_name && !('password' in r)));
+  });
+
+  it('refuses reviews from customers who have not bought the product', async () => {
+    const stranger = await createUser(api);
+    assert.equal((await review(stranger, { rating: 4 })).status, 403);
+    const unpaid = await buyer('pending');
+    assert.equal((await review(unpaid, { rating: 4 })).status, 403);
+    assert.equal((await api.request('POST', `/products/${product.id}/reviews`, { body: { rating: 4 } })).status, 401);
+  });
+
+  it('validates the rating', async () => {
+    const user = await buyer();
+    for (const rating of [0, 6, 3.5, 'great', undefined]) {
+      assert.equal((await review(user, { rating })).status, 400);
+    }
+  });
+
+  it('lets reviewers edit only their own review', async () => {
+    const author = await buyer();
+    const other = await buyer();
+    const { body: created } = await review(author, { rating: 2, body: 'Wobbly' });
+
+    const foreign = await api.request('PUT', `/products/${product.id}/reviews/${created.id}`, { token: other.token, body: { rating: 1 } });
+    assert.equal(foreign.status, 404);
+
+    const edited = await api.request('PUT', `/products/${product.id}/reviews/${created.id}`, {
+      token: author.token,
+      body: { rating: 4, body: 'Fine after tightening the guard' },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.rating, 4);
+    assert.equal(edited.body.body, 'Fine after tightening the guard');
+    assert.equal((await db.table('products').findOne({ id: product.id })).average_rating, 4);
+  });
+
+  it('lets admins hide and approve reviews', async () => {
+    const first = await buyer();
+    const second = await buyer();
+    const { body: spam } = await review(first, { rating: 1, body: 'Buy cheap bolts at example.com' });
+    await review(second, { rating: 5 });
+
+    const customer = await createUser(api);
+    assert.equal((await api.request('PUT', `/admin/reviews/${spam.id}/status`, { token: customer.token, body: { status: 'hidden' } })).status, 403);
+    assert.equal((await api.request('PUT', `/admin/reviews/${spam.id}/status`, { token: admin.token, body: { status: 'gone' } })).status, 400);
+
+    const hidden = await api.request('PUT', `/admin/reviews/${spam.id}/status`, { token: admin.token, body: { status: 'hidden' } });
+    assert.equal(hidden.status, 200);
+    assert.equal(hidden.body.moderated_by, admin.user.id);
+    assert.equal((await api.request('GET', `/products/${product.id}/reviews`)).body.length, 1);
+    let stored = await db.table('products').findOne({ id: product.id });
+    assert.equal(stored.average_rating, 5);
+    assert.equal(stored.review_count, 1);
+
+    const queue = await api.request('GET', '/admin/reviews?status=hidden', { token: admin.token });
+    assert.deepEqual(queue.body.items.map((r) => r.id), [spam.id]);
+
+    await api.request('PUT', `/admin/reviews/${spam.id}/status`, { token: admin.token, body: { status: 'approved' } });
+    stored = await db.table('products').findOne({ id: product.id });
+    assert.equal(stored.average_rating, 3);
+    assert.equal(stored.review_count, 2);
+  });
+
+  it('sorts the catalogue by rating', async () => {
+    const other = await createProduct({ name: 'Bench vice', price: 20000 });
+    await createProduct({ name: 'Unrated clamp', price: 5000 });
+    const user = await buyer();
+    await db.table('order_items').insert({ order_id: (await db.table('orders').findOne({ user_id: user.user.id })).id, product_id: other.id, quantity: 1, price_at_order: other.price });
+    await review(user, { rating: 3 });
+    await api.request('POST', `/products/${other.id}/reviews`, { token: user.token, body: { rating: 5 } });
+
+    const res = await api.request('GET', '/products?sort=rating');
+    assert.deepEqual(res.body.items.map((p) => p.name), ['Bench vice', 'Angle grinder', 'Unrated clamp']);
+    assert.equal(res.body.items[0].review_count, 1);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { db, outbox, resetState, startServer, createUser, linkTokenFrom } from './helpers.js';
+
+describe('sessions and token revocation', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(resetState);
+
+  const login = async (email, device) =>
+    (await api.request('POST', '/auth/login', { body: { email, password: 'secret123', device } })).body;
+
+  const profileStatus = async (token) => (await api.request('GET', '/auth/profile', { token })).status;
+
+  it('issues a short-lived access token and a hashed refresh token per device', async () => {
+    const { user } = await createUser(api, { email: 'ada@example.com' });
+    const { token, refreshToken } = await login('ada@example.com', 'Warehouse tablet 3');
+    assert.ok(refreshToken);
+
+    const { exp, iat, sid } = jwt.decode(token);
+    assert.equal(exp - iat, 15 * 60);
+
+    const session = await db.table('user_sessions').findOne({ id: sid });
+    assert.equal(session.user_id, user.id);
+    assert.equal(session.device, 'Warehouse tablet 3');
+    assert.notEqual(session.refresh_token_hash, refreshToken);
+  });
+
+  it('rotates refresh tokens', async () => {
+    await createUser(api, { email: 'ada@example.com' });
+    const first = await login('ada@example.com');
+
+    const refreshed = await api.request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, first.refreshToken);
+    assert.equal(await profileStatus(refreshed.body.token), 200);
+
+    const again = await api.request('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+    assert.equal(again.status, 200);
+  });
+
+  it('ends the session when a rotated-out refresh token is replayed', async () => {
+    await createUser(api, { email: 'ada@example.com' });
+    const first = await login('ada@example.com');
+    const { body: second } = await api.request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } });
+
+    const replay = await api.request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } });
+    assert.equal(replay.status, 401);
+    assert.equal(await profileStatus(second.token), 401);
+    assert.equal((await api.request('POST', '/auth/refresh', { body: { refreshToken: second.refreshToken } })).status, 401);
+  });
+
+  it('rejects missing and unknown refresh tokens', async () => {
+    assert.equal((await api.request('POST', '/auth/refresh', { body: {} })).status, 400);
+    assert.equal((await api.request('POST', '/auth/refresh', { body: { refreshToken: 'nope' } })).status, 401);
+  });
+
+  it('logs out only the current device', async () => {
+    await createUser(api, { email: 'ada@example.com' });
+    const phone = await login('ada@example.com', 'phone');
+    const laptop = await login('ada@example.com', 'laptop');
+
+    assert.equal((await api.request('POST', '/auth/logout', { token: phone.token })).status, 200);
+    assert.equal(await profileStatus(phone.token), 401);
+    assert.equal((await api.request('POST', '/auth/refresh', { body: { refreshToken: phone.refreshToken } })).status, 401);
+    assert.equal(await profileStatus(laptop.token), 200);
+  });
+
+  it('logs out every device', async () => {
+    await createUser(api, { email: 'ada@example.com' });
+    const phone = await login('ada@example.com', 'phone');
+    const laptop = await login('ada@example.com', 'laptop');
+
+    assert.equal((await api.request('POST', '/auth/logout-all', { token: laptop.token })).status, 200);
+    assert.equal(await profileStatus(phone.token), 401);
+    assert.equal(await profileStatus(laptop.token), 401);
+  });
+
+  it('invalidates sessions after a password reset', async () => {
+    const { token } = await createUser(api, { email: 'ada@example.com' });
+    await api.request('POST', '/auth/forgot-password', { body: { email: 'ada@example.com' } });
+    const resetToken = linkTokenFrom(outbox.at(-1));
+    await api.request('POST', '/auth/reset-password', { body: { token: resetToken, newPassword: 'new-pass' } });
+    assert.equal(await profileStatus(token), 401);
+  });
+
+  it('invalidates sessions after a role change', async () => {
+    const admin = await createUser(api, { role: 'admin' });
+    const { user, token } = await createUser(api);
+    await api.request('PUT', `/admin/users/${user.id}/role`, { token: admin.token, body: { role: 'staff' } });
+    assert.equal(await profileStatus(token), 401);
+  });
+
+  it('rejects access tokens that predate sessions', async () => {
+    const { user } = await createUser(api);
+    const legacy = jwt.sign({ id: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    assert.equal(await profileStatus(legacy), 401);
+  });
+});
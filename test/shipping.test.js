@@ -0,0 +1,162 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, paystack, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+const IKEJA = { recipient_name: 'Ada Obi', phone: '08030000000', line1: '4 Allen Avenue', city: 'Ikeja', state: 'Lagos' };
+const ABUJA = { recipient_name: 'Ada Obi', phone: '08030000000', line1: '12 Aminu Kano Crescent', city: 'Wuse', state: 'FCT' };
+const KANO = { recipient_name: 'Ada Obi', phone: '08030000000', line1: '1 Zoo Road', city: 'Kano', state: 'Kano' };
+
+describe('shipping', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api);
+    product = await createProduct({ name: 'Vice', price: 10000, stock_count: 20, weight_kg: 1.5 });
+  });
+
+  const addAddress = async (body) => {
+    const res = await api.request('POST', '/auth/profile/addresses', { token: customer.token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  const createZone = async (body) => {
+    const res = await api.request('POST', '/admin/shipping-zones', { token: admin.token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  const fill = (quantity) =>
+    api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity } });
+
+  const checkout = (body) => api.request('POST', '/orders', { token: customer.token, body });
+
+  it('keeps an address book with a single default', async () => {
+    assert.equal((await api.request('POST', '/auth/profile/addresses', { token: customer.token, body: { city: 'Ikeja' } })).status, 400);
+    const home = await addAddress({ ...IKEJA, label: 'Home' });
+    assert.equal(home.is_default, true);
+    const office = await addAddress({ ...ABUJA, label: 'Office', is_default: true });
+
+    let profile = await api.request('GET', '/auth/profile', { token: customer.token });
+    assert.deepEqual(profile.body.addresses.map((a) => [a.label, a.is_default]), [['Office', true], ['Home', false]]);
+
+    const edited = await api.request('PUT', `/auth/profile/addresses/${home.id}`, { token: customer.token, body: { line2: 'Flat 3' } });
+    assert.equal(edited.body.line2, 'Flat 3');
+    const other = await createUser(api);
+    assert.equal((await api.request('PUT', `/auth/profile/addresses/${home.id}`, { token: other.token, body: { line2: 'x' } })).status, 404);
+
+    await api.request('DELETE', `/auth/profile/addresses/${office.id}`, { token: customer.token });
+    profile = await api.request('GET', '/auth/profile', { token: customer.token });
+    assert.deepEqual(profile.body.addresses.map((a) => [a.label, a.is_default]), [['Home', true]]);
+  });
+
+  it('prices delivery by the most specific zone', async () => {
+    await createZone({ name: 'Rest of Nigeria', rate_type: 'flat', flat_fee: 5000 });
+    await createZone({ name: 'Lagos', rate_type: 'flat', flat_fee: 2500, states: ['Lagos'] });
+    await createZone({ name: 'Mainland express', rate_type: 'flat', flat_fee: 1500, states: 'lagos', cities: 'ikeja, yaba' });
+    await fill(1);
+
+    const ikeja = await addAddress(IKEJA);
+    const lekki = await addAddress({ ...IKEJA, city: 'Lekki' });
+    const kano = await addAddress(KANO);
+    const fees = {};
+    for (const address of [ikeja, lekki, kano]) {
+      const res = await api.request('GET', `/cart/shipping?address_id=${address.id}`, { token: customer.token });
+      fees[address.city] = [res.body.delivery.zone.name, res.body.delivery.fee];
+    }
+    assert.deepEqual(fees, { Ikeja: ['Mainland express', 1500], Lekki: ['Lagos', 2500], Kano: ['Rest of Nigeria', 5000] });
+  });
+
+  it('charges weight-based rates and waives them above the free-shipping threshold', async () => {
+    await createZone({ name: 'Lagos', rate_type: 'weight', flat_fee: 1000, per_kg_fee: 500, free_over: 50000, states: ['Lagos'] });
+    await addAddress(IKEJA);
+    const added = await fill(3);
+
+    const options = await api.request('GET', '/cart/shipping', { token: customer.token });
+    assert.equal(options.body.delivery.fee, 1000 + 500 * 5);
+    assert.equal(options.body.pickup.fee, 0);
+
+    await api.request('PUT', `/cart/${added.body.id}`, { token: customer.token, body: { quantity: 5 } });
+    assert.equal((await api.request('GET', '/cart/shipping', { token: customer.token })).body.delivery.fee, 0);
+  });
+
+  it('snapshots the address and adds the fee to the amount charged', async () => {
+    await createZone({ name: 'Lagos', rate_type: 'flat', flat_fee: 2500, states: ['Lagos'] });
+    const address = await addAddress(IKEJA);
+    await fill(2);
+
+    const order = await checkout({ address_id: address.id });
+    assert.equal(order.status, 201);
+    assert.equal(order.body.shipping_fee, 2500);
+    assert.equal(order.body.total_amount, 22500);
+
+    await api.request('PUT', `/auth/profile/addresses/${address.id}`, { token: customer.token, body: { line1: '9 New Street' } });
+    const stored = await db.table('orders').findOne({ id: order.body.order_id });
+    assert.equal(stored.delivery_method, 'delivery');
+    assert.equal(stored.shipping_address.line1, '4 Allen Avenue');
+    assert.equal(stored.shipping_address.recipient_name, 'Ada Obi');
+
+    await api.request('POST', '/payments/initiate', { token: customer.token, body: { order_id: order.body.order_id } });
+    assert.equal(paystack.requests.at(-1).body.amount, 2250000);
+  });
+
+  it('offers store pickup without a fee or address', async () => {
+    await fill(1);
+    const order = await checkout({ delivery_method: 'pickup' });
+    assert.equal(order.status, 201);
+    assert.equal(order.body.shipping_fee, 0);
+    assert.equal(order.body.total_amount, 10000);
+    assert.equal((await db.table('orders').findOne({ id: order.body.order_id })).shipping_address, null);
+  });
+
+  it('requires a deliverable address at checkout', async () => {
+    await fill(1);
+    const none = await checkout({});
+    assert.equal(none.status, 400);
+    assert.equal(none.body.error, 'Choose a delivery address or store pickup');
+
+    await createZone({ name: 'Lagos', rate_type: 'flat', flat_fee: 2500, states: ['Lagos'] });
+    const kano = await addAddress(KANO);
+    const unreachable = await checkout({ address_id: kano.id });
+    assert.equal(unreachable.status, 400);
+    assert.match(unreachable.body.error, /don't deliver to Kano/);
+    assert.equal((await checkout({ delivery_method: 'drone' })).status, 400);
+    assert.equal(await db.table('orders').count({}), 0);
+
+    // Without an explicit choice the default address is used.
+    await addAddress({ ...IKEJA, is_default: true });
+    const order = await checkout({});
+    assert.equal(order.status, 201);
+    assert.equal(order.body.shipping_fee, 2500);
+  });
+
+  it('lets only admins manage zones, with validation', async () => {
+    assert.equal((await api.request('GET', '/admin/shipping-zones', { token: customer.token })).status, 403);
+    const invalid = [
+      { rate_type: 'flat', flat_fee: 100 },
+      { name: 'X', rate_type: 'distance' },
+      { name: 'X', rate_type: 'weight', flat_fee: 100 },
+      { name: 'X', rate_type: 'flat', flat_fee: -1 },
+    ];
+    for (const body of invalid) {
+      assert.equal((await api.request('POST', '/admin/shipping-zones', { token: admin.token, body })).status, 400);
+    }
+    const zone = await createZone({ name: 'Lagos', rate_type: 'flat', flat_fee: 2500, states: ['Lagos'] });
+    const updated = await api.request('PUT', `/admin/shipping-zones/${zone.id}`, { token: admin.token, body: { active: false } });
+    assert.equal(updated.body.active, false);
+    assert.equal(updated.body.name, 'Lagos');
+    assert.equal((await api.request('DELETE', `/admin/shipping-zones/${zone.id}`, { token: admin.token })).status, 200);
+    assert.equal((await api.request('DELETE', `/admin/shipping-zones/${zone.id}`, { token: admin.token })).status, 404);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, linkTokenFrom } from './helpers.js';
+
+describe('user routes', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(resetState);
+
+  it('serves the welcome route', async () => {
+    const res = await api.request('GET', '/');
+    assert.equal(res.status, 200);
+    assert.equal(res.body, 'Welcome to Forge & Bolt');
+  });
+
+  it('registers a user and creates their cart', async () => {
+    const res = await api.request('POST', '/register', {
+      body: { email: 'ada@example.com', password: 'secret123', name: 'Ada' },
+    });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.email, 'ada@example.com');
+    assert.notEqual(res.body.user.password, 'secret123');
+    assert.ok(await db.table('carts').findOne({ user_id: res.body.user.id }));
+  });
+
+  it('rejects incomplete and duplicate registrations', async () => {
+    const missing = await api.request('POST', '/register', { body: { email: 'ada@example.com' } });
+    assert.equal(missing.status, 400);
+
+    await createUser(api, { email: 'ada@example.com' });
+    const duplicate = await api.request('POST', '/register', {
+      body: { email: 'ada@example.com', password: 'secret123', name: 'Ada' },
+    });
+    assert.equal(duplicate.status, 400);
+  });
+
+  it('logs in with valid credentials only', async () => {
+    await createUser(api, { email: 'ada@example.com', password: 'secret123' });
+    const ok = await api.request('POST', '/auth/login', {
+      body: { email: 'ada@example.com', password: 'secret123' },
+    });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+
+    const wrong = await api.request('POST', '/auth/login', {
+      body: { email: 'ada@example.com', password: 'nope' },
+    });
+    assert.equal(wrong.status, 400);
+  });
+
+  it('returns and updates the profile of the caller', async () => {
+    const { user, token } = await createUser(api, { name: 'Ada' });
+    const profile = await api.request('GET', '/auth/profile', { token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.id, user.id);
+
+    const updated = await api.request('PUT', '/auth/profile', { token, body: { name: 'Ada L.' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Ada L.');
+  });
+
+  it('requires a valid token for the profile', async () => {
+    assert.equal((await api.request('GET', '/auth/profile')).status, 401);
+    assert.equal((await api.request('GET', '/auth/profile', { token: 'garbage' })).status, 403);
+  });
+
+  it('sends a reset email and resets the password', async () => {
+    await createUser(api, { email: 'ada@example.com', password: 'old-pass' });
+    const forgot = await api.request('POST', '/auth/forgot-password', { body: { email: 'ada@example.com' } });
+    assert.equal(forgot.status, 200);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'ada@example.com');
+
+    const token = linkTokenFrom(outbox[0]);
+    const reset = await api.request('POST', '/auth/reset-password', { body: { token, newPassword: 'new-pass' } });
+    assert.equal(reset.status, 200);
+
+    const login = await api.request('POST', '/auth/login', {
+      body: { email: 'ada@example.com', password: 'new-pass' },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it('rejects an invalid reset token', async () => {
+    const res = await api.request('POST', '/auth/reset-password', {
+      body: { token: 'not-a-token', newPassword: 'new-pass' },
+    });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('product variants', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ name: 'Wood Screw', price: 100, stock_count: 0 });
+  });
+
+  const addVariant = (body) => api.request('POST', `/products/${product.id}/variants`, { token: admin.token, body });
+
+  const seedVariants = async () => {
+    const short = await addVariant({ sku: 'WS-20', attributes: { Size: '20mm', gauge: '8' }, price: 80, stock_count: 5 });
+    const long = await addVariant({ sku: 'WS-50', attributes: { size: '50mm', gauge: '8' }, price: 150, stock_count: 2 });
+    return [short.body, long.body];
+  };
+
+  it('returns the variant matrix with the product', async () => {
+    await seedVariants();
+    const res = await api.request('GET', `/products/${product.id}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.variants.map((v) => v.sku), ['WS-20', 'WS-50']);
+    assert.deepEqual(res.body.options, { size: ['20mm', '50mm'], gauge: ['8'] });
+    assert.equal(res.body.variants[1].available_count, 2);
+    assert.equal(res.body.stock_count, 7);
+  });
+
+  it('lets admins manage variants and keeps SKUs unique', async () => {
+    const [short] = await seedVariants();
+    assert.equal((await addVariant({ sku: 'WS-20', attributes: { size: '30mm' } })).status, 409);
+    assert.equal((await addVariant({ attributes: { size: '30mm' } })).status, 400);
+
+    const updated = await api.request('PUT', `/products/${product.id}/variants/${short.id}`, {
+      token: admin.token,
+      body: { price: 90, stock_count: 10 },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.price, 90);
+    assert.equal(updated.body.sku, 'WS-20');
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 12);
+
+    const locked = await api.request('PUT', `/products/${product.id}`, { token: admin.token, body: { stock_count: 3 } });
+    assert.equal(locked.status, 400);
+
+    const removed = await api.request('DELETE', `/products/${product.id}/variants/${short.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 2);
+
+    const forbidden = await api.request('POST', `/products/${product.id}/variants`, {
+      token: customer.token,
+      body: { sku: 'X' },
+    });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('checks variant stock and price in the cart', async () => {
+    const [short, long] = await seedVariants();
+    const missing = await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 1 } });
+    assert.equal(missing.status, 400);
+
+    const tooMany = await api.request('POST', '/cart', {
+      token: customer.token,
+      body: { productId: product.id, variantId: long.id, quantity: 3 },
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.error, 'Only 2 items in stock');
+
+    const added = await api.request('POST', '/cart', {
+      token: customer.token,
+      body: { productId: product.id, variantId: short.id, quantity: 4 },
+    });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.variant.sku, 'WS-20');
+    assert.equal(added.body.total_price, 320);
+
+    const updated = await api.request('PUT', `/cart/${added.body.id}`, { token: customer.token, body: { quantity: 6 } });
+    assert.equal(updated.status, 400);
+
+    const foreign = await createProduct({ name: 'Other' });
+    const mismatch = await api.request('POST', '/cart', {
+      token: customer.token,
+      body: { productId: foreign.id, variantId: short.id, quantity: 1 },
+    });
+    assert.equal(mismatch.status, 404);
+  });
+
+  it('orders, reserves and commits stock per variant', async () => {
+    const [short, long] = await seedVariants();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, variantId: short.id, quantity: 2 } });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, variantId: long.id, quantity: 1 } });
+
+    const order = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(order.status, 201);
+    assert.equal(order.body.total_amount, 310);
+    const items = await db.table('order_items').find({ order_id: order.body.order_id });
+    assert.deepEqual(items.map((item) => [item.sku, item.price_at_order]), [['WS-20', 80], ['WS-50', 150]]);
+    assert.equal((await db.table('product_variants').findOne({ id: long.id })).reserved_count, 1);
+
+    await api.request('POST', '/payments/webhook/paystack', signWebhook({
+      event: 'charge.success',
+      data: { reference: 'ref_v', amount: 31000, currency: 'NGN', status: 'success', metadata: { order_id: order.body.order_id } },
+    }));
+    const variant = await db.table('product_variants').findOne({ id: short.id });
+    assert.equal(variant.stock_count, 3);
+    assert.equal(variant.reserved_count, 0);
+    const parent = await db.table('products').findOne({ id: product.id });
+    assert.equal(parent.stock_count, 4);
+    assert.equal(parent.reserved_count, 0);
+
+    const fetched = await api.request('GET', `/orders/${order.body.order_id}`, { token: customer.token });
+    assert.equal(fetched.body.order_items[0].variant.sku, 'WS-20');
+  });
+
+  it('refuses to set variant stock below what pending orders hold', async () => {
+    const [short] = await seedVariants();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, variantId: short.id, quantity: 4 } });
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+
+    const update = (stock_count) => api.request('PUT', `/products/${product.id}/variants/${short.id}`, { token: admin.token, body: { stock_count } });
+    const below = await update(3);
+    assert.equal(below.status, 409);
+    assert.equal(below.body.error, '4 units are held by pending orders');
+    assert.equal((await db.table('product_variants').findOne({ id: short.id })).stock_count, 5);
+    assert.equal((await update(4)).status, 200);
+  });
+
+  it('names the variant that ran out at checkout', async () => {
+    const [, long] = await seedVariants();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, variantId: long.id, quantity: 2 } });
+    await db.table('product_variants').update({ id: long.id }, { stock_count: 1 });
+    const res = await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'Only 1 of Wood Screw (50mm / 8) available');
+  });
+
+  it('keeps ordered variants', async () => {
+    const [short] = await seedVariants();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, variantId: short.id, quantity: 1 } });
+    await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } });
+    const res = await api.request('DELETE', `/products/${product.id}/variants/${short.id}`, { token: admin.token });
+    assert.equal(res.status, 409);
+  });
+});
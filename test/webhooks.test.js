@@ -0,0 +1,197 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, paystack, resetState, startServer, createUser, createProduct, signWebhook } from './helpers.js';
+
+describe('webhook idempotency and reconciliation', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+  let orderId;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const placeOrder = async () => (await api.request('POST', '/orders', { token: customer.token, body: { delivery_method: 'pickup' } })).body.order_id;
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'buyer@example.com' });
+    product = await createProduct({ price: 1000, stock_count: 10 });
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product.id, quantity: 2 } });
+    orderId = await placeOrder();
+  });
+
+  const charge = (overrides = {}) => ({
+    id: 9001,
+    reference: 'ref_abc',
+    amount: 200000,
+    currency: 'NGN',
+    channel: 'card',
+    status: 'success',
+    paid_at: new Date().toISOString(),
+    customer: { email: 'someone-else@example.com' },
+    metadata: { order_id: orderId },
+    ...overrides,
+  });
+
+  const deliver = (data, event = 'charge.success') =>
+    api.request('POST', '/payments/webhook/paystack', signWebhook({ event, data }));
+
+  it('processes a retried event only once', async () => {
+    assert.equal((await deliver(charge())).status, 200);
+    const retry = await deliver(charge());
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body, 'Duplicate event');
+
+    assert.equal(await db.table('payment_references').count({ reference: 'ref_abc' }), 1);
+    assert.equal((await db.table('products').findOne({ id: product.id })).stock_count, 8);
+    const [event] = await db.table('webhook_events').find();
+    assert.equal(event.status, 'processed');
+    assert.equal(event.event_key, 'charge.success:ref_abc');
+  });
+
+  it('resolves the order from metadata rather than the customer email', async () => {
+    await deliver(charge());
+    assert.equal((await db.table('orders').findOne({ id: orderId })).status, 'paid');
+  });
+
+  it('rejects signatures of the wrong length without throwing', async () => {
+    const { body } = signWebhook({ event: 'charge.success', data: charge() });
+    const res = await api.request('POST', '/payments/webhook', {
+      body,
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': 'abcd' },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it('records failed events so admins can list and replay them', async () => {
+    const early = await deliver(charge({ reference: 'ref_early', metadata: { order_id: orderId + 1 } }));
+    assert.equal(early.status, 500);
+
+    const failed = await api.request('GET', '/admin/webhook-events?status=failed', { token: admin.token });
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.items.length, 1);
+    assert.match(failed.body.items[0].last_error, /not found/);
+
+    const secondOrder = await placeOrder();
+    assert.equal(secondOrder, orderId + 1);
+    const replayed = await api.request('POST', `/admin/webhook-events/${failed.body.items[0].id}/replay`, { token: admin.token });
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.status, 'processed');
+    assert.equal(replayed.body.attempts, 2);
+    assert.equal((await db.table('orders').findOne({ id: secondOrder })).status, 'paid');
+
+    const again = await api.request('POST', `/admin/webhook-events/${failed.body.items[0].id}/replay`, { token: admin.token });
+    assert.equal(again.status, 409);
+  });
+
+  it('retries a failed event when Paystack redelivers it', async () => {
+    await deliver(charge({ reference: 'ref_early', metadata: { order_id: orderId + 1 } }));
+    await placeOrder();
+    const redelivered = await deliver(charge({ reference: 'ref_early', metadata: { order_id: orderId + 1 } }));
+    assert.equal(redelivered.status, 200);
+    assert.equal((await db.table('orders').findOne({ id: orderId + 1 })).status, 'paid');
+  });
+
+  it('completes an order on replay without recording its payment twice', async () => {
+    // The state a crash between recording the payment and moving the order leaves behind.
+    await db.table('payment_references').insert({
+      user_id: customer.user.id, order_id: orderId, provider: 'paystack', reference: 'ref_abc', amount: 2000, currency: 'NGN', status: 'success',
+    });
+    const [event] = await db.table('webhook_events').insert([{
+      provider: 'paystack', event_key: 'charge.success:ref_abc', event_type: 'charge.success', reference: 'ref_abc',
+      payload: {
+        event: 'charge.success',
+        id: 'ref_abc',
+        data: { reference: 'ref_abc', order_id: orderId, amount: 2000, currency: 'NGN', channel: 'card', status: 'success' },
+      },
+      status: 'failed',
+      attempts: 1,
+    }]);
+
+    const replayed = await api.request('POST', `/admin/webhook-events/${event.id}/replay`, { token: admin.token });
+    assert.equal(replayed.body.status, 'processed');
+    assert.equal((await db.table('orders').findOne({ id: orderId })).status, 'paid');
+    assert.equal(await db.table('payment_references').count({ reference: 'ref_abc' }), 1);
+  });
+
+  // An event claimed `minutesAgo` by a worker that never recorded the outcome.
+  const stuck = (event_key, minutesAgo) => ({
+    provider: 'paystack', event_key, event_type: 'charge.success', reference: 'ref_abc',
+    payload: { event: 'charge.success', id: 'ref_abc', data: { reference: 'ref_abc', order_id: orderId, amount: 2000, currency: 'NGN', status: 'success' } },
+    status: 'processing', attempts: 1, claimed_at: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+  });
+
+  it('reclaims events whose processing was abandoned', async () => {
+    const [fresh, stale] = await db.table('webhook_events').insert([stuck('charge.success:ref_fresh', 1), stuck('charge.success:ref_abc', 60)]);
+
+    assert.equal((await api.request('POST', `/admin/webhook-events/${fresh.id}/replay`, { token: admin.token })).status, 409);
+    const redelivered = await deliver(charge());
+    assert.equal(redelivered.status, 200);
+    assert.notEqual(redelivered.body, 'Duplicate event');
+    const event = await db.table('webhook_events').findOne({ id: stale.id });
+    assert.equal(event.status, 'processed');
+    assert.equal(event.attempts, 2);
+    assert.equal((await db.table('orders').findOne({ id: orderId })).status, 'paid');
+  });
+
+  it('replays an abandoned event', async () => {
+    const [stale] = await db.table('webhook_events').insert([stuck('charge.success:ref_abc', 60)]);
+    const replayed = await api.request('POST', `/admin/webhook-events/${stale.id}/replay`, { token: admin.token });
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.status, 'processed');
+    assert.equal((await db.table('orders').findOne({ id: orderId })).status, 'paid');
+  });
+
+  it('keeps the replay endpoints for admins', async () => {
+    assert.equal((await api.request('GET', '/admin/webhook-events', { token: customer.token })).status, 403);
+    assert.equal((await api.request('POST', '/admin/webhook-events/1/replay', { token: customer.token })).status, 403);
+  });
+
+  it('reconciles a missed webhook through the verify endpoint', async () => {
+    paystack.handlers.set('GET /transaction/verify/ref_abc', () => ({
+      body: { status: true, message: 'Verification successful', data: charge() },
+    }));
+    const res = await api.request('GET', '/payments/verify/ref_abc', { token: customer.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transaction_status, 'success');
+    assert.equal(res.body.order_status, 'paid');
+    assert.equal(res.body.already_processed, false);
+    assert.equal(paystack.requests[0].headers.authorization, 'Bearer sk_test_local');
+
+    const late = await deliver(charge());
+    assert.equal(late.body, 'Duplicate event');
+    assert.equal(await db.table('payment_references').count({ reference: 'ref_abc' }), 1);
+  });
+
+  it('reports pending transactions without touching the order', async () => {
+    paystack.handlers.set('GET /transaction/verify/ref_abc', () => ({
+      body: { status: true, data: charge({ status: 'abandoned' }) },
+    }));
+    const res = await api.request('GET', '/payments/verify/ref_abc', { token: customer.token });
+    assert.equal(res.body.transaction_status, 'abandoned');
+    assert.equal(res.body.order_status, 'pending');
+  });
+
+  it('hides transactions of other customers from verification', async () => {
+    paystack.handlers.set('GET /transaction/verify/ref_abc', () => ({ body: { status: true, data: charge() } }));
+    const stranger = await createUser(api);
+    assert.equal((await api.request('GET', '/payments/verify/ref_abc', { token: stranger.token })).status, 404);
+    assert.equal((await api.request('GET', '/payments/verify/ref_abc', { token: admin.token })).status, 200);
+  });
+
+  it('surfaces Paystack errors as a bad gateway', async () => {
+    paystack.handlers.set('GET /transaction/verify/missing', () => ({
+      status: 400,
+      body: { status: false, message: 'Transaction reference not found' },
+    }));
+    const res = await api.request('GET', '/payments/verify/missing', { token: customer.token });
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'Transaction reference not found');
+  });
+});
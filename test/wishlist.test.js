@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, outbox, resetState, startServer, createUser, createProduct } from './helpers.js';
+
+const stockAlertService = await import('../src/services/stockAlertService.js');
+
+const waitForMail = async (count) => {
+  for (let tries = 0; tries < 50 && outbox.length < count; tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('wishlists', () => {
+  let api;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    customer = await createUser(api);
+    product = await createProduct({ name: 'Angle Grinder', stock_count: 4 });
+  });
+
+  it('saves, lists and removes products', async () => {
+    assert.equal((await api.request('GET', '/wishlist')).status, 401);
+    const added = await api.request('POST', '/wishlist', { token: customer.token, body: { productId: product.id } });
+    assert.equal(added.status, 201);
+    const again = await api.request('POST', '/wishlist', { token: customer.token, body: { productId: product.id } });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.id, added.body.id);
+
+    const list = await api.request('GET', '/wishlist', { token: customer.token });
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].products.name, 'Angle Grinder');
+    assert.equal(list.body[0].products.available_count, 4);
+    assert.equal(list.body[0].available, true);
+
+    const other = await createUser(api);
+    assert.deepEqual((await api.request('GET', '/wishlist', { token: other.token })).body, []);
+    assert.equal((await api.request('DELETE', `/wishlist/${product.id}`, { token: other.token })).status, 404);
+
+    assert.equal((await api.request('DELETE', `/wishlist/${product.id}`, { token: customer.token })).status, 200);
+    assert.deepEqual((await api.request('GET', '/wishlist', { token: customer.token })).body, []);
+  });
+
+  it('validates the product', async () => {
+    assert.equal((await api.request('POST', '/wishlist', { token: customer.token, body: {} })).status, 400);
+    assert.equal((await api.request('POST', '/wishlist', { token: customer.token, body: { productId: 999 } })).status, 404);
+    await db.table('products').update({ id: product.id }, { archived_at: new Date().toISOString() });
+    assert.equal((await api.request('POST', '/wishlist', { token: customer.token, body: { productId: product.id } })).status, 400);
+  });
+});
+
+describe('back-in-stock alerts', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetState();
+    admin = await createUser(api, { role: 'admin' });
+    customer = await createUser(api, { email: 'waiting@example.com' });
+    product = await createProduct({ name: 'Angle Grinder', stock_count: 0 });
+  });
+
+  const restock = (stockCount) =>
+    api.request('PUT', `/products/${product.id}`, { token: admin.token, body: { stock_count: stockCount } });
+
+  it('only offers alerts on products that are out of stock', async () => {
+    const inStock = await createProduct({ stock_count: 3 });
+    assert.equal((await api.request('POST', `/products/${inStock.id}/stock-alerts`, { token: customer.token })).status, 409);
+    assert.equal((await api.request('POST', `/products/${product.id}/stock-alerts`)).status, 401);
+    assert.equal((await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token })).status, 201);
+    assert.equal((await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token })).status, 200);
+  });
+
+  it('emails subscribers once when the product is restocked', async () => {
+    const other = await createUser(api, { email: 'also-waiting@example.com' });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: other.token });
+    outbox.length = 0;
+
+    assert.equal((await restock(5)).status, 200);
+    await waitForMail(2);
+    assert.deepEqual(outbox.map((mail) => mail.to).sort(), ['also-waiting@example.com', 'waiting@example.com']);
+    assert.match(outbox[0].subject, /Angle Grinder Is Back in Stock/);
+
+    await restock(8);
+    await restock(0);
+    await restock(2);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(outbox.length, 2);
+  });
+
+  it('sends a fresh alert on a later restock when asked again, and none after unsubscribing', async () => {
+    const other = await createUser(api, { email: 'changed-mind@example.com' });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: other.token });
+    assert.equal((await api.request('DELETE', `/products/${product.id}/stock-alerts`, { token: other.token })).status, 200);
+    assert.equal((await api.request('DELETE', `/products/${product.id}/stock-alerts`, { token: other.token })).status, 404);
+    outbox.length = 0;
+
+    await restock(1);
+    await waitForMail(1);
+    await restock(0);
+    assert.equal((await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token })).status, 201);
+    await restock(3);
+    await waitForMail(2);
+    assert.deepEqual(outbox.map((mail) => mail.to), ['waiting@example.com', 'waiting@example.com']);
+  });
+
+  it('emails subscribers when a variant is restocked', async () => {
+    const { body: variant } = await api.request('POST', `/products/${product.id}/variants`, {
+      token: admin.token,
+      body: { sku: 'AG-115', attributes: { disc: '115mm' }, stock_count: 0 },
+    });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token });
+    outbox.length = 0;
+
+    const res = await api.request('PUT', `/products/${product.id}/variants/${variant.id}`, { token: admin.token, body: { stock_count: 3 } });
+    assert.equal(res.status, 200);
+    await waitForMail(1);
+    assert.deepEqual(outbox.map((mail) => mail.to), ['waiting@example.com']);
+    assert.match(outbox[0].subject, /Angle Grinder Is Back in Stock/);
+  });
+
+  it('escapes the product name in the alert', async () => {
+    await db.table('products').update({ id: product.id }, { name: 'Grinder <img src=x onerror=alert(1)>' });
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token });
+    outbox.length = 0;
+    await restock(2);
+    await waitForMail(1);
+    assert.doesNotMatch(outbox[0].html, /<img/);
+    assert.match(outbox[0].html, /Grinder &lt;img src=x onerror=alert\(1\)&gt;/);
+  });
+
+  it('claims alerts so concurrent restocks send each one once', async () => {
+    await api.request('POST', `/products/${product.id}/stock-alerts`, { token: customer.token });
+    outbox.length = 0;
+    const sent = await Promise.all([
+      stockAlertService.notifyRestock(product),
+      stockAlertService.notifyRestock(product),
+    ]);
+    assert.deepEqual(sent.sort(), [0, 1]);
+    assert.equal(outbox.length, 1);
+  });
+});